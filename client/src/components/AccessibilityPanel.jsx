@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { Accessibility, ImageOff } from "lucide-react";
+
+const VISIBLE_PAIRS = 8;
+
+const Badge = ({ pass, children }) => (
+	<span
+		className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${
+			pass ? "bg-emerald-500/10 text-emerald-400" : "bg-red-500/10 text-red-400"
+		}`}>
+		{children}
+	</span>
+);
+
+export default function AccessibilityPanel({ accessibility }) {
+	const [showAll, setShowAll] = useState(false);
+	if (!accessibility?.pairs?.length) return null;
+
+	const { summary, pairs } = accessibility;
+	const visible = showAll ? pairs : pairs.slice(0, VISIBLE_PAIRS);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Accessibility className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">A11y · Text Contrast</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{summary.elements} text {summary.elements === 1 ? "element" : "elements"} · {summary.pairs} color{" "}
+					{summary.pairs === 1 ? "pair" : "pairs"}
+				</span>
+			</div>
+
+			{/* Summary */}
+			<div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+				{[
+					{ label: "Meet WCAG AA", value: `${summary.score}%` },
+					{ label: "Fail AA", value: summary.failAA },
+					{ label: "Meet AAA", value: summary.passAAA },
+					{ label: "Meet APCA", value: summary.passAPCA },
+				].map(({ label, value }) => (
+					<div
+						key={label}
+						className="p-4 rounded-xl bg-white/5">
+						<div className="text-2xl font-semibold text-white">{value}</div>
+						<div className="text-xs text-zinc-500">{label}</div>
+					</div>
+				))}
+			</div>
+
+			{/* Pairs, failing first */}
+			<div className="space-y-2">
+				{visible.map((pair) => (
+					<div
+						key={`${pair.foreground}-${pair.background}-${pair.large}`}
+						className="flex items-center gap-4 p-3 rounded-xl bg-white/5">
+						<div
+							className="w-14 h-10 flex-shrink-0 rounded-lg border border-white/10 flex items-center justify-center font-semibold"
+							style={{ color: pair.foreground, backgroundColor: pair.background, fontSize: pair.large ? 20 : 14 }}>
+							Aa
+						</div>
+
+						<div className="flex-1 min-w-0">
+							<div className="flex items-center gap-2 text-sm">
+								<span className="font-mono text-white">{pair.ratio.toFixed(2)}:1</span>
+								<Badge pass={pair.aa}>AA</Badge>
+								<Badge pass={pair.aaa}>AAA</Badge>
+								<Badge pass={pair.apcaPass}>Lc {Math.abs(pair.apca)}</Badge>
+								{pair.overImage && (
+									<span title="Some of this text sits on an image or gradient; check it by eye">
+										<ImageOff className="w-3.5 h-3.5 text-amber-400" />
+									</span>
+								)}
+							</div>
+							<div className="text-xs text-zinc-500 font-mono truncate">
+								{pair.foreground} on {pair.background} · {pair.large ? "large" : "normal"} text ·{" "}
+								{pair.elements} {pair.elements === 1 ? "element" : "elements"}
+							</div>
+							<div className="text-xs text-zinc-400 truncate">
+								{pair.samples
+									.map((sample) => `${sample.element} ${sample.fontSize}px${sample.text ? ` “${sample.text}”` : ""}`)
+									.join(" · ")}
+							</div>
+						</div>
+					</div>
+				))}
+			</div>
+
+			{pairs.length > VISIBLE_PAIRS && (
+				<button
+					onClick={() => setShowAll(!showAll)}
+					className="mt-4 text-sm text-indigo-400 hover:text-indigo-300 transition-colors">
+					{showAll ? "Show fewer" : `Show all ${pairs.length} pairs`}
+				</button>
+			)}
+		</div>
+	);
+}
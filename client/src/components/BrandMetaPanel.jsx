@@ -0,0 +1,141 @@
+import { BadgeCheck, Share2 } from "lucide-react";
+
+const ICON_LABELS = {
+	"apple-touch-icon": "Apple touch",
+	"apple-touch-icon-precomposed": "Apple touch",
+	"mask-icon": "Safari pinned tab",
+};
+
+export default function BrandMetaPanel({ brandMeta }) {
+	if (!brandMeta) return null;
+
+	const { themeColors, tileColor, manifest, icons, openGraph, twitter } = brandMeta;
+
+	// declared colors with where they came from
+	const declared = [
+		...themeColors.map((theme) => ({ ...theme, label: theme.media ? `theme-color ${theme.media}` : "theme-color" })),
+		manifest?.themeColor && { ...manifest.themeColor, label: "manifest theme_color" },
+		manifest?.backgroundColor && { ...manifest.backgroundColor, label: "manifest background_color" },
+		...icons.filter((icon) => icon.color).map((icon) => ({ ...icon.color, label: "mask-icon color" })),
+		tileColor && { ...tileColor, label: "msapplication-TileColor" },
+	].filter(Boolean);
+
+	const iconSet = [
+		...icons.map((icon) => ({ ...icon, label: ICON_LABELS[icon.rel] || icon.rel })),
+		...(manifest?.icons || []).map((icon) => ({
+			...icon,
+			label: icon.purpose?.includes("maskable") ? "manifest maskable" : "manifest",
+		})),
+	];
+
+	const socialImage = openGraph?.image || twitter?.image;
+	const hasContent = declared.length > 0 || iconSet.length > 0 || socialImage || manifest;
+	if (!hasContent) return null;
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<BadgeCheck className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Brand Metadata</h2>
+			</div>
+
+			<div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+				<div className="space-y-6">
+					{/* Declared colors */}
+					{declared.length > 0 && (
+						<div>
+							<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Declared Colors</div>
+							<div className="space-y-2">
+								{declared.map((item, i) => (
+									<div
+										key={i}
+										className="flex items-center gap-3 text-xs">
+										<div
+											className="w-6 h-6 rounded-md border border-white/10 flex-shrink-0"
+											style={{ backgroundColor: item.color }}
+										/>
+										<code className="font-mono text-zinc-300">{item.color}</code>
+										<span className="text-zinc-500 truncate">{item.label}</span>
+									</div>
+								))}
+							</div>
+						</div>
+					)}
+
+					{/* Manifest */}
+					{manifest && (
+						<div>
+							<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Web App Manifest</div>
+							{manifest.error ?
+								<div className="text-xs text-red-400">{manifest.error}</div>
+							:	<div className="text-sm text-white">
+									{manifest.name || manifest.shortName || "Unnamed"}
+									{manifest.shortName && manifest.name && (
+										<span className="text-zinc-500"> · {manifest.shortName}</span>
+									)}
+									{manifest.display && <span className="text-zinc-500"> · {manifest.display}</span>}
+								</div>
+							}
+						</div>
+					)}
+
+					{/* Icons */}
+					{iconSet.length > 0 && (
+						<div>
+							<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Icons</div>
+							<div className="flex flex-wrap gap-3">
+								{iconSet.map((icon, i) => (
+									<a
+										key={i}
+										href={icon.url}
+										target="_blank"
+										rel="noopener noreferrer"
+										title={`${icon.label}${icon.sizes ? ` · ${icon.sizes}` : ""}`}
+										className="flex flex-col items-center gap-1">
+										<div className="w-12 h-12 p-1 rounded-lg bg-white/5 border border-white/10 flex items-center justify-center">
+											<img
+												src={icon.url}
+												alt={icon.label}
+												className="max-w-full max-h-full object-contain"
+											/>
+										</div>
+										<span className="text-[10px] text-zinc-500">{icon.sizes || icon.label}</span>
+									</a>
+								))}
+							</div>
+						</div>
+					)}
+				</div>
+
+				{/* Social card preview */}
+				{(socialImage || openGraph?.title) && (
+					<div>
+						<div className="flex items-center gap-2 text-xs text-zinc-500 uppercase tracking-wider mb-2">
+							<Share2 className="w-3 h-3" />
+							Social Card
+							{twitter?.card && <span className="normal-case tracking-normal">· {twitter.card}</span>}
+						</div>
+						<div className="rounded-xl overflow-hidden border border-white/10 bg-white/5">
+							{socialImage && (
+								<img
+									src={socialImage}
+									alt={openGraph?.imageAlt || "Social image"}
+									className="w-full aspect-[1.91/1] object-cover"
+								/>
+							)}
+							<div className="p-4">
+								{openGraph?.siteName && <div className="text-xs text-zinc-500 mb-1">{openGraph.siteName}</div>}
+								<div className="text-sm font-medium text-white">{openGraph?.title || twitter?.title}</div>
+								{(openGraph?.description || twitter?.description) && (
+									<div className="text-xs text-zinc-400 mt-1 line-clamp-2">
+										{openGraph?.description || twitter?.description}
+									</div>
+								)}
+							</div>
+						</div>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
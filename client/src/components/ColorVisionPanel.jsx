@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { Eye, AlertTriangle } from "lucide-react";
+
+const ROLE_LABELS = {
+	primary: "Primary",
+	secondary: "Secondary",
+	accent: "Accent",
+	background: "Background",
+	text: "Text",
+	error: "Error",
+	success: "Success",
+	warning: "Warning",
+	info: "Info",
+};
+
+// the report's 3x3 linear RGB matrix as feColorMatrix values (4x5, alpha kept)
+const filterValues = (matrix) => [...matrix.flatMap((row) => [...row, 0, 0]), 0, 0, 0, 1, 0].join(" ");
+
+const Swatch = ({ color, title, className = "w-10 h-10" }) => (
+	<div
+		className={`${className} rounded-lg border border-white/10`}
+		style={{ backgroundColor: color }}
+		title={title}
+	/>
+);
+
+export default function ColorVisionPanel({ colorVision, screenshot }) {
+	const [selected, setSelected] = useState(0);
+	if (!colorVision?.simulations?.length) return null;
+
+	const { roles, simulations } = colorVision;
+	const simulation = simulations[selected];
+	const roleNames = Object.keys(roles);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			{/* Filters for the simulated screenshot */}
+			<svg
+				className="absolute w-0 h-0"
+				aria-hidden="true">
+				{simulations.map((s) => (
+					<filter
+						key={s.id}
+						id={`cvd-${s.id}`}>
+						<feColorMatrix
+							type="matrix"
+							values={filterValues(s.matrix)}
+						/>
+					</filter>
+				))}
+			</svg>
+
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Eye className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Color Vision</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{colorVision.confusable === 0 ?
+						"All role colors stay distinguishable"
+					:	`${colorVision.confusable} role ${colorVision.confusable === 1 ? "pair" : "pairs"} at risk`}
+				</span>
+			</div>
+
+			{/* Simulations */}
+			<div className="flex flex-wrap gap-2 mb-6">
+				{simulations.map((s, i) => (
+					<button
+						key={s.id}
+						onClick={() => setSelected(i)}
+						className={`px-3 py-1.5 rounded-lg text-sm transition-colors flex items-center gap-2 ${
+							i === selected ? "bg-indigo-500/20 text-indigo-300" : "bg-white/5 text-zinc-400 hover:text-white"
+						}`}>
+						{s.name}
+						{s.confusable.length > 0 && <span className="text-xs text-amber-400">{s.confusable.length}</span>}
+					</button>
+				))}
+			</div>
+			<p className="text-xs text-zinc-500 mb-6">{simulation.description}</p>
+
+			<div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+				<div className="space-y-6">
+					{/* Role colors, typical vision above simulated */}
+					<div>
+						<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Roles</div>
+						<div className="flex flex-wrap gap-3">
+							{roleNames.map((role) => (
+								<div
+									key={role}
+									className="flex flex-col items-center gap-1">
+									<Swatch
+										color={roles[role].color}
+										title={`${roles[role].color}${roles[role].token ? ` (${roles[role].token})` : ""}`}
+										className="w-10 h-5 rounded-b-none"
+									/>
+									<Swatch
+										color={simulation.roles[role]}
+										title={simulation.roles[role]}
+										className="w-10 h-5 -mt-1 rounded-t-none"
+									/>
+									<span className="text-[10px] text-zinc-500">{ROLE_LABELS[role] || role}</span>
+								</div>
+							))}
+						</div>
+					</div>
+
+					{/* Palette */}
+					{simulation.palette.length > 0 && (
+						<div>
+							<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Palette</div>
+							<div className="flex rounded-lg overflow-hidden border border-white/10">
+								{simulation.palette.map((entry) => (
+									<div
+										key={entry.color}
+										className="flex-1">
+										<div
+											className="h-6"
+											style={{ backgroundColor: entry.color }}
+											title={entry.color}
+										/>
+										<div
+											className="h-6"
+											style={{ backgroundColor: entry.simulated }}
+											title={entry.simulated}
+										/>
+									</div>
+								))}
+							</div>
+						</div>
+					)}
+
+					{/* Pairs that collapse */}
+					<div>
+						<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Hard to Tell Apart</div>
+						{simulation.confusable.length === 0 ?
+							<p className="text-sm text-zinc-400">No role pairs fall under ΔE {colorVision.threshold}.</p>
+						:	<ul className="space-y-2">
+								{simulation.confusable.map((pair) => (
+									<li
+										key={pair.roles.join("-")}
+										className="flex items-center gap-3 text-sm">
+										<AlertTriangle className="w-4 h-4 text-amber-400 flex-shrink-0" />
+										<div className="flex">
+											<Swatch
+												color={pair.simulated[0]}
+												className="w-5 h-5 rounded-r-none"
+											/>
+											<Swatch
+												color={pair.simulated[1]}
+												className="w-5 h-5 rounded-l-none"
+											/>
+										</div>
+										<span className="text-zinc-300">
+											{ROLE_LABELS[pair.roles[0]] || pair.roles[0]} vs{" "}
+											{ROLE_LABELS[pair.roles[1]] || pair.roles[1]}
+										</span>
+										<span className="ml-auto text-xs font-mono text-zinc-500">
+											ΔE {pair.originalDistance} → {pair.distance}
+										</span>
+									</li>
+								))}
+							</ul>
+						}
+					</div>
+				</div>
+
+				{/* Simulated screenshot */}
+				{screenshot && (
+					<div>
+						<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Screenshot</div>
+						<img
+							src={screenshot}
+							alt={`Screenshot as seen with ${simulation.name.toLowerCase()}`}
+							className="w-full h-auto rounded-lg border border-white/10"
+							style={{ filter: `url(#cvd-${simulation.id})` }}
+						/>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
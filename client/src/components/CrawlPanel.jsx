@@ -0,0 +1,84 @@
+import { Network, AlertCircle } from "lucide-react";
+
+export default function CrawlPanel({ crawl }) {
+	if (!crawl?.pages?.length) return null;
+
+	const pathOf = (url) => {
+		try {
+			const { pathname, search } = new URL(url);
+			return pathname + search;
+		} catch (e) {
+			return url;
+		}
+	};
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Network className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Pages Crawled</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{crawl.pagesScanned} of {crawl.pages.length} pages scanned
+				</span>
+			</div>
+
+			<div className="space-y-3">
+				{crawl.pages.map((page, i) => (
+					<div
+						key={i}
+						className="p-4 rounded-xl bg-white/5 flex flex-col md:flex-row md:items-center gap-4">
+						<div className="flex-1 min-w-0">
+							<a
+								href={page.url}
+								target="_blank"
+								rel="noopener noreferrer"
+								className="text-sm font-medium text-white hover:text-indigo-400 truncate block transition-colors">
+								{pathOf(page.url)}
+							</a>
+							<div className="text-xs text-zinc-500 truncate">
+								{page.title || "Untitled"} · depth {page.depth}
+							</div>
+						</div>
+
+						{page.error ?
+							<div className="flex items-center gap-2 text-xs text-red-400">
+								<AlertCircle className="w-4 h-4" />
+								{page.error}
+							</div>
+						:	<div className="flex items-center gap-4">
+								{/* Colors first seen on this page */}
+								<div className="flex -space-x-1">
+									{page.newColors.map((color) => (
+										<div
+											key={color}
+											title={color}
+											className="w-6 h-6 rounded-full border-2 border-[#141416]"
+											style={{ backgroundColor: color }}
+										/>
+									))}
+								</div>
+
+								{/* Fonts first seen on this page */}
+								<div className="flex flex-wrap gap-1">
+									{page.newFonts.map((font) => (
+										<span
+											key={font}
+											className="px-2 py-0.5 rounded-full bg-white/5 text-xs text-zinc-300">
+											{font}
+										</span>
+									))}
+								</div>
+
+								{page.newColors.length === 0 && page.newFonts.length === 0 && (
+									<span className="text-xs text-zinc-600">Nothing new</span>
+								)}
+							</div>
+						}
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
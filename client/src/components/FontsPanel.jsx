@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { FileType, Copy, Check } from "lucide-react";
+
+const PROVIDER_LABELS = {
+	google: "Google Fonts",
+	adobe: "Adobe Fonts",
+	fontshare: "Fontshare",
+	"self-hosted": "Self-hosted",
+	system: "System",
+};
+
+const STATUS_STYLES = {
+	loaded: "bg-green-500/10 text-green-400",
+	local: "bg-sky-500/10 text-sky-400",
+	failed: "bg-red-500/10 text-red-400",
+	unused: "bg-white/5 text-zinc-500",
+	missing: "bg-amber-500/10 text-amber-400",
+};
+
+export default function FontsPanel({ sources }) {
+	const [copied, setCopied] = useState(null);
+
+	if (!sources?.length) return null;
+
+	const copyToClipboard = (text, id) => {
+		navigator.clipboard.writeText(text);
+		setCopied(id);
+		setTimeout(() => setCopied(null), 2000);
+	};
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<FileType className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Font Sources</h2>
+			</div>
+
+			<div className="space-y-4">
+				{sources.map((source, i) => (
+					<div
+						key={source.family}
+						className="p-4 rounded-xl bg-white/5">
+						<div className="flex flex-wrap items-center gap-2 mb-2">
+							<span
+								className="text-base font-medium text-white"
+								style={{ fontFamily: source.family }}>
+								{source.family}
+							</span>
+							<span className="px-2 py-0.5 rounded-full bg-indigo-500/10 text-xs text-indigo-300">
+								{PROVIDER_LABELS[source.provider] || source.provider}
+							</span>
+							<span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[source.status] || ""}`}>
+								{source.status}
+							</span>
+						</div>
+
+						{/* Faces */}
+						{source.faces.length > 0 && (
+							<div className="text-xs text-zinc-500 mb-2">
+								{source.faces.length} {source.faces.length === 1 ? "face" : "faces"} ·{" "}
+								{[...new Set(source.faces.map((face) => face.weight))].join(", ")} ·{" "}
+								{[...new Set(source.faces.flatMap((face) => face.formats))].join(", ") || "unknown format"}
+								{source.faces.some((face) => face.unicodeRange) && " · subset by unicode-range"}
+							</div>
+						)}
+
+						{source.snippet && (
+							<div className="relative">
+								<pre className="p-3 pr-10 rounded-lg bg-black/30 text-xs text-zinc-300 font-mono overflow-x-auto max-h-40">
+									{source.snippet}
+								</pre>
+								<button
+									onClick={() => copyToClipboard(source.snippet, i)}
+									className="absolute top-2 right-2 p-1 rounded hover:bg-white/10 text-zinc-500 hover:text-white transition-colors">
+									{copied === i ?
+										<Check className="w-3 h-3 text-green-400" />
+									:	<Copy className="w-3 h-3" />}
+								</button>
+							</div>
+						)}
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
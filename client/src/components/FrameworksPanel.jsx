@@ -0,0 +1,49 @@
+import { Layers } from "lucide-react";
+
+const KIND_LABELS = {
+	css: "CSS Framework",
+	ui: "UI Kit",
+	icons: "Icon Set",
+};
+
+export default function FrameworksPanel({ frameworks }) {
+	if (!frameworks?.length) return null;
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<Layers className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Built With</h2>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+				{frameworks.map((framework) => (
+					<div
+						key={framework.id}
+						className="p-4 rounded-xl bg-white/5">
+						<div className="flex items-center justify-between gap-2 mb-1">
+							<span className="text-sm font-medium text-white">{framework.name}</span>
+							<span className="text-xs text-zinc-400 font-mono">{Math.round(framework.confidence * 100)}%</span>
+						</div>
+						<div className="text-xs text-zinc-500 mb-3">{KIND_LABELS[framework.kind] || framework.kind}</div>
+						<div className="h-1 rounded-full bg-white/10 mb-3">
+							<div
+								className="h-1 rounded-full bg-indigo-400"
+								style={{ width: `${framework.confidence * 100}%` }}
+							/>
+						</div>
+						<ul className="space-y-1">
+							{framework.evidence.map((item) => (
+								<li
+									key={item}
+									className="text-xs text-zinc-400">
+									{item}
+								</li>
+							))}
+						</ul>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
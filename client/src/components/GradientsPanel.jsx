@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { Blend, Copy, Check } from "lucide-react";
+
+export default function GradientsPanel({ gradients }) {
+	const [copied, setCopied] = useState(null);
+
+	if (!gradients?.length) return null;
+
+	const copyToClipboard = (text, id) => {
+		navigator.clipboard.writeText(text);
+		setCopied(id);
+		setTimeout(() => setCopied(null), 2000);
+	};
+
+	const describe = (gradient) => {
+		const kind = `${gradient.repeating ? "repeating " : ""}${gradient.type}`;
+		if (gradient.type === "radial") return `${kind} · ${gradient.shape}`;
+		return `${kind} · ${Math.round(gradient.angle)}°`;
+	};
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<Blend className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Gradients</h2>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				{gradients.map((gradient, i) => (
+					<div
+						key={i}
+						className="rounded-xl bg-white/5 overflow-hidden">
+						{gradient.usage.includes("text") ?
+							<div
+								className="h-20 flex items-center justify-center text-3xl font-bold"
+								style={{
+									backgroundImage: gradient.css,
+									WebkitBackgroundClip: "text",
+									backgroundClip: "text",
+									color: "transparent",
+								}}>
+								Gradient Text
+							</div>
+						:	<div
+								className="h-20"
+								style={{ backgroundImage: gradient.css }}
+							/>
+						}
+
+						<div className="p-4 space-y-2">
+							<div className="flex items-center justify-between">
+								<span className="text-sm text-white">{describe(gradient)}</span>
+								<button
+									onClick={() => copyToClipboard(`background-image: ${gradient.css};`, i)}
+									className="p-1 rounded hover:bg-white/10 text-zinc-500 hover:text-white transition-colors">
+									{copied === i ?
+										<Check className="w-3 h-3 text-green-400" />
+									:	<Copy className="w-3 h-3" />}
+								</button>
+							</div>
+
+							{/* Stops */}
+							<div className="flex flex-wrap gap-2">
+								{gradient.stops.map((stop, j) => (
+									<div
+										key={j}
+										className="flex items-center gap-1 text-xs text-zinc-400 font-mono">
+										<div
+											className="w-4 h-4 rounded border border-white/10"
+											style={{ backgroundColor: stop.color, opacity: stop.alpha }}
+										/>
+										{stop.color}
+										{stop.position && <span className="text-zinc-600">{stop.position}</span>}
+									</div>
+								))}
+							</div>
+
+							<div
+								className="text-xs text-zinc-600"
+								title={gradient.examples.join(", ")}>
+								{gradient.usage.join(", ")} · {gradient.count}× ·{" "}
+								{Math.round(gradient.area / 1000).toLocaleString()}k px²
+							</div>
+						</div>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
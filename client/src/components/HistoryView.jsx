@@ -116,6 +116,16 @@ export default function HistoryView() {
 										className="group p-4 rounded-xl bg-[#141416] border border-white/5 hover:border-white/10 cursor-pointer transition-all">
 										<div className="flex items-center justify-between">
 											<div className="flex items-center gap-4">
+												{/* Thumbnail of the fold */}
+												{scan.data.screenshots?.page && (
+													<img
+														src={`/api/scans/${scan.id}/assets/${scan.data.screenshots.page.thumbnail || scan.data.screenshots.page.asset}`}
+														alt=""
+														loading="lazy"
+														className="w-20 h-12 rounded-md object-cover object-top border border-white/10"
+													/>
+												)}
+
 												{/* Color Preview */}
 												<div className="flex -space-x-2">
 													{[
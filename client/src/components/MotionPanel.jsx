@@ -0,0 +1,144 @@
+import { Activity } from "lucide-react";
+
+const REDUCED_MOTION_LABELS = {
+	full: "Honors prefers-reduced-motion",
+	partial: "Partly honors prefers-reduced-motion",
+	none: "Ignores prefers-reduced-motion",
+};
+
+const REDUCED_MOTION_STYLES = {
+	full: "bg-emerald-500/10 text-emerald-400",
+	partial: "bg-amber-500/10 text-amber-400",
+	none: "bg-red-500/10 text-red-400",
+};
+
+// the easing curve drawn in a 40x40 box, y pointing up
+const CurvePreview = ({ curve }) => {
+	const [x1, y1, x2, y2] = curve;
+	const point = (x, y) => `${4 + x * 32} ${36 - y * 32}`;
+	return (
+		<svg
+			viewBox="0 0 40 40"
+			className="w-10 h-10 flex-shrink-0 rounded-lg bg-white/5 overflow-visible">
+			<path
+				d={`M ${point(0, 0)} C ${point(x1, y1)}, ${point(x2, y2)}, ${point(1, 1)}`}
+				fill="none"
+				stroke="currentColor"
+				strokeWidth="2"
+				className="text-indigo-400"
+			/>
+		</svg>
+	);
+};
+
+export default function MotionPanel({ motion }) {
+	if (!motion || (!motion.duration?.length && !motion.easing?.length && !motion.animations?.length)) return null;
+
+	const { duration, easing, properties, animations, keyframes, reducedMotion } = motion;
+	const longest = Math.max(...duration.map((step) => step.ms), 1);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Activity className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Motion</h2>
+				</div>
+				{reducedMotion.honored && (
+					<span
+						className={`px-2 py-1 rounded-full text-xs ${REDUCED_MOTION_STYLES[reducedMotion.honored]}`}
+						title={`${reducedMotion.reduced} of ${reducedMotion.active} transitions and animations stop · ${reducedMotion.mediaRules} @media rules`}>
+						{REDUCED_MOTION_LABELS[reducedMotion.honored]}
+					</span>
+				)}
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+				{/* Duration Tokens */}
+				<div className="space-y-3">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider">Durations</div>
+					{duration.length === 0 && <p className="text-sm text-zinc-500">No transitions</p>}
+					{duration.map((step) => (
+						<div
+							key={step.name}
+							className="flex items-center gap-3 text-sm">
+							<code className="w-36 flex-shrink-0 text-white font-mono">{step.name}</code>
+							<div className="flex-1 h-1.5 rounded-full bg-white/5">
+								<div
+									className="h-1.5 rounded-full bg-indigo-400"
+									style={{ width: `${(step.ms / longest) * 100}%` }}
+								/>
+							</div>
+							<span
+								className="w-16 text-right font-mono text-xs text-zinc-400"
+								title={step.members ? `Merged: ${step.members.join(", ")}` : undefined}>
+								{step.value}
+							</span>
+							<span className="w-8 text-right text-xs text-zinc-600">{step.count}×</span>
+						</div>
+					))}
+				</div>
+
+				{/* Easing Tokens */}
+				<div className="space-y-3">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider">Easing</div>
+					{easing.map((step) => (
+						<div
+							key={step.name}
+							className="flex items-center gap-3">
+							{step.curve ?
+								<CurvePreview curve={step.curve} />
+							:	<div className="w-10 h-10 flex-shrink-0 rounded-lg bg-white/5" />}
+							<div className="min-w-0">
+								<code className="block text-sm text-white font-mono">{step.name}</code>
+								<code className="block text-xs text-zinc-400 font-mono truncate">{step.value}</code>
+								<div className="text-xs text-zinc-600">
+									{step.shape} · {step.count}× · {step.examples[0]}
+								</div>
+							</div>
+						</div>
+					))}
+				</div>
+			</div>
+
+			{/* Transitioned properties */}
+			{properties.length > 0 && (
+				<div className="mt-6">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">Transitioned Properties</div>
+					<div className="flex flex-wrap gap-2">
+						{properties.map(({ property, count }) => (
+							<span
+								key={property}
+								className="px-3 py-1 rounded-full bg-white/5 text-xs text-zinc-300 font-mono">
+								{property} <span className="text-zinc-500">{count}</span>
+							</span>
+						))}
+					</div>
+				</div>
+			)}
+
+			{/* Animations and their keyframes */}
+			{animations.length > 0 && (
+				<div className="mt-6">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">
+						Animations · {keyframes.total} @keyframes
+					</div>
+					<ul className="space-y-1">
+						{animations.map((animation) => (
+							<li
+								key={animation.name}
+								className="flex items-center justify-between gap-4 text-xs">
+								<code className="text-white font-mono truncate">@{animation.name}</code>
+								<span className="text-zinc-500 truncate">
+									{animation.duration} {animation.easing}
+									{animation.iterations === "infinite" ? " · loops" : ""}
+									{animation.keyframes ? ` · ${animation.keyframes.properties.join(", ")}` : ""}
+								</span>
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,159 @@
+import { MonitorSmartphone, Menu } from "lucide-react";
+
+const TYPE_ROLES = ["h1", "h2", "h3", "h4", "body"];
+const SPACING_LABELS = { sectionPadding: "Section padding", gutter: "Page gutter", gap: "Flex/grid gap" };
+
+export default function ResponsivePanel({ responsive, assetUrl }) {
+	if (!responsive?.viewports?.length) return null;
+
+	const { viewports, breakpoints, changes } = responsive;
+	const roles = TYPE_ROLES.filter((role) => viewports.some((v) => v.typography[role]));
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<MonitorSmartphone className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Responsive Breakpoints</h2>
+			</div>
+
+			{/* Media query breakpoints from the stylesheets */}
+			{breakpoints?.length > 0 && (
+				<div className="mb-6">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">@media Breakpoints</div>
+					<div className="flex flex-wrap gap-2">
+						{breakpoints.map((bp) => (
+							<span
+								key={`${bp.type}-${bp.value}`}
+								title={`${bp.rules} rules`}
+								className="px-3 py-1 rounded-full bg-white/5 text-xs text-zinc-300 font-mono">
+								{bp.type === "min-width" ? "≥" : "≤"} {bp.value}px
+							</span>
+						))}
+					</div>
+				</div>
+			)}
+
+			{/* Screenshots per viewport */}
+			<div className="flex gap-4 items-start overflow-x-auto pb-2 mb-6">
+				{viewports.map((viewport) => (
+					<div
+						key={viewport.name}
+						className="flex-shrink-0"
+						style={{ width: Math.max(120, viewport.width / 8) }}>
+						{viewport.screenshot?.asset && assetUrl && (
+							<a
+								href={assetUrl(viewport.screenshot.asset)}
+								target="_blank"
+								rel="noopener noreferrer"
+								className="block">
+								<img
+									src={assetUrl(viewport.screenshot.thumbnail || viewport.screenshot.asset)}
+									alt={`${viewport.name} screenshot`}
+									loading="lazy"
+									className="w-full h-auto rounded-lg border border-white/10"
+								/>
+							</a>
+						)}
+						<div className="mt-2 text-xs text-white font-medium">{viewport.name}</div>
+						<div className="text-xs text-zinc-500 flex items-center gap-1">
+							{viewport.width}×{viewport.height}
+							{viewport.navigation.menuToggle && (
+								<Menu className="w-3 h-3" />
+							)}
+						</div>
+					</div>
+				))}
+			</div>
+
+			{/* Type and spacing per viewport */}
+			<div className="overflow-x-auto">
+				<table className="w-full text-sm">
+					<thead>
+						<tr className="text-xs text-zinc-500 uppercase tracking-wider">
+							<th className="text-left font-medium py-2">Token</th>
+							{viewports.map((viewport) => (
+								<th
+									key={viewport.name}
+									className="text-left font-medium py-2">
+									{viewport.name}
+								</th>
+							))}
+						</tr>
+					</thead>
+					<tbody className="text-zinc-300 font-mono text-xs">
+						{roles.map((role) => (
+							<tr
+								key={role}
+								className="border-t border-white/5">
+								<td className="py-2 text-zinc-400 font-sans">{role}</td>
+								{viewports.map((viewport) => (
+									<td
+										key={viewport.name}
+										className="py-2">
+										{viewport.typography[role]?.fontSize || "—"}
+									</td>
+								))}
+							</tr>
+						))}
+						{Object.entries(SPACING_LABELS).map(([key, label]) => (
+							<tr
+								key={key}
+								className="border-t border-white/5">
+								<td className="py-2 text-zinc-400 font-sans">{label}</td>
+								{viewports.map((viewport) => (
+									<td
+										key={viewport.name}
+										className="py-2">
+										{viewport.spacing[key] != null ? `${viewport.spacing[key]}px` : "—"}
+									</td>
+								))}
+							</tr>
+						))}
+						<tr className="border-t border-white/5">
+							<td className="py-2 text-zinc-400 font-sans">Visible colors</td>
+							{viewports.map((viewport) => (
+								<td
+									key={viewport.name}
+									className="py-2">
+									<div className="flex -space-x-1">
+										{[...viewport.colors.backgrounds, ...viewport.colors.text].map((color, i) => (
+											<div
+												key={i}
+												title={color}
+												className="w-5 h-5 rounded-full border-2 border-[#141416]"
+												style={{ backgroundColor: color }}
+											/>
+										))}
+									</div>
+								</td>
+							))}
+						</tr>
+					</tbody>
+				</table>
+			</div>
+
+			{/* Summary of what changes between neighbouring viewports */}
+			{changes?.length > 0 && (
+				<div className="mt-6 pt-6 border-t border-white/5 space-y-2">
+					{changes.map((change) => {
+						const typeChanges = Object.keys(change.typography).length;
+						const spacingChanges = Object.keys(change.spacing).length;
+						return (
+							<div
+								key={`${change.from}-${change.to}`}
+								className="text-xs text-zinc-500">
+								<span className="text-zinc-300">
+									{change.from} → {change.to}:
+								</span>{" "}
+								{typeChanges} type sizes, {spacingChanges} spacing values,{" "}
+								{change.colors.added.length} new colors
+								{change.navigation &&
+									(change.navigation.to.menuToggle ? ", menu collapses" : ", menu expands")}
+							</div>
+						);
+					})}
+				</div>
+			)}
+		</div>
+	);
+}
@@ -9,12 +9,41 @@ import {
 	Check,
 	ExternalLink,
 	Download,
+	Lock,
+	Upload,
 } from "lucide-react";
 import { useState } from "react";
+import CrawlPanel from "./CrawlPanel";
+import SpacingPanel from "./SpacingPanel";
+import SurfacesPanel from "./SurfacesPanel";
+import MotionPanel from "./MotionPanel";
+import VariablesPanel from "./VariablesPanel";
+import GradientsPanel from "./GradientsPanel";
+import StatesPanel from "./StatesPanel";
+import ThemePanel from "./ThemePanel";
+import ResponsivePanel from "./ResponsivePanel";
+import FontsPanel from "./FontsPanel";
+import TypeScalePanel from "./TypeScalePanel";
+import BrandMetaPanel from "./BrandMetaPanel";
+import FrameworksPanel from "./FrameworksPanel";
+import ScanInfoPanel from "./ScanInfoPanel";
+import ScreenshotsPanel from "./ScreenshotsPanel";
+import AccessibilityPanel from "./AccessibilityPanel";
+import ColorVisionPanel from "./ColorVisionPanel";
+
+const TOKEN_FORMATS = [
+	{ id: "json", label: "Design Tokens (JSON)" },
+	{ id: "css", label: "CSS Variables" },
+	{ id: "tailwind", label: "Tailwind Config" },
+	{ id: "scss", label: "Sass Variables" },
+	{ id: "mui", label: "MUI Theme" },
+	{ id: "shadcn", label: "shadcn/ui Theme" },
+];
 
 export default function Results({ scan }) {
 	const navigate = useNavigate();
 	const [copiedColor, setCopiedColor] = useState(null);
+	const [showTokenMenu, setShowTokenMenu] = useState(false);
 
 	if (!scan) {
 		navigate("/");
@@ -27,6 +56,14 @@ export default function Results({ scan }) {
 		setTimeout(() => setCopiedColor(null), 2000);
 	};
 
+	// stored copies outlive the site, so they win over the original URL
+	const assetUrl = (asset, download = false) =>
+		`/api/scans/${scan.id}/assets/${asset}${download ? "?download" : ""}`;
+	const logoSrc = (logo) => (logo?.asset && scan.id ? assetUrl(logo.asset) : logo?.url);
+
+	// authored notation (oklch, display-p3, rgba...) behind a hex fallback
+	const originalNotation = (color) => scan.colors?.palette?.find((p) => p.color === color)?.original;
+
 	const downloadJSON = () => {
 		const dataStr = JSON.stringify(scan, null, 2);
 		const blob = new Blob([dataStr], { type: "application/json" });
@@ -49,36 +86,122 @@ export default function Results({ scan }) {
 					</button>
 					<div>
 						<h1 className="text-2xl font-bold text-white">Design System Analysis</h1>
-						<a
-							href={scan.url}
-							target="_blank"
-							rel="noopener noreferrer"
-							className="text-sm text-zinc-500 hover:text-indigo-400 flex items-center gap-1 transition-colors">
-							{scan.url}
-							<ExternalLink className="w-3 h-3" />
-						</a>
+						{scan.source?.type === "upload" ?
+							<div className="text-sm text-zinc-500 flex items-center gap-1">
+								<Upload className="w-3 h-3" />
+								{[
+									scan.source.filename,
+									scan.source.format.toUpperCase(),
+									`${scan.source.files} ${scan.source.files === 1 ? "file" : "files"}`,
+									scan.source.originalUrl && `saved from ${scan.source.originalUrl}`,
+								]
+									.filter(Boolean)
+									.join(" · ")}
+							</div>
+						:	<a
+								href={scan.url}
+								target="_blank"
+								rel="noopener noreferrer"
+								className="text-sm text-zinc-500 hover:text-indigo-400 flex items-center gap-1 transition-colors">
+								{scan.url}
+								<ExternalLink className="w-3 h-3" />
+							</a>
+						}
+						{scan.session && (
+							<div className="mt-1 text-xs text-zinc-500 flex items-center gap-1">
+								<Lock className="w-3 h-3" />
+								{[
+									scan.session.cookies && `cookies: ${scan.session.cookies.join(", ")}`,
+									scan.session.headers && `headers: ${scan.session.headers.join(", ")}`,
+									scan.session.httpCredentials && "basic auth",
+									scan.session.locale && scan.session.locale,
+									scan.session.steps &&
+										`${scan.session.steps.length} ${scan.session.steps.length === 1 ? "step" : "steps"}`,
+								]
+									.filter(Boolean)
+									.join(" · ")}
+							</div>
+						)}
 					</div>
 				</div>
 
-				<button
-					onClick={downloadJSON}
-					className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 text-zinc-300 transition-colors">
-					<Download className="w-4 h-4" />
-					Export JSON
-				</button>
+				<div className="flex items-center gap-2">
+					{/* tokens are rendered by the server from the saved scan */}
+					{scan.id && (
+						<div className="relative">
+							<button
+								onClick={() => setShowTokenMenu(!showTokenMenu)}
+								className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 text-zinc-300 transition-colors">
+								<Download className="w-4 h-4" />
+								Export Tokens
+							</button>
+							{showTokenMenu && (
+								<div className="absolute right-0 mt-2 w-64 p-1 rounded-lg bg-zinc-800 border border-white/10 shadow-xl z-20">
+									{/* formats that match the detected frameworks come first */}
+									{[
+										...(scan.tokenHints || []).map((hint) => ({
+											...TOKEN_FORMATS.find((format) => format.id === hint.format),
+											hint,
+										})),
+										...TOKEN_FORMATS.filter(
+											(format) => !scan.tokenHints?.some((hint) => hint.format === format.id),
+										),
+									].map((format) => (
+										<a
+											key={format.id}
+											href={`/api/scans/${scan.id}/tokens?format=${format.id}`}
+											onClick={() => setShowTokenMenu(false)}
+											className="block px-3 py-2 rounded-md text-sm text-zinc-300 hover:bg-white/10 hover:text-white transition-colors">
+											{format.label}
+											{format.hint && (
+												<span className="block text-xs text-indigo-300">
+													For {format.hint.framework} · {format.hint.usage}
+												</span>
+											)}
+										</a>
+									))}
+								</div>
+							)}
+						</div>
+					)}
+
+					<button
+						onClick={downloadJSON}
+						className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 text-zinc-300 transition-colors">
+						<Download className="w-4 h-4" />
+						Export JSON
+					</button>
+				</div>
 			</div>
 
 			<div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
 				{/* Left Column - Screenshot & Logo */}
 				<div className="lg:col-span-1 space-y-6">
-					{/* Screenshot */}
-					{scan.screenshot && (
-						<div className="rounded-2xl overflow-hidden border border-white/10">
-							<img
-								src={scan.screenshot}
-								alt="Website screenshot"
-								className="w-full h-auto"
-							/>
+					{/* Screenshots, loaded as thumbnails */}
+					{scan.id && (
+						<ScreenshotsPanel
+							screenshots={scan.screenshots}
+							assetUrl={assetUrl}
+						/>
+					)}
+
+					{/* Overlays removed before the screenshot */}
+					{scan.overlays?.removed?.length > 0 && (
+						<div className="px-4 py-3 rounded-xl bg-white/5 text-xs text-zinc-400">
+							<span className="text-zinc-500">Removed before capture: </span>
+							{scan.overlays.removed
+								.filter((entry) => entry.action !== "invalid")
+								.map((entry) => `${entry.name || entry.selector} (${entry.action})`)
+								.join(", ")}
+							{scan.overlays.removed.some((entry) => entry.action === "invalid") && (
+								<div className="mt-1 text-red-400">
+									Invalid selectors:{" "}
+									{scan.overlays.removed
+										.filter((entry) => entry.action === "invalid")
+										.map((entry) => entry.selector)
+										.join(", ")}
+								</div>
+							)}
 						</div>
 					)}
 
@@ -93,7 +216,7 @@ export default function Results({ scan }) {
 							<div className="flex flex-col items-center gap-4">
 								<div className="w-full p-8 rounded-xl bg-white/5 flex items-center justify-center">
 									<img
-										src={scan.logo.url}
+										src={logoSrc(scan.logo)}
 										alt="Logo"
 										className="max-w-full max-h-24 object-contain"
 										style={{ filter: "drop-shadow(0 0 20px rgba(255,255,255,0.1))" }}
@@ -110,6 +233,60 @@ export default function Results({ scan }) {
 										</span>
 									)}
 								</div>
+
+								{/* Logo colors */}
+								{scan.logo.colors?.length > 0 && (
+									<div className="flex items-center gap-2">
+										{scan.logo.colors.map((item) => (
+											<div
+												key={item.color}
+												title={`${item.color} · ${Math.round(item.share * 100)}%`}
+												className="w-6 h-6 rounded-md border border-white/10 cursor-pointer"
+												style={{ backgroundColor: item.color }}
+												onClick={() => copyToClipboard(item.color, `logo-${item.color}`)}
+											/>
+										))}
+									</div>
+								)}
+
+								{/* Light and dark variants on the backgrounds they're made for */}
+								{scan.logo.variants && (
+									<div className="grid grid-cols-2 gap-2 w-full">
+										<div className="p-3 rounded-lg bg-white flex items-center justify-center">
+											<img
+												src={logoSrc(scan.logo.variants.dark)}
+												alt="Dark logo"
+												className="max-h-10 object-contain"
+											/>
+										</div>
+										<div className="p-3 rounded-lg bg-zinc-900 border border-white/10 flex items-center justify-center">
+											<img
+												src={logoSrc(scan.logo.variants.light)}
+												alt="Light logo"
+												className="max-h-10 object-contain"
+											/>
+										</div>
+									</div>
+								)}
+
+								{/* Downloads */}
+								{scan.id && scan.logo.asset && (
+									<div className="flex flex-wrap justify-center gap-2 text-xs">
+										<a
+											href={assetUrl(scan.logo.asset, true)}
+											className="px-2 py-1 rounded bg-white/5 text-zinc-300 hover:bg-white/10 uppercase">
+											{scan.logo.format}
+										</a>
+										{scan.logo.renditions?.map((rendition) => (
+											<a
+												key={rendition.size}
+												href={assetUrl(rendition.asset, true)}
+												className="px-2 py-1 rounded bg-white/5 text-zinc-300 hover:bg-white/10">
+												PNG {rendition.size}
+											</a>
+										))}
+									</div>
+								)}
 							</div>
 						:	<p className="text-zinc-500 text-sm">No logo detected</p>}
 					</div>
@@ -126,11 +303,17 @@ export default function Results({ scan }) {
 						{/* Primary Colors */}
 						<div className="space-y-4">
 							{[
-								{ label: "Primary", color: scan.colors?.primary, desc: "Main brand color" },
-								{ label: "Secondary", color: scan.colors?.secondary, desc: "Supporting color" },
-								{ label: "Background", color: scan.colors?.background, desc: "Page background" },
-								{ label: "Text", color: scan.colors?.text, desc: "Primary text color" },
+								{ label: "Primary", role: "primary", desc: "Main brand color" },
+								{ label: "Secondary", role: "secondary", desc: "Supporting color" },
+								{ label: "Background", role: "background", desc: "Page background" },
+								{ label: "Text", role: "text", desc: "Primary text color" },
 							]
+								.map((c) => ({
+									...c,
+									color: scan.colors?.[c.role],
+									token: scan.colors?.tokenNames?.[c.role],
+									original: originalNotation(scan.colors?.[c.role]),
+								}))
 								.filter((c) => c.color)
 								.map((item, i) => (
 									<div
@@ -154,6 +337,14 @@ export default function Results({ scan }) {
 											</div>
 											<div className="text-xs text-zinc-500">{item.desc}</div>
 											<code className="text-xs text-zinc-400 font-mono">{item.color}</code>
+											{item.token && (
+												<code className="ml-2 text-xs text-indigo-400 font-mono">{item.token}</code>
+											)}
+											{item.original && (
+												<code className="block text-xs text-zinc-600 font-mono truncate">
+													{item.original}
+												</code>
+											)}
 										</div>
 									</div>
 								))}
@@ -171,13 +362,53 @@ export default function Results({ scan }) {
 											style={{ backgroundColor: item.color }}
 											onClick={() => copyToClipboard(item.color, `palette-${i}`)}>
 											<div className="absolute -bottom-8 left-1/2 -translate-x-1/2 px-2 py-1 rounded bg-zinc-800 text-xs text-white opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10">
-												{item.color}
+												{item.name ? `${item.name} · ${item.color}` : item.color}
+												{item.original && ` · ${item.original}`}
+												{item.variants?.length > 0 &&
+													` · +${item.variants.length} similar (${item.variants.map((v) => v.color).join(", ")})`}
+												{item.imageryOnly && " · imagery only"}
 											</div>
 										</div>
 									))}
 								</div>
 							</div>
 						)}
+
+						{/* Dominant screenshot colors */}
+						{scan.colors?.imagery?.length > 0 && (
+							<div className="mt-6 pt-6 border-t border-white/5">
+								<h3 className="text-sm font-medium text-zinc-400 mb-3">From Screenshot</h3>
+								<div className="flex h-8 rounded-lg overflow-hidden border border-white/10">
+									{scan.colors.imagery.map((item) => (
+										<div
+											key={item.color}
+											title={`${item.color} · ${Math.round(item.share * 100)}%${item.imageryOnly ? " · imagery only" : ""}`}
+											className="cursor-pointer"
+											style={{ backgroundColor: item.color, flexGrow: item.share }}
+											onClick={() => copyToClipboard(item.color, `imagery-${item.color}`)}
+										/>
+									))}
+								</div>
+								{scan.colors.imagery.some((item) => item.imageryOnly) && (
+									<div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-zinc-500">
+										Only in imagery:
+										{scan.colors.imagery
+											.filter((item) => item.imageryOnly)
+											.map((item) => (
+												<span
+													key={item.color}
+													className="flex items-center gap-1 font-mono text-zinc-300">
+													<span
+														className="w-3 h-3 rounded-sm border border-white/10"
+														style={{ backgroundColor: item.color }}
+													/>
+													{item.color}
+												</span>
+											))}
+									</div>
+								)}
+							</div>
+						)}
 					</div>
 				</div>
 
@@ -202,6 +433,12 @@ export default function Results({ scan }) {
 								<div className="text-xs text-zinc-500">
 									Weights: {scan.typography?.heading?.weights?.join(", ") || "400"}
 								</div>
+								{scan.typography?.heading?.rendered &&
+									scan.typography.heading.rendered !== scan.typography.heading.family && (
+										<div className="text-xs text-amber-400 mt-1">
+											Rendered with fallback: {scan.typography.heading.rendered}
+										</div>
+									)}
 							</div>
 
 							{/* Body Font */}
@@ -215,6 +452,12 @@ export default function Results({ scan }) {
 								<div className="text-xs text-zinc-500">
 									Weights: {scan.typography?.body?.weights?.join(", ") || "400"}
 								</div>
+								{scan.typography?.body?.rendered &&
+									scan.typography.body.rendered !== scan.typography.body.family && (
+										<div className="text-xs text-amber-400 mt-1">
+											Rendered with fallback: {scan.typography.body.rendered}
+										</div>
+									)}
 							</div>
 
 							{/* All Fonts */}
@@ -296,6 +539,141 @@ export default function Results({ scan }) {
 					)}
 				</div>
 			</div>
+
+			{/* Frameworks */}
+			{scan.frameworks?.length > 0 && (
+				<div className="mt-6">
+					<FrameworksPanel frameworks={scan.frameworks} />
+				</div>
+			)}
+
+			{/* Brand Metadata */}
+			{scan.brandMeta && (
+				<div className="mt-6">
+					<BrandMetaPanel brandMeta={scan.brandMeta} />
+				</div>
+			)}
+
+			{/* Gradients */}
+			{scan.colors?.gradients?.length > 0 && (
+				<div className="mt-6">
+					<GradientsPanel gradients={scan.colors.gradients} />
+				</div>
+			)}
+
+			{/* Type Scale */}
+			{scan.typography?.scale?.styles?.length > 0 && (
+				<div className="mt-6">
+					<TypeScalePanel scale={scan.typography.scale} />
+				</div>
+			)}
+
+			{/* Font Sources */}
+			{scan.typography?.sources?.length > 0 && (
+				<div className="mt-6">
+					<FontsPanel sources={scan.typography.sources} />
+				</div>
+			)}
+
+			{/* CSS Variables */}
+			{scan.cssVariables?.total > 0 && (
+				<div className="mt-6">
+					<VariablesPanel
+						cssVariables={scan.cssVariables}
+						palette={scan.colors?.palette}
+					/>
+				</div>
+			)}
+
+			{/* Spacing */}
+			{scan.spacing && (
+				<div className="mt-6">
+					<SpacingPanel spacing={scan.spacing} />
+				</div>
+			)}
+
+			{/* Radius & Elevation */}
+			{scan.surfaces && (
+				<div className="mt-6">
+					<SurfacesPanel surfaces={scan.surfaces} />
+				</div>
+			)}
+
+			{/* Motion */}
+			{scan.motion && (
+				<div className="mt-6">
+					<MotionPanel motion={scan.motion} />
+				</div>
+			)}
+
+			{/* Interaction States */}
+			{scan.states && (
+				<div className="mt-6">
+					<StatesPanel states={scan.states} />
+				</div>
+			)}
+
+			{/* Text Contrast */}
+			{scan.accessibility && (
+				<div className="mt-6">
+					<AccessibilityPanel accessibility={scan.accessibility} />
+				</div>
+			)}
+
+			{/* Color Vision Deficiency */}
+			{scan.colorVision && (
+				<div className="mt-6">
+					<ColorVisionPanel
+						colorVision={scan.colorVision}
+						screenshot={
+							scan.id && scan.screenshots?.page ?
+								assetUrl(scan.screenshots.page.thumbnail || scan.screenshots.page.asset)
+							:	null
+						}
+					/>
+				</div>
+			)}
+
+			{/* Light / Dark Themes */}
+			{scan.darkMode && (
+				<div className="mt-6">
+					<ThemePanel
+						light={{
+							colors: scan.colors,
+							typography: scan.typography,
+							logo: { ...scan.logo, url: logoSrc(scan.logo) },
+						}}
+						dark={{ ...scan.darkMode, logo: { ...scan.darkMode.logo, url: logoSrc(scan.darkMode.logo) } }}
+					/>
+				</div>
+			)}
+
+			{/* Responsive Breakpoints */}
+			{scan.responsive && (
+				<div className="mt-6">
+					<ResponsivePanel
+						responsive={scan.responsive}
+						assetUrl={scan.id ? assetUrl : null}
+					/>
+				</div>
+			)}
+
+			{/* Crawled Pages */}
+			{scan.crawl && (
+				<div className="mt-6">
+					<CrawlPanel crawl={scan.crawl} />
+				</div>
+			)}
+
+			{/* Scan Timing */}
+			{(scan.timings || scan.blocking) && (
+				<div className="mt-6">
+					<ScanInfoPanel
+						timings={scan.timings}
+						blocking={scan.blocking}
+					/>
+				</div>
+			)}
 		</div>
 	);
 }
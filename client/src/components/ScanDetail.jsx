@@ -29,7 +29,6 @@ export default function ScanDetail() {
 				id: data.id,
 				url: data.url,
 				scrapedAt: data.scannedAt,
-				screenshot: data.screenshot,
 				...data.data,
 			};
 
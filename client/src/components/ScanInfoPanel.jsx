@@ -0,0 +1,89 @@
+import { Timer } from "lucide-react";
+
+const PHASE_LABELS = {
+	navigation: "Navigation",
+	network: "Network idle",
+	fonts: "Web fonts",
+	layout: "Layout settle",
+	steps: "Login steps",
+	overlays: "Overlays",
+	extraction: "Extraction",
+	capture: "Screenshots",
+	motion: "Motion",
+	states: "Interaction states",
+	darkMode: "Dark mode",
+	responsive: "Responsive",
+	assets: "Logo assets",
+	crawl: "Crawl",
+	classification: "Classification",
+};
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+export default function ScanInfoPanel({ timings, blocking }) {
+	if (!timings && !blocking) return null;
+
+	const phases = Object.entries(timings || {}).filter(([phase]) => PHASE_LABELS[phase]);
+	const longest = Math.max(...phases.map(([, ms]) => ms), 1);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Timer className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Scan Timing</h2>
+				</div>
+				{timings?.total && <span className="text-sm text-zinc-500">{seconds(timings.total)} total</span>}
+			</div>
+
+			<div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+				{/* Phases */}
+				<div className="space-y-2">
+					{phases.map(([phase, ms]) => (
+						<div
+							key={phase}
+							className="flex items-center gap-3 text-xs">
+							<span className="w-32 flex-shrink-0 text-zinc-400">{PHASE_LABELS[phase]}</span>
+							<div className="flex-1 h-1.5 rounded-full bg-white/5">
+								<div
+									className="h-1.5 rounded-full bg-indigo-400"
+									style={{ width: `${(ms / longest) * 100}%` }}
+								/>
+							</div>
+							<span className="w-12 text-right font-mono text-zinc-500">{seconds(ms)}</span>
+						</div>
+					))}
+				</div>
+
+				{/* Blocked requests */}
+				{blocking && (
+					<div>
+						<div className="text-xs text-zinc-500 uppercase tracking-wider mb-2">
+							Blocked Requests · {blocking.profile}
+						</div>
+						<div className="text-2xl font-semibold text-white mb-3">{blocking.blocked}</div>
+						<div className="flex flex-wrap gap-2 mb-3">
+							{Object.entries(blocking.reasons).map(([reason, count]) => (
+								<span
+									key={reason}
+									className="px-2 py-0.5 rounded-full bg-white/5 text-xs text-zinc-400">
+									{reason} {count}
+								</span>
+							))}
+						</div>
+						<ul className="space-y-1">
+							{blocking.topDomains.map(({ domain, count }) => (
+								<li
+									key={domain}
+									className="flex justify-between text-xs">
+									<span className="text-zinc-400 truncate">{domain}</span>
+									<span className="font-mono text-zinc-500">{count}</span>
+								</li>
+							))}
+						</ul>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
@@ -1,19 +1,68 @@
-import { useState } from "react";
-import { Search, Loader2, Globe, Zap, Palette, Type, Image } from "lucide-react";
+import { useRef, useState } from "react";
+import { Search, Loader2, Globe, Zap, Palette, Type, Image, Network, Moon, MonitorSmartphone, EyeOff, Lock, ShieldOff, Upload, X } from "lucide-react";
+
+// matches the server's upload limit
+const MAX_UPLOAD_MB = 40;
+
+const readAsDataUrl = (file) =>
+	new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+		reader.readAsDataURL(file);
+	});
 
 export default function Scanner({ onScanComplete }) {
 	const [url, setUrl] = useState("");
+	// an HTML, MHTML, WARC or zip file scanned instead of the URL
+	const [file, setFile] = useState(null);
+	const fileInput = useRef(null);
 	const [isScanning, setIsScanning] = useState(false);
 	const [error, setError] = useState(null);
 	const [scanPhase, setScanPhase] = useState("");
+	const [crawl, setCrawl] = useState({ enabled: false, maxPages: 5 });
+	const [darkMode, setDarkMode] = useState(false);
+	const [responsive, setResponsive] = useState(false);
+	const [dismissOverlays, setDismissOverlays] = useState(true);
+	const [blocking, setBlocking] = useState("balanced");
+	const [session, setSession] = useState({
+		enabled: false,
+		cookies: "",
+		headers: "",
+		username: "",
+		password: "",
+		locale: "",
+	});
 
 	const handleScan = async (e) => {
 		e.preventDefault();
-		if (!url.trim()) return;
+		if (!url.trim() && !file) return;
+		if (file && file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+			setError(`Uploads are limited to ${MAX_UPLOAD_MB}MB`);
+			return;
+		}
 
 		setIsScanning(true);
 		setError(null);
-		setScanPhase("Connecting to website...");
+		setScanPhase(file ? "Uploading snapshot..." : "Connecting to website...");
+
+		// "Name: value" per line
+		const headers = Object.fromEntries(
+			session.headers
+				.split("\n")
+				.map((line) => line.split(/:(.*)/).map((part) => part?.trim()))
+				.filter(([name, value]) => name && value),
+		);
+		const sessionOptions =
+			session.enabled ?
+				{
+					cookies: session.cookies.trim() || undefined,
+					headers: Object.keys(headers).length > 0 ? headers : undefined,
+					httpCredentials:
+						session.username ? { username: session.username, password: session.password } : undefined,
+					locale: session.locale.trim() || undefined,
+				}
+			:	{};
 
 		try {
 			// simulate phases for UX
@@ -33,17 +82,31 @@ export default function Scanner({ onScanComplete }) {
 				}
 			}, 1500);
 
+			const target =
+				file ?
+					{ source: { type: "upload", filename: file.name, data: await readAsDataUrl(file) } }
+				:	{ url: url.trim() };
+
 			const response = await fetch("/api/scan", {
 				method: "POST",
 				headers: { "Content-Type": "application/json" },
-				body: JSON.stringify({ url: url.trim() }),
+				body: JSON.stringify({
+					...target,
+					crawl: crawl.enabled ? { maxPages: crawl.maxPages } : undefined,
+					darkMode,
+					viewports: responsive ? ["mobile", "tablet", "desktop"] : undefined,
+					overlays: dismissOverlays ? undefined : false,
+					blocking,
+					...sessionOptions,
+				}),
 			});
 
 			clearInterval(phaseInterval);
 
 			if (!response.ok) {
 				const data = await response.json();
-				throw new Error(data.error || "Scan failed");
+				// details carry the reason, e.g. which login step failed
+				throw new Error([data.error || "Scan failed", data.details].filter(Boolean).join(": "));
 			}
 
 			const result = await response.json();
@@ -72,7 +135,7 @@ export default function Scanner({ onScanComplete }) {
 				</h1>
 
 				<p className="text-xl text-zinc-400 leading-relaxed">
-					Enter a URL and we'll analyze its visual identity — colors, typography, logo, and brand
+					Enter a URL, or upload a saved page or build, and we'll analyze its visual identity — colors, typography, logo, and brand
 					voice. Powered by intelligent scraping and AI.
 				</p>
 			</div>
@@ -89,18 +152,50 @@ export default function Scanner({ onScanComplete }) {
 							<Globe className="w-5 h-5" />
 						</div>
 
+						{file ?
+							<div className="flex-1 flex items-center gap-2 px-4 py-5 text-white text-lg min-w-0">
+								<span className="truncate">{file.name}</span>
+								<button
+									type="button"
+									onClick={() => setFile(null)}
+									disabled={isScanning}
+									title="Scan a URL instead"
+									className="p-1 rounded-md text-zinc-500 hover:text-white hover:bg-white/5">
+									<X className="w-4 h-4" />
+								</button>
+							</div>
+						:	<input
+								type="text"
+								value={url}
+								onChange={(e) => setUrl(e.target.value)}
+								placeholder="Enter website URL (e.g., adopt.ai)"
+								className="flex-1 px-4 py-5 bg-transparent text-white text-lg placeholder:text-zinc-600 focus:outline-none"
+								disabled={isScanning}
+							/>
+						}
+
 						<input
-							type="text"
-							value={url}
-							onChange={(e) => setUrl(e.target.value)}
-							placeholder="Enter website URL (e.g., adopt.ai)"
-							className="flex-1 px-4 py-5 bg-transparent text-white text-lg placeholder:text-zinc-600 focus:outline-none"
-							disabled={isScanning}
+							ref={fileInput}
+							type="file"
+							accept=".html,.htm,.mht,.mhtml,.warc,.gz,.zip"
+							onChange={(e) => {
+								setFile(e.target.files[0] || null);
+								e.target.value = "";
+							}}
+							className="hidden"
 						/>
+						<button
+							type="button"
+							onClick={() => fileInput.current.click()}
+							disabled={isScanning}
+							title="Scan an HTML, MHTML, WARC or zip file offline"
+							className="p-3 rounded-lg text-zinc-500 hover:text-white hover:bg-white/5 transition-colors">
+							<Upload className="w-5 h-5" />
+						</button>
 
 						<button
 							type="submit"
-							disabled={isScanning || !url.trim()}
+							disabled={isScanning || (!url.trim() && !file)}
 							className="m-2 px-6 py-3 bg-gradient-to-r from-indigo-500 to-purple-500 hover:from-indigo-400 hover:to-purple-400 disabled:from-zinc-700 disabled:to-zinc-700 text-white font-medium rounded-lg transition-all flex items-center gap-2">
 							{isScanning ?
 								<>
@@ -117,6 +212,141 @@ export default function Scanner({ onScanComplete }) {
 				</div>
 			</form>
 
+			{/* Scan Options */}
+			<div className="w-full max-w-2xl -mt-4 mb-8 flex flex-wrap items-center gap-4 text-sm text-zinc-400">
+				<label className="flex items-center gap-2 cursor-pointer">
+					<input
+						type="checkbox"
+						checked={crawl.enabled}
+						onChange={(e) => setCrawl({ ...crawl, enabled: e.target.checked })}
+						disabled={isScanning}
+						className="accent-indigo-500"
+					/>
+					<Network className="w-4 h-4" />
+					Crawl linked pages
+				</label>
+				{crawl.enabled && (
+					<label className="flex items-center gap-2">
+						up to
+						<input
+							type="number"
+							min={2}
+							max={25}
+							value={crawl.maxPages}
+							onChange={(e) => setCrawl({ ...crawl, maxPages: Number(e.target.value) })}
+							disabled={isScanning}
+							className="w-16 px-2 py-1 rounded-md bg-[#141416] border border-white/10 text-white focus:outline-none"
+						/>
+						pages
+					</label>
+				)}
+				<label className="flex items-center gap-2 cursor-pointer">
+					<input
+						type="checkbox"
+						checked={darkMode}
+						onChange={(e) => setDarkMode(e.target.checked)}
+						disabled={isScanning}
+						className="accent-indigo-500"
+					/>
+					<Moon className="w-4 h-4" />
+					Dark mode
+				</label>
+				<label className="flex items-center gap-2 cursor-pointer">
+					<input
+						type="checkbox"
+						checked={responsive}
+						onChange={(e) => setResponsive(e.target.checked)}
+						disabled={isScanning}
+						className="accent-indigo-500"
+					/>
+					<MonitorSmartphone className="w-4 h-4" />
+					Responsive
+				</label>
+				<label className="flex items-center gap-2 cursor-pointer">
+					<input
+						type="checkbox"
+						checked={dismissOverlays}
+						onChange={(e) => setDismissOverlays(e.target.checked)}
+						disabled={isScanning}
+						className="accent-indigo-500"
+					/>
+					<EyeOff className="w-4 h-4" />
+					Dismiss overlays
+				</label>
+				<label className="flex items-center gap-2 cursor-pointer">
+					<input
+						type="checkbox"
+						checked={session.enabled}
+						onChange={(e) => setSession({ ...session, enabled: e.target.checked })}
+						disabled={isScanning}
+						className="accent-indigo-500"
+					/>
+					<Lock className="w-4 h-4" />
+					Signed in
+				</label>
+				<label className="flex items-center gap-2">
+					<ShieldOff className="w-4 h-4" />
+					Block
+					<select
+						value={blocking}
+						onChange={(e) => setBlocking(e.target.value)}
+						disabled={isScanning}
+						className="px-2 py-1 rounded-md bg-[#141416] border border-white/10 text-white focus:outline-none">
+						<option value="balanced">trackers & media</option>
+						<option value="strict">strict</option>
+						<option value="off">nothing</option>
+					</select>
+				</label>
+			</div>
+
+			{/* Session settings, sent with the scan but never stored */}
+			{session.enabled && (
+				<div className="w-full max-w-2xl -mt-4 mb-8 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+					<input
+						type="text"
+						value={session.cookies}
+						onChange={(e) => setSession({ ...session, cookies: e.target.value })}
+						placeholder="Cookies (name=value; name2=value2)"
+						disabled={isScanning}
+						className="md:col-span-2 px-3 py-2 rounded-lg bg-[#141416] border border-white/10 text-white placeholder:text-zinc-600 focus:outline-none"
+					/>
+					<textarea
+						value={session.headers}
+						onChange={(e) => setSession({ ...session, headers: e.target.value })}
+						placeholder={"Headers, one per line\nAuthorization: Bearer ..."}
+						rows={2}
+						disabled={isScanning}
+						className="md:col-span-2 px-3 py-2 rounded-lg bg-[#141416] border border-white/10 text-white placeholder:text-zinc-600 focus:outline-none font-mono text-xs"
+					/>
+					<input
+						type="text"
+						value={session.username}
+						onChange={(e) => setSession({ ...session, username: e.target.value })}
+						placeholder="Basic auth username"
+						autoComplete="off"
+						disabled={isScanning}
+						className="px-3 py-2 rounded-lg bg-[#141416] border border-white/10 text-white placeholder:text-zinc-600 focus:outline-none"
+					/>
+					<input
+						type="password"
+						value={session.password}
+						onChange={(e) => setSession({ ...session, password: e.target.value })}
+						placeholder="Basic auth password"
+						autoComplete="new-password"
+						disabled={isScanning}
+						className="px-3 py-2 rounded-lg bg-[#141416] border border-white/10 text-white placeholder:text-zinc-600 focus:outline-none"
+					/>
+					<input
+						type="text"
+						value={session.locale}
+						onChange={(e) => setSession({ ...session, locale: e.target.value })}
+						placeholder="Language (e.g. de-DE)"
+						disabled={isScanning}
+						className="px-3 py-2 rounded-lg bg-[#141416] border border-white/10 text-white placeholder:text-zinc-600 focus:outline-none"
+					/>
+				</div>
+			)}
+
 			{/* Scanning Status */}
 			{isScanning && (
 				<div className="flex flex-col items-center gap-4 mb-8">
@@ -0,0 +1,68 @@
+import { Maximize2 } from "lucide-react";
+
+const KIND_LABELS = { header: "Header", section: "Section", footer: "Footer" };
+
+export default function ScreenshotsPanel({ screenshots, assetUrl }) {
+	if (!screenshots?.page) return null;
+
+	const { page, sections = [] } = screenshots;
+
+	return (
+		<div className="space-y-4">
+			{/* Thumbnail of the fold, opening the full-page capture */}
+			<a
+				href={assetUrl(page.asset)}
+				target="_blank"
+				rel="noopener noreferrer"
+				className="group relative block rounded-2xl overflow-hidden border border-white/10">
+				<img
+					src={assetUrl(page.thumbnail || page.asset)}
+					alt="Website screenshot"
+					className="w-full h-auto"
+				/>
+				{page.height && (
+					<span className="absolute bottom-2 right-2 px-2 py-1 rounded-md bg-black/70 text-xs text-zinc-300 flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+						<Maximize2 className="w-3 h-3" />
+						Full page {page.width}×{page.height}
+						{page.truncated && " (cut off)"}
+					</span>
+				)}
+			</a>
+
+			{/* One crop per header, section and footer */}
+			{sections.length > 0 && (
+				<div className="p-4 rounded-2xl bg-[#141416] border border-white/5">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-3">
+						Sections · {sections.length}
+					</div>
+					<div className="grid grid-cols-2 gap-3">
+						{sections.map((section) => (
+							<a
+								key={section.asset}
+								href={assetUrl(section.asset)}
+								target="_blank"
+								rel="noopener noreferrer"
+								title={section.label || KIND_LABELS[section.kind]}
+								className="block group">
+								<div className="h-20 rounded-lg overflow-hidden border border-white/10 bg-white/5">
+									<img
+										src={assetUrl(section.thumbnail || section.asset)}
+										alt={`${KIND_LABELS[section.kind]} screenshot`}
+										loading="lazy"
+										className="w-full h-full object-cover object-top"
+									/>
+								</div>
+								<div className="mt-1 text-xs text-zinc-400 truncate group-hover:text-white transition-colors">
+									{section.label || KIND_LABELS[section.kind]}
+								</div>
+								<div className="text-xs text-zinc-600">
+									{KIND_LABELS[section.kind]} · {section.height}px
+								</div>
+							</a>
+						))}
+					</div>
+				</div>
+			)}
+		</div>
+	);
+}
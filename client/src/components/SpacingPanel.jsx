@@ -0,0 +1,70 @@
+import { Ruler, LayoutGrid } from "lucide-react";
+
+export default function SpacingPanel({ spacing }) {
+	if (!spacing?.scale?.length) return null;
+
+	const largest = Math.max(...spacing.scale.map((step) => step.value));
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Ruler className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Spacing &amp; Layout</h2>
+				</div>
+				<span className="text-sm text-zinc-500">{spacing.sampled} values sampled</span>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+				<div className="p-4 rounded-xl bg-white/5">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Base Unit</div>
+					<div className="text-lg font-semibold text-white">
+						{spacing.baseUnit ? `${spacing.baseUnit}px grid` : "No clear grid"}
+					</div>
+					<div className="text-xs text-zinc-500">
+						{Math.round(spacing.gridFit[spacing.baseUnit || 4] * 100)}% of values on grid
+					</div>
+				</div>
+				<div className="p-4 rounded-xl bg-white/5">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Container</div>
+					<div className="text-lg font-semibold text-white">
+						{spacing.container ? `${spacing.container.maxWidth}px` : "Full width"}
+					</div>
+					{spacing.container?.padding > 0 && (
+						<div className="text-xs text-zinc-500">{spacing.container.padding}px side padding</div>
+					)}
+				</div>
+				<div className="p-4 rounded-xl bg-white/5">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Column Grid</div>
+					<div className="text-lg font-semibold text-white flex items-center gap-2">
+						<LayoutGrid className="w-4 h-4 text-zinc-400" />
+						{spacing.grid ? `${spacing.grid.columns} columns` : "None detected"}
+					</div>
+					{spacing.grid && <div className="text-xs text-zinc-500">{spacing.grid.gutter}px gutter</div>}
+				</div>
+			</div>
+
+			{/* Scale */}
+			<div className="space-y-2">
+				{spacing.scale.map((step) => (
+					<div
+						key={step.name}
+						className="flex items-center gap-4 text-xs">
+						<code className="w-16 text-zinc-400 font-mono">{step.name}</code>
+						<code className="w-12 text-white font-mono">{step.value}px</code>
+						<div className="flex-1">
+							<div
+								className="h-3 rounded bg-indigo-500/60"
+								style={{ width: `${Math.max((step.value / largest) * 100, 2)}%` }}
+							/>
+						</div>
+						<span className="w-16 text-right text-zinc-500">
+							{step.multiple != null ? `×${step.multiple}` : ""}
+						</span>
+						<span className="w-12 text-right text-zinc-600">{step.count}</span>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
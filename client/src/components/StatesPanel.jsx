@@ -0,0 +1,82 @@
+import { MousePointerClick } from "lucide-react";
+
+const STATES = ["hover", "focus", "active", "disabled"];
+
+// computed style names map directly onto React style keys
+const previewStyle = (rest, delta = {}) => {
+	const style = { ...rest, ...delta };
+	return {
+		backgroundColor: style.backgroundColor,
+		color: style.color,
+		border: `1px solid ${style.borderColor}`,
+		borderRadius: style.borderRadius,
+		boxShadow: style.boxShadow === "none" ? undefined : style.boxShadow,
+		outline: style.outline === "none" ? undefined : style.outline,
+		transform: style.transform === "none" ? undefined : style.transform,
+		opacity: style.opacity,
+		textDecorationLine: style.textDecorationLine,
+	};
+};
+
+function VariantRow({ variant }) {
+	const states = STATES.filter((state) => variant[state]);
+
+	return (
+		<div className="p-4 rounded-xl bg-white/5">
+			<div className="flex items-center justify-between mb-3">
+				<code className="text-sm text-white font-mono">{variant.variant}</code>
+				<code className="text-xs text-zinc-500 font-mono truncate ml-4">{variant.element}</code>
+			</div>
+
+			<div className="flex flex-wrap gap-4">
+				{["rest", ...states].map((state) => {
+					const delta = state === "rest" ? {} : variant[state];
+					const changed = Object.keys(delta);
+					return (
+						<div
+							key={state}
+							className="flex flex-col items-start gap-2">
+							<div className="p-3 rounded-lg bg-white">
+								<span
+									className="inline-block px-4 py-2 text-sm whitespace-nowrap"
+									style={previewStyle(variant.rest, delta)}>
+									{variant.text || "Button"}
+								</span>
+							</div>
+							<div className="text-xs text-zinc-400">{state}</div>
+							{state !== "rest" && (
+								<div
+									className="text-xs text-zinc-600 max-w-[10rem]"
+									title={changed.map((key) => `${key}: ${delta[key]}`).join("\n")}>
+									{changed.length ? changed.join(", ") : "no change"}
+								</div>
+							)}
+						</div>
+					);
+				})}
+			</div>
+		</div>
+	);
+}
+
+export default function StatesPanel({ states }) {
+	if (!states || (!states.buttons?.length && !states.links?.length)) return null;
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center gap-2 mb-6">
+				<MousePointerClick className="w-5 h-5 text-indigo-400" />
+				<h2 className="text-lg font-semibold text-white">Interaction States</h2>
+			</div>
+
+			<div className="space-y-3">
+				{[...states.buttons, ...states.links].map((variant) => (
+					<VariantRow
+						key={variant.variant}
+						variant={variant}
+					/>
+				))}
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Layers, Copy, Check } from "lucide-react";
+
+export default function SurfacesPanel({ surfaces }) {
+	const [copied, setCopied] = useState(null);
+
+	if (!surfaces || (!surfaces.radius?.length && !surfaces.shadow?.length)) return null;
+
+	const copyToClipboard = (text, id) => {
+		navigator.clipboard.writeText(text);
+		setCopied(id);
+		setTimeout(() => setCopied(null), 2000);
+	};
+
+	const usageLabel = (usage) =>
+		Object.entries(usage)
+			.map(([kind, count]) => `${count} ${kind}${count === 1 ? "" : "s"}`)
+			.join(", ");
+
+	const TokenRow = ({ token, preview, property }) => (
+		<div className="flex items-center gap-4">
+			{preview}
+			<div className="flex-1 min-w-0">
+				<div className="flex items-center gap-2">
+					<code className="text-sm text-white font-mono">{token.name}</code>
+					<button
+						onClick={() => copyToClipboard(`${property}: ${token.value};`, token.name)}
+						className="p-1 rounded hover:bg-white/10 text-zinc-500 hover:text-white transition-colors">
+						{copied === token.name ?
+							<Check className="w-3 h-3 text-green-400" />
+						:	<Copy className="w-3 h-3" />}
+					</button>
+				</div>
+				<code className="block text-xs text-zinc-400 font-mono truncate">{token.value}</code>
+				<div
+					className="text-xs text-zinc-600 truncate"
+					title={token.examples.join(", ")}>
+					{usageLabel(token.usage)} · {token.examples[0]}
+				</div>
+			</div>
+		</div>
+	);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Layers className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Radius &amp; Elevation</h2>
+				</div>
+				<span className="text-sm text-zinc-500">{surfaces.sampled} components sampled</span>
+			</div>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+				{/* Radius Tokens */}
+				<div className="space-y-4">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider">Border Radius</div>
+					{surfaces.radius.length === 0 && <p className="text-sm text-zinc-500">No rounded corners</p>}
+					{surfaces.radius.map((token) => (
+						<TokenRow
+							key={token.name}
+							token={token}
+							property="border-radius"
+							preview={
+								<div
+									className="w-12 h-12 flex-shrink-0 bg-indigo-500/20 border-2 border-indigo-400"
+									style={{ borderRadius: token.value }}
+								/>
+							}
+						/>
+					))}
+				</div>
+
+				{/* Shadow Tokens */}
+				<div className="space-y-4">
+					<div className="text-xs text-zinc-500 uppercase tracking-wider">Shadows</div>
+					{surfaces.shadow.length === 0 && <p className="text-sm text-zinc-500">No shadows</p>}
+					{surfaces.shadow.map((token) => (
+						<TokenRow
+							key={token.name}
+							token={token}
+							property="box-shadow"
+							preview={
+								<div
+									className="w-12 h-12 flex-shrink-0 rounded-lg bg-white"
+									style={{ boxShadow: token.value }}
+								/>
+							}
+						/>
+					))}
+				</div>
+			</div>
+
+			{/* Outlines & Backdrop Filters */}
+			{(surfaces.outline?.length > 0 || surfaces.backdropFilter?.length > 0) && (
+				<div className="mt-6 pt-6 border-t border-white/5 flex flex-wrap gap-2">
+					{surfaces.outline.map((item) => (
+						<span
+							key={item.value}
+							title={item.examples.join(", ")}
+							className="px-3 py-1 rounded-full bg-white/5 text-xs text-zinc-300 font-mono">
+							outline: {item.value} ×{item.count}
+						</span>
+					))}
+					{surfaces.backdropFilter.map((item) => (
+						<span
+							key={item.value}
+							title={item.examples.join(", ")}
+							className="px-3 py-1 rounded-full bg-white/5 text-xs text-zinc-300 font-mono">
+							backdrop-filter: {item.value} ×{item.count}
+						</span>
+					))}
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,103 @@
+import { Sun, Moon } from "lucide-react";
+
+const ROLES = [
+	{ key: "primary", label: "Primary" },
+	{ key: "secondary", label: "Secondary" },
+	{ key: "accent", label: "Accent" },
+	{ key: "background", label: "Background" },
+	{ key: "text", label: "Text" },
+];
+
+function ThemeColumn({ icon: Icon, title, colors, typography, logo }) {
+	return (
+		<div
+			className="flex-1 p-5 rounded-xl border border-white/10"
+			style={{ backgroundColor: colors?.background, color: colors?.text }}>
+			<div className="flex items-center gap-2 mb-4 text-sm font-semibold">
+				<Icon className="w-4 h-4" />
+				{title}
+			</div>
+
+			{logo?.url && (
+				<img
+					src={logo.url}
+					alt={`${title} logo`}
+					className="max-h-10 max-w-full object-contain mb-4"
+				/>
+			)}
+
+			<div className="space-y-2">
+				{ROLES.filter((role) => colors?.[role.key]).map((role) => (
+					<div
+						key={role.key}
+						className="flex items-center gap-3">
+						<div
+							className="w-8 h-8 rounded-lg border border-black/10"
+							style={{ backgroundColor: colors[role.key] }}
+						/>
+						<div className="text-xs">
+							<div className="font-medium">{role.label}</div>
+							<code className="font-mono opacity-70">{colors[role.key]}</code>
+						</div>
+					</div>
+				))}
+			</div>
+
+			{colors?.palette?.length > 0 && (
+				<div className="flex flex-wrap gap-1 mt-4">
+					{colors.palette.map((item) => (
+						<div
+							key={item.color}
+							title={item.color}
+							className="w-6 h-6 rounded-md border border-black/10"
+							style={{ backgroundColor: item.color }}
+						/>
+					))}
+				</div>
+			)}
+
+			<div className="mt-4 text-xs opacity-70">
+				{typography?.heading?.family} / {typography?.body?.family}
+			</div>
+		</div>
+	);
+}
+
+export default function ThemePanel({ light, dark }) {
+	if (!dark) return null;
+
+	const method =
+		dark.toggle ?
+			dark.toggle.type === "class" ?
+				`.${dark.toggle.value} class`
+			:	`[${dark.toggle.name}="${dark.toggle.value}"]`
+		: dark.mediaQuery ? "prefers-color-scheme media query"
+		: null;
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Moon className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Light &amp; Dark Themes</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{method ? `Dark theme via ${method}` : "No dark theme detected"}
+				</span>
+			</div>
+
+			<div className="flex flex-col md:flex-row gap-4">
+				<ThemeColumn
+					icon={Sun}
+					title="Light"
+					{...light}
+				/>
+				<ThemeColumn
+					icon={Moon}
+					title="Dark"
+					{...dark}
+				/>
+			</div>
+		</div>
+	);
+}
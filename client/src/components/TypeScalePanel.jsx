@@ -0,0 +1,55 @@
+import { Heading } from "lucide-react";
+
+const SAMPLES = {
+	body: "The quick brown fox jumps over the lazy dog",
+	small: "Supporting text and metadata",
+	caption: "Caption text",
+};
+
+export default function TypeScalePanel({ scale }) {
+	if (!scale?.styles?.length) return null;
+
+	const tracking = (em) => (em === 0 ? "0" : `${em}em`);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Heading className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">Type Scale</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{scale.base}px base
+					{scale.ratio &&
+						` · ${scale.ratio.value} ratio${scale.ratio.name ? ` (${scale.ratio.name})` : ""}`}
+				</span>
+			</div>
+
+			<div className="divide-y divide-white/5">
+				{scale.styles.map((style) => (
+					<div
+						key={style.name}
+						className="flex flex-col md:flex-row md:items-center gap-2 md:gap-6 py-3">
+						<div className="w-16 flex-shrink-0 text-xs font-mono text-indigo-300">{style.name}</div>
+						<div
+							className="flex-1 min-w-0 text-white truncate"
+							style={{
+								fontFamily: style.family,
+								// previews are capped so h1 doesn't overflow the card
+								fontSize: `${Math.min(style.size, 48)}px`,
+								fontWeight: style.weight,
+								lineHeight: style.lineHeight,
+								letterSpacing: tracking(style.letterSpacing),
+								textTransform: style.textTransform,
+							}}>
+							{SAMPLES[style.name] || "Heading sample"}
+						</div>
+						<div className="text-xs text-zinc-500 font-mono md:text-right flex-shrink-0">
+							{style.size}px / {style.lineHeight} · {style.weight} · {tracking(style.letterSpacing)}
+						</div>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
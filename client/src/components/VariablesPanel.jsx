@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { Braces } from "lucide-react";
+
+const CATEGORIES = ["color", "size", "font", "shadow", "other"];
+
+export default function VariablesPanel({ cssVariables, palette = [] }) {
+	const [category, setCategory] = useState("color");
+
+	if (!cssVariables?.tokens?.length) return null;
+
+	const paletteColors = new Set(palette.map((entry) => entry.color));
+	const tokens = cssVariables.tokens.filter((token) => token.category === category);
+
+	return (
+		<div className="p-6 rounded-2xl bg-[#141416] border border-white/5">
+			<div className="flex items-center justify-between mb-6">
+				<div className="flex items-center gap-2">
+					<Braces className="w-5 h-5 text-indigo-400" />
+					<h2 className="text-lg font-semibold text-white">CSS Variables</h2>
+				</div>
+				<span className="text-sm text-zinc-500">
+					{cssVariables.total} custom properties in {cssVariables.scopes.length}{" "}
+					{cssVariables.scopes.length === 1 ? "scope" : "scopes"}
+				</span>
+			</div>
+
+			{/* Category Tabs */}
+			<div className="flex flex-wrap gap-2 mb-4">
+				{CATEGORIES.filter((c) => cssVariables.byCategory[c]).map((c) => (
+					<button
+						key={c}
+						onClick={() => setCategory(c)}
+						className={`px-3 py-1 rounded-full text-xs transition-colors ${
+							category === c ? "bg-indigo-500 text-white" : "bg-white/5 text-zinc-400 hover:text-white"
+						}`}>
+						{c} ({cssVariables.byCategory[c]})
+					</button>
+				))}
+			</div>
+
+			<div className="max-h-96 overflow-y-auto divide-y divide-white/5">
+				{tokens.map((token, i) => (
+					<div
+						key={`${token.scope}-${token.name}-${i}`}
+						className="flex items-center gap-3 py-2 text-xs">
+						{token.hex && (
+							<div
+								className="w-6 h-6 rounded-md border border-white/10 flex-shrink-0"
+								style={{ backgroundColor: token.hex }}
+							/>
+						)}
+						<code className="text-white font-mono">{token.name}</code>
+						<code
+							className="flex-1 text-zinc-400 font-mono truncate"
+							title={token.value}>
+							{token.value}
+						</code>
+						{token.hex && paletteColors.has(token.hex) && (
+							<span className="px-2 py-0.5 rounded-full bg-indigo-500/10 text-indigo-400">in palette</span>
+						)}
+						<span className="text-zinc-600 font-mono truncate max-w-[30%]">
+							{token.scope}
+							{token.media && ` @media ${token.media}`}
+						</span>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,114 @@
+// Request blocking during scans. Trackers, ads and media keep pages from going
+// idle and never change how a page looks, so they're aborted. Blocking by type
+// never touches documents, stylesheets, fonts or images; tracker domains are
+// blocked outright since their images are only beacons.
+
+// matched against the request hostname and its parent domains
+export const TRACKER_DOMAINS = [
+	"google-analytics.com",
+	"googletagmanager.com",
+	"doubleclick.net",
+	"googlesyndication.com",
+	"googleadservices.com",
+	"adservice.google.com",
+	"connect.facebook.net",
+	"hotjar.com",
+	"hotjar.io",
+	"segment.io",
+	"cdn.segment.com",
+	"mixpanel.com",
+	"amplitude.com",
+	"heapanalytics.com",
+	"fullstory.com",
+	"clarity.ms",
+	"bat.bing.com",
+	"static.ads-twitter.com",
+	"analytics.twitter.com",
+	"snap.licdn.com",
+	"px.ads.linkedin.com",
+	"analytics.tiktok.com",
+	"criteo.com",
+	"criteo.net",
+	"taboola.com",
+	"outbrain.com",
+	"adnxs.com",
+	"amazon-adsystem.com",
+	"quantserve.com",
+	"scorecardresearch.com",
+	"nr-data.net",
+	"hs-analytics.net",
+	"mouseflow.com",
+	"crazyegg.com",
+	"luckyorange.com",
+	"mc.yandex.ru",
+	"plausible.io",
+];
+
+// resource types a profile may block; the rest render the page
+export const BLOCKABLE_TYPES = [
+	"media",
+	"script",
+	"texttrack",
+	"xhr",
+	"fetch",
+	"prefetch",
+	"eventsource",
+	"websocket",
+	"manifest",
+	"ping",
+	"cspviolationreport",
+	"other",
+];
+
+export const BLOCK_PROFILES = {
+	off: { trackers: false, types: [] },
+	balanced: { trackers: true, types: ["media", "ping", "prefetch", "cspviolationreport"] },
+	strict: {
+		trackers: true,
+		types: ["media", "ping", "prefetch", "cspviolationreport", "texttrack", "eventsource", "websocket"],
+	},
+};
+
+export const DEFAULT_PROFILE = "balanced";
+
+const matchesDomain = (hostname, domains) =>
+	domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Merges a profile with custom types and domains into the rules used per request.
+ */
+export function blockingRules({ profile = DEFAULT_PROFILE, types = [], domains = [] } = {}) {
+	if (!Object.hasOwn(BLOCK_PROFILES, profile)) {
+		throw new Error(`Unknown blocking profile: ${profile}`);
+	}
+
+	const base = BLOCK_PROFILES[profile];
+	return {
+		profile,
+		types: [...new Set([...base.types, ...types])],
+		domains: [...new Set([...(base.trackers ? TRACKER_DOMAINS : []), ...domains])],
+	};
+}
+
+/**
+ * Why a request should be blocked ("tracker", "domain" or its resource type),
+ * or null to let it through.
+ */
+export function blockReason(rules, { url, resourceType }) {
+	if (resourceType === "document") return null;
+
+	let hostname;
+	try {
+		hostname = new URL(url).hostname;
+	} catch (e) {
+		return null;
+	}
+
+	if (matchesDomain(hostname, rules.domains)) {
+		return matchesDomain(hostname, TRACKER_DOMAINS) ? "tracker" : "domain";
+	}
+	if (BLOCKABLE_TYPES.includes(resourceType) && rules.types.includes(resourceType)) return resourceType;
+	return null;
+}
+
+export default blockingRules;
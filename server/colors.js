@@ -0,0 +1,423 @@
+// Color parsing and normalization for computed CSS colors.
+// Modern Chrome serializes computed colors in their authored space (oklch(), lab(),
+// color(display-p3 ...)), so everything is parsed here rather than in the page.
+
+const multiply = (matrix, [x, y, z]) => matrix.map((row) => row[0] * x + row[1] * y + row[2] * z);
+
+// conversion matrices from the CSS Color 4 sample code
+const XYZ_TO_LINEAR_SRGB = [
+	[3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+	[-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+	[0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const LINEAR_P3_TO_XYZ = [
+	[0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+	[0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+	[0, 0.04511338185890264, 1.043944368900976],
+];
+const LINEAR_A98_TO_XYZ = [
+	[0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+	[0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+	[0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+];
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+	[0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+	[0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+	[0, 0, 0.8251046025104601],
+];
+const LINEAR_REC2020_TO_XYZ = [
+	[0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+	[0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+	[0, 0.028072693049087428, 1.060985057710791],
+];
+const D50_TO_D65 = [
+	[0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+	[-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+	[0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// sRGB transfer function (also used by display-p3)
+const toLinear = (c) => {
+	const abs = Math.abs(c);
+	return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * ((abs + 0.055) / 1.055) ** 2.4;
+};
+const fromLinear = (c) => {
+	const abs = Math.abs(c);
+	return abs > 0.0031308 ? Math.sign(c) * (1.055 * abs ** (1 / 2.4) - 0.055) : 12.92 * c;
+};
+
+const xyzToSrgb = (xyz) => multiply(XYZ_TO_LINEAR_SRGB, xyz).map(fromLinear);
+
+const labToXyzD50 = ([l, a, b]) => {
+	const kappa = 24389 / 27;
+	const epsilon = 216 / 24389;
+	const fy = (l + 16) / 116;
+	const fx = a / 500 + fy;
+	const fz = fy - b / 200;
+	const xyz = [
+		fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa,
+		l > kappa * epsilon ? fy ** 3 : l / kappa,
+		fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa,
+	];
+	return xyz.map((v, i) => v * D50_WHITE[i]);
+};
+
+const oklabToSrgb = ([l, a, b]) => {
+	const lms = [
+		(l + 0.3963377774 * a + 0.2158037573 * b) ** 3,
+		(l - 0.1055613458 * a - 0.0638541728 * b) ** 3,
+		(l - 0.0894841775 * a - 1.291485548 * b) ** 3,
+	];
+	return multiply(
+		[
+			[4.0767416621, -3.3077115913, 0.2309699292],
+			[-1.2684380046, 2.6097574011, -0.3413193965],
+			[-0.0041960863, -0.7034186147, 1.707614701],
+		],
+		lms,
+	).map(fromLinear);
+};
+
+/**
+ * Converts gamma-encoded sRGB (0-1 channels) to OKLab.
+ */
+export function srgbToOklab([r, g, b]) {
+	const linear = [r, g, b].map(toLinear);
+	const lms = multiply(
+		[
+			[0.4122214708, 0.5363132835, 0.0514655448],
+			[0.2119034982, 0.6806995451, 0.1073969566],
+			[0.0883024619, 0.2817188376, 0.6299787005],
+		],
+		linear,
+	).map(Math.cbrt);
+	return multiply(
+		[
+			[0.2104542553, 0.793617785, -0.0040720468],
+			[1.9779984951, -2.428592205, 0.4505937099],
+			[0.0259040371, 0.7827717662, -0.808675766],
+		],
+		lms,
+	);
+}
+
+const polarToLab = (l, c, h) => [l, c * Math.cos((h * Math.PI) / 180), c * Math.sin((h * Math.PI) / 180)];
+
+const hslToSrgb = (h, s, l) => {
+	const f = (n) => {
+		const k = (n + h / 30) % 12;
+		return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+	};
+	return [f(0), f(8), f(4)];
+};
+
+const hwbToSrgb = (h, w, b) => {
+	if (w + b >= 1) {
+		const gray = w / (w + b);
+		return [gray, gray, gray];
+	}
+	return hslToSrgb(h, 1, 0.5).map((c) => c * (1 - w - b) + w);
+};
+
+// predefined spaces of color(), each returning gamma-encoded sRGB
+const COLOR_SPACES = {
+	srgb: (c) => c,
+	"srgb-linear": (c) => c.map(fromLinear),
+	"display-p3": (c) => xyzToSrgb(multiply(LINEAR_P3_TO_XYZ, c.map(toLinear))),
+	"a98-rgb": (c) =>
+		xyzToSrgb(multiply(LINEAR_A98_TO_XYZ, c.map((v) => Math.sign(v) * Math.abs(v) ** (563 / 256)))),
+	"prophoto-rgb": (c) => {
+		const linear = c.map((v) => (Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.abs(v) ** 1.8));
+		return xyzToSrgb(multiply(D50_TO_D65, multiply(LINEAR_PROPHOTO_TO_XYZ_D50, linear)));
+	},
+	rec2020: (c) => {
+		const alpha = 1.09929682680944;
+		const beta = 0.018053968510807;
+		const linear = c.map((v) =>
+			Math.abs(v) < beta * 4.5 ? v / 4.5 : Math.sign(v) * ((Math.abs(v) + alpha - 1) / alpha) ** (1 / 0.45),
+		);
+		return xyzToSrgb(multiply(LINEAR_REC2020_TO_XYZ, linear));
+	},
+	xyz: (c) => xyzToSrgb(c),
+	"xyz-d65": (c) => xyzToSrgb(c),
+	"xyz-d50": (c) => xyzToSrgb(multiply(D50_TO_D65, c)),
+};
+
+// parses one channel; `scale` is what 100% maps to
+const channel = (token, scale = 1) => {
+	if (token === undefined || token === "none") return 0;
+	if (token.endsWith("%")) return (parseFloat(token) / 100) * scale;
+	return parseFloat(token);
+};
+
+const hue = (token) => {
+	if (token === undefined || token === "none") return 0;
+	const value = parseFloat(token);
+	if (token.endsWith("turn")) return value * 360;
+	if (token.endsWith("grad")) return value * 0.9;
+	if (token.endsWith("rad")) return (value * 180) / Math.PI;
+	return value;
+};
+
+const parseHex = (value) => {
+	let hex = value.slice(1);
+	if (hex.length === 3 || hex.length === 4) hex = [...hex].map((c) => c + c).join("");
+	if (hex.length !== 6 && hex.length !== 8) return null;
+	const [r, g, b, a = 255] = hex.match(/../g).map((pair) => parseInt(pair, 16));
+	return { rgb: [r / 255, g / 255, b / 255], alpha: a / 255, space: "hex" };
+};
+
+/**
+ * Parses a CSS color (hex, rgb, hsl, hwb, lab, lch, oklab, oklch or color()).
+ * Returns { rgb, alpha, space } where rgb is gamma-encoded sRGB that may fall
+ * outside 0-1 for wide-gamut colors, or null when the value isn't a color.
+ */
+export function parseColor(value) {
+	if (!value || typeof value !== "string") return null;
+	const input = value.trim().toLowerCase();
+
+	if (input === "transparent") return { rgb: [0, 0, 0], alpha: 0, space: "srgb" };
+	if (/^#[0-9a-f]+$/.test(input)) return parseHex(input);
+
+	const match = input.match(/^([a-z-]+)\((.*)\)$/);
+	if (!match) return null;
+
+	const [, fn, body] = match;
+
+	// handles both "1, 2, 3, 0.5" and "1 2 3 / 0.5"
+	const [main, alphaPart] = body.includes("/") ? body.split("/") : [body, null];
+	const tokens = main.split(/[\s,]+/).filter(Boolean);
+	let alphaToken = alphaPart?.trim();
+	if (!alphaToken && body.includes(",") && tokens.length === 4) alphaToken = tokens.pop();
+	const alpha = alphaToken ? Math.min(Math.max(channel(alphaToken), 0), 1) : 1;
+
+	let rgb = null;
+	switch (fn) {
+		case "rgb":
+		case "rgba":
+			rgb = tokens.slice(0, 3).map((t) => channel(t, 255) / 255);
+			break;
+		case "hsl":
+		case "hsla":
+			rgb = hslToSrgb(hue(tokens[0]), channel(tokens[1], 100) / 100, channel(tokens[2], 100) / 100);
+			break;
+		case "hwb":
+			rgb = hwbToSrgb(hue(tokens[0]), channel(tokens[1], 100) / 100, channel(tokens[2], 100) / 100);
+			break;
+		case "lab":
+			rgb = xyzToSrgb(
+				multiply(D50_TO_D65, labToXyzD50([channel(tokens[0], 100), channel(tokens[1], 125), channel(tokens[2], 125)])),
+			);
+			break;
+		case "lch":
+			rgb = xyzToSrgb(
+				multiply(
+					D50_TO_D65,
+					labToXyzD50(polarToLab(channel(tokens[0], 100), channel(tokens[1], 150), hue(tokens[2]))),
+				),
+			);
+			break;
+		case "oklab":
+			rgb = oklabToSrgb([channel(tokens[0], 1), channel(tokens[1], 0.4), channel(tokens[2], 0.4)]);
+			break;
+		case "oklch":
+			rgb = oklabToSrgb(polarToLab(channel(tokens[0], 1), channel(tokens[1], 0.4), hue(tokens[2])));
+			break;
+		case "color": {
+			const [space, ...values] = tokens;
+			if (!COLOR_SPACES[space]) return null;
+			rgb = COLOR_SPACES[space](values.slice(0, 3).map((t) => channel(t, 1)));
+			return { rgb, alpha, space };
+		}
+		default:
+			return null;
+	}
+
+	if (rgb.some((c) => !Number.isFinite(c))) return null;
+	return { rgb, alpha, space: fn.replace(/a$/, "") };
+}
+
+const EPSILON = 0.0001;
+const inSrgbGamut = (rgb) => rgb.every((c) => c >= -EPSILON && c <= 1 + EPSILON);
+const clip = (rgb) => rgb.map((c) => Math.min(Math.max(c, 0), 1));
+
+// brings wide-gamut colors into sRGB by reducing OKLCH chroma (CSS Color 4 gamut mapping)
+const mapToSrgbGamut = (rgb) => {
+	if (inSrgbGamut(rgb)) return clip(rgb);
+
+	const [l, a, b] = srgbToOklab(rgb);
+	if (l >= 1) return [1, 1, 1];
+	if (l <= 0) return [0, 0, 0];
+
+	const chroma = Math.hypot(a, b);
+	const hueAngle = Math.atan2(b, a);
+	let low = 0;
+	let high = chroma;
+	let mapped = clip(rgb);
+
+	while (high - low > 0.0001) {
+		const mid = (low + high) / 2;
+		const candidate = oklabToSrgb([l, mid * Math.cos(hueAngle), mid * Math.sin(hueAngle)]);
+		if (inSrgbGamut(candidate)) {
+			low = mid;
+			mapped = clip(candidate);
+		} else {
+			// stop once clipping is no longer a visible difference
+			const clipped = clip(candidate);
+			if (oklabDistance(srgbToOklab(clipped), srgbToOklab(candidate)) < 0.02) return clipped;
+			high = mid;
+		}
+	}
+	return mapped;
+};
+
+const oklabDistance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+const channelsToHex = (rgb) =>
+	"#" + rgb.map((c) => Math.round(c * 255).toString(16).padStart(2, "0")).join("");
+
+/**
+ * Hex fallback for a parsed color, gamut-mapped into sRGB. Alpha is ignored.
+ */
+export function toHex(parsed) {
+	if (!parsed) return null;
+	return channelsToHex(mapToSrgbGamut(parsed.rgb));
+}
+
+/**
+ * Composites a translucent color over its backdrop and returns the hex it renders as.
+ * `backdrop` lists background colors nearest first; the page canvas is white.
+ */
+export function flattenColor(parsed, backdrop = []) {
+	if (!parsed) return null;
+
+	let base = [1, 1, 1];
+	[...backdrop].reverse().forEach((layer) => {
+		const color = typeof layer === "string" ? parseColor(layer) : layer;
+		if (!color) return;
+		const rgb = mapToSrgbGamut(color.rgb);
+		base = rgb.map((c, i) => c * color.alpha + base[i] * (1 - color.alpha));
+	});
+
+	const rgb = mapToSrgbGamut(parsed.rgb);
+	return channelsToHex(rgb.map((c, i) => c * parsed.alpha + base[i] * (1 - parsed.alpha)));
+}
+
+/**
+ * Parses a color and describes it for output: hex fallback plus the original notation.
+ */
+export function normalizeColor(value, backdrop = null) {
+	const parsed = parseColor(value);
+	if (!parsed) return null;
+
+	return {
+		hex: parsed.alpha < 1 && backdrop ? flattenColor(parsed, backdrop) : toHex(parsed),
+		alpha: Math.round(parsed.alpha * 1000) / 1000,
+		original: value.trim(),
+		space: parsed.space,
+		inGamut: inSrgbGamut(parsed.rgb),
+	};
+}
+
+// D65 reference white for CIELAB distances
+const D65_WHITE = [0.95047, 1, 1.08883];
+const LINEAR_SRGB_TO_XYZ = [
+	[0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+	[0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+	[0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+
+/**
+ * Converts a hex color to CIELAB (D65).
+ */
+export function hexToLab(hex) {
+	const { rgb } = parseHex(hex);
+	const xyz = multiply(LINEAR_SRGB_TO_XYZ, rgb.map(toLinear)).map((v, i) => v / D65_WHITE[i]);
+	const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+	const [fx, fy, fz] = xyz.map(f);
+	return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors.
+ * Around 1 is a just-noticeable difference; under 3 reads as the same color in a UI.
+ */
+export function deltaE2000([l1, a1, b1], [l2, a2, b2]) {
+	const rad = Math.PI / 180;
+	const c1 = Math.hypot(a1, b1);
+	const c2 = Math.hypot(a2, b2);
+	const cMean = (c1 + c2) / 2;
+	const g = 0.5 * (1 - Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7)));
+
+	const a1p = a1 * (1 + g);
+	const a2p = a2 * (1 + g);
+	const c1p = Math.hypot(a1p, b1);
+	const c2p = Math.hypot(a2p, b2);
+	const h1p = c1p === 0 ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360;
+	const h2p = c2p === 0 ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+	const dL = l2 - l1;
+	const dC = c2p - c1p;
+	let dh = 0;
+	if (c1p * c2p !== 0) {
+		dh = h2p - h1p;
+		if (dh > 180) dh -= 360;
+		else if (dh < -180) dh += 360;
+	}
+	const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin((dh * rad) / 2);
+
+	const lMean = (l1 + l2) / 2;
+	const cpMean = (c1p + c2p) / 2;
+	let hMean = h1p + h2p;
+	if (c1p * c2p !== 0) {
+		hMean = Math.abs(h1p - h2p) > 180 ? (h1p + h2p + 360) / 2 : (h1p + h2p) / 2;
+	}
+
+	const t =
+		1 -
+		0.17 * Math.cos((hMean - 30) * rad) +
+		0.24 * Math.cos(2 * hMean * rad) +
+		0.32 * Math.cos((3 * hMean + 6) * rad) -
+		0.2 * Math.cos((4 * hMean - 63) * rad);
+	const dTheta = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+	const rc = 2 * Math.sqrt(cpMean ** 7 / (cpMean ** 7 + 25 ** 7));
+	const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+	const sc = 1 + 0.045 * cpMean;
+	const sh = 1 + 0.015 * cpMean * t;
+	const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+	return Math.sqrt(
+		(dL / sl) ** 2 + (dC / sc) ** 2 + (dH / sh) ** 2 + rt * (dC / sc) * (dH / sh),
+	);
+}
+
+/**
+ * Perceptual distance between two hex colors (CIEDE2000).
+ */
+export function colorDistance(hexA, hexB) {
+	return deltaE2000(hexToLab(hexA), hexToLab(hexB));
+}
+
+/**
+ * Groups hex colors that sit within `threshold` (CIEDE2000) of each other.
+ * Expects the colors sorted by importance; each cluster is represented by its
+ * first (highest-ranked) member. Returns [{ color, members }].
+ */
+export function clusterColors(colors, threshold) {
+	const clusters = [];
+
+	colors.forEach((color) => {
+		const lab = hexToLab(color);
+		const cluster = threshold > 0 && clusters.find((c) => deltaE2000(c.lab, lab) <= threshold);
+		if (cluster) {
+			cluster.members.push(color);
+		} else {
+			clusters.push({ color, lab, members: [color] });
+		}
+	});
+
+	return clusters.map(({ color, members }) => ({ color, members }));
+}
+
+export default normalizeColor;
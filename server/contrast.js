@@ -0,0 +1,158 @@
+// Contrast audit of rendered text. Each text element is paired with the
+// background behind it (its own and its ancestors' background colors, flattened
+// onto the page canvas), then checked against WCAG 2.x and scored with APCA.
+
+import { flattenColor, normalizeColor, parseColor } from "./colors.js";
+
+export const WCAG_LEVELS = {
+	AA: { normal: 4.5, large: 3 },
+	AAA: { normal: 7, large: 4.5 },
+};
+
+// pairs listed in the scan, failing ones first
+const MAX_PAIRS = 40;
+const MAX_SAMPLES = 3;
+
+const channels = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+/**
+ * WCAG 2.x relative luminance of a hex color.
+ */
+export function relativeLuminance(hex) {
+	const [r, g, b] = channels(hex).map((c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio between two hex colors, from 1 to 21. Unrounded, since
+ * WCAG doesn't allow rounding up to a threshold.
+ */
+export function contrastRatio(foreground, background) {
+	const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+	return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA lightness contrast (Lc, 0.0.98G-4g constants) of text over a background.
+ * Positive for dark text on light backgrounds, negative for light text on dark.
+ */
+export function apcaContrast(text, background) {
+	const luminance = (hex) => {
+		const [r, g, b] = channels(hex).map((c) => c ** 2.4);
+		const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+		// soft clamp near black
+		return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+	};
+
+	const textY = luminance(text);
+	const backgroundY = luminance(background);
+	if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+	let contrast;
+	if (backgroundY > textY) {
+		const sapc = (backgroundY ** 0.56 - textY ** 0.57) * 1.14;
+		contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+	} else {
+		const sapc = (backgroundY ** 0.65 - textY ** 0.62) * 1.14;
+		contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+	}
+	return Math.round(contrast * 1000) / 10;
+}
+
+/**
+ * WCAG large text: at least 24px, or 18.66px (14pt) and bold.
+ */
+export const isLargeText = (fontSize, fontWeight) => fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+
+// simplified APCA guidance: Lc 75 for body text, 60 for large text, 45 for headlines
+const apcaMinimum = (fontSize, fontWeight) => {
+	if (fontSize >= 36 || (fontSize >= 24 && fontWeight >= 700)) return 45;
+	if (isLargeText(fontSize, fontWeight)) return 60;
+	return 75;
+};
+
+// the background a pair of raw layers renders as, nearest layer first
+const backgroundHex = (layers) => {
+	if (!layers.length) return "#ffffff";
+	return flattenColor(parseColor(layers[0]), layers.slice(1));
+};
+
+/**
+ * Audits raw text samples ({ color, backdrop, fontSize, fontWeight, text, element,
+ * overImage, page }) from the page. Samples are grouped by foreground, background
+ * and text size. Returns null when there's no text to check.
+ */
+export function auditContrast(samples) {
+	const groups = new Map();
+
+	(samples || []).forEach((sample) => {
+		const layers = sample.backdrop || [];
+		const background = backgroundHex(layers);
+		// translucent text blends into what's behind it
+		const foreground = normalizeColor(sample.color, layers)?.hex;
+		if (!background || !foreground) return;
+
+		const large = isLargeText(sample.fontSize, sample.fontWeight);
+		const key = `${foreground}|${background}|${large}`;
+		if (!groups.has(key)) {
+			groups.set(key, { foreground, background, large, elements: 0, overImage: 0, apcaMinimum: 0, samples: [] });
+		}
+
+		const group = groups.get(key);
+		group.elements++;
+		if (sample.overImage) group.overImage++;
+		// the smallest text in the group decides the APCA target
+		group.apcaMinimum = Math.max(group.apcaMinimum, apcaMinimum(sample.fontSize, sample.fontWeight));
+		if (group.samples.length < MAX_SAMPLES) {
+			group.samples.push({
+				element: sample.element,
+				text: sample.text,
+				fontSize: sample.fontSize,
+				fontWeight: sample.fontWeight,
+				...(sample.page && { page: sample.page }),
+			});
+		}
+	});
+
+	if (groups.size === 0) return null;
+
+	const pairs = Array.from(groups.values()).map(({ overImage, ...group }) => {
+		const ratio = contrastRatio(group.foreground, group.background);
+		const size = group.large ? "large" : "normal";
+		const apca = apcaContrast(group.foreground, group.background);
+		return {
+			...group,
+			// cut rather than rounded, so 4.495:1 reads 4.49 next to its AA fail
+			ratio: Math.floor(ratio * 100) / 100,
+			aa: ratio >= WCAG_LEVELS.AA[size],
+			aaa: ratio >= WCAG_LEVELS.AAA[size],
+			apca,
+			apcaPass: Math.abs(apca) >= group.apcaMinimum,
+			// a background image or gradient sits behind some of the text, so the color pair is a guess
+			overImage: overImage > 0,
+		};
+	});
+
+	const count = (keep) => pairs.filter(keep).reduce((sum, pair) => sum + pair.elements, 0);
+	const elements = count(() => true);
+	const passingAA = count((pair) => pair.aa);
+
+	return {
+		summary: {
+			pairs: pairs.length,
+			elements,
+			passAA: passingAA,
+			passAAA: count((pair) => pair.aaa),
+			failAA: elements - passingAA,
+			passAPCA: count((pair) => pair.apcaPass),
+			overImage: count((pair) => pair.overImage),
+			// share of text elements that meet AA
+			score: Math.round((passingAA / elements) * 100),
+		},
+		pairs: pairs
+			.sort((a, b) => a.aa - b.aa || (a.aa ? b.elements - a.elements : a.ratio - b.ratio))
+			.slice(0, MAX_PAIRS),
+	};
+}
+
+export default auditContrast;
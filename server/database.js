@@ -6,10 +6,28 @@ import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// asset files live next to the database; the table keeps their metadata and path
+const ASSETS_TABLE = `
+	CREATE TABLE IF NOT EXISTS assets (
+		id TEXT PRIMARY KEY,
+		scan_id TEXT NOT NULL,
+		kind TEXT NOT NULL,
+		name TEXT NOT NULL,
+		content_type TEXT NOT NULL,
+		width INTEGER,
+		height INTEGER,
+		size INTEGER NOT NULL,
+		source_url TEXT,
+		path TEXT NOT NULL,
+		created_at TEXT DEFAULT CURRENT_TIMESTAMP
+	)
+`;
+
 export class ScanDatabase {
 	constructor() {
 		this.db = null;
 		this.dbPath = path.join(__dirname, "..", "data", "scans.db");
+		this.assetsDir = path.join(__dirname, "..", "data", "assets");
 
 		this.ready = this.init();
 	}
@@ -43,8 +61,16 @@ export class ScanDatabase {
 			)
 		`);
 		
+		// binary files (logos, renditions, screenshots) saved with a scan
+		this.db.run(ASSETS_TABLE);
+		this.migrateAssetFiles();
+
 		this.db.run(`CREATE INDEX IF NOT EXISTS idx_scans_domain ON scans(domain)`);
+		this.db.run(`CREATE INDEX IF NOT EXISTS idx_assets_scan_id ON assets(scan_id)`);
 		this.db.run(`CREATE INDEX IF NOT EXISTS idx_scans_scanned_at ON scans(scanned_at DESC)`);
+
+		this.migrateScreenshots();
+		this.migrateViewportScreenshots();
 		
 		// Save initial state
 		this.persist();
@@ -63,25 +89,140 @@ export class ScanDatabase {
 		}
 	}
 	
+	// assets used to be BLOBs in the table, which sql.js holds in memory and
+	// rewrites on every persist(); moves each one out to a file
+	migrateAssetFiles() {
+		const columns = this.db.exec(`PRAGMA table_info(assets)`)[0].values.map((column) => column[1]);
+		if (!columns.includes("data")) return;
+
+		this.db.run(`ALTER TABLE assets RENAME TO assets_legacy`);
+		this.db.run(`DROP INDEX IF EXISTS idx_assets_scan_id`);
+		this.db.run(ASSETS_TABLE);
+
+		const stmt = this.db.prepare(`SELECT * FROM assets_legacy`);
+		let moved = 0;
+		while (stmt.step()) {
+			const row = stmt.getAsObject();
+			this.insertAsset(row.scan_id, {
+				id: row.id,
+				kind: row.kind,
+				name: row.name,
+				contentType: row.content_type,
+				width: row.width,
+				height: row.height,
+				sourceUrl: row.source_url,
+				data: Buffer.from(row.data),
+			});
+			moved++;
+		}
+		stmt.free();
+		this.db.run(`DROP TABLE assets_legacy`);
+
+		if (moved > 0) {
+			console.log(`Moved ${moved} assets to ${this.assetsDir}`);
+		}
+	}
+
+	// scans saved before screenshots became assets kept a data URL in the
+	// screenshot column; moves each into the assets table
+	migrateScreenshots() {
+		const stmt = this.db.prepare(`SELECT id, data, screenshot FROM scans WHERE screenshot IS NOT NULL`);
+		const rows = [];
+		while (stmt.step()) {
+			rows.push(stmt.getAsObject());
+		}
+		stmt.free();
+
+		rows.forEach((row) => {
+			const match = /^data:([^;,]+);base64,(.+)$/s.exec(row.screenshot);
+			const data = JSON.parse(row.data);
+			if (match) {
+				const asset = {
+					id: uuidv4(),
+					kind: "screenshot",
+					name: "viewport.jpg",
+					contentType: match[1],
+					data: Buffer.from(match[2], "base64"),
+				};
+				this.insertAsset(row.id, asset);
+				data.screenshots = { page: { asset: asset.id }, sections: [] };
+			}
+			this.db.run(`UPDATE scans SET data = ?, screenshot = NULL WHERE id = ?`, [JSON.stringify(data), row.id]);
+		});
+
+		if (rows.length > 0) {
+			console.log(`Moved ${rows.length} screenshots to assets`);
+		}
+	}
+
+	// responsive viewports kept their screenshot as a data URL in the scan data,
+	// which the history list loaded for every scan
+	migrateViewportScreenshots() {
+		const stmt = this.db.prepare(`SELECT id, data FROM scans WHERE data LIKE '%"screenshot":"data:%'`);
+		const rows = [];
+		while (stmt.step()) {
+			rows.push(stmt.getAsObject());
+		}
+		stmt.free();
+
+		rows.forEach((row) => {
+			const data = JSON.parse(row.data);
+			(data.responsive?.viewports || []).forEach((viewport) => {
+				if (typeof viewport.screenshot !== "string") return;
+				const match = /^data:([^;,]+);base64,(.+)$/s.exec(viewport.screenshot);
+				if (!match) {
+					delete viewport.screenshot;
+					return;
+				}
+
+				const asset = {
+					id: uuidv4(),
+					kind: "screenshot",
+					name: `viewport-${viewport.name.toLowerCase().replace(/[^a-z0-9-]+/g, "-")}.jpg`,
+					contentType: match[1],
+					data: Buffer.from(match[2], "base64"),
+					width: viewport.width,
+					height: viewport.height,
+				};
+				this.insertAsset(row.id, asset);
+				viewport.screenshot = { asset: asset.id };
+			});
+			this.db.run(`UPDATE scans SET data = ? WHERE id = ?`, [JSON.stringify(data), row.id]);
+		});
+
+		if (rows.length > 0) {
+			console.log(`Moved viewport screenshots of ${rows.length} scans to assets`);
+		}
+	}
+
 	async ensureReady() {
 		if (!this.db) {
 			await this.ready;
 		}
 	}
 	
-	save(scanResult) {
+	/**
+	 * Save a scan and its binary assets in one transaction. Each asset brings its
+	 * own id so the scan data can reference it before the scan is saved.
+	 */
+	save(scanResult, assets = []) {
 		const id = uuidv4();
 		const domain = new URL(scanResult.url).hostname;
 
-		// store screenshot separately to keep main data lean
-		const screenshot = scanResult.screenshot;
-		const dataWithoutScreenshot = { ...scanResult };
-		delete dataWithoutScreenshot.screenshot;
-
-		this.db.run(
-			`INSERT INTO scans (id, url, domain, scanned_at, data, screenshot) VALUES (?, ?, ?, ?, ?, ?)`,
-			[id, scanResult.url, domain, scanResult.scrapedAt, JSON.stringify(dataWithoutScreenshot), screenshot]
-		);
+		try {
+			this.db.run("BEGIN");
+			// screenshots are assets, so the data only references them
+			this.db.run(
+				`INSERT INTO scans (id, url, domain, scanned_at, data) VALUES (?, ?, ?, ?, ?)`,
+				[id, scanResult.url, domain, scanResult.scrapedAt, JSON.stringify(scanResult)]
+			);
+			assets.forEach((asset) => this.insertAsset(id, asset));
+			this.db.run("COMMIT");
+		} catch (err) {
+			this.db.run("ROLLBACK");
+			fs.rmSync(path.join(this.assetsDir, id), { recursive: true, force: true });
+			throw err;
+		}
 
 		this.persist();
 		return id;
@@ -119,7 +260,7 @@ export class ScanDatabase {
 	 */
 	getById(id) {
 		const stmt = this.db.prepare(`
-			SELECT id, url, domain, scanned_at, data, screenshot
+			SELECT id, url, domain, scanned_at, data
 			FROM scans
 			WHERE id = ?
 		`);
@@ -134,7 +275,6 @@ export class ScanDatabase {
 				domain: row.domain,
 				scannedAt: row.scanned_at,
 				data: JSON.parse(row.data),
-				screenshot: row.screenshot,
 			};
 		}
 		stmt.free();
@@ -142,11 +282,94 @@ export class ScanDatabase {
 	}
 
 	/**
-	 * Delete a scan
+	 * Delete a scan and its assets
 	 */
 	delete(id) {
 		this.db.run("DELETE FROM scans WHERE id = ?", [id]);
+		this.db.run("DELETE FROM assets WHERE scan_id = ?", [id]);
 		this.persist();
+		fs.rmSync(path.join(this.assetsDir, id), { recursive: true, force: true });
+	}
+
+	// writes the file to data/assets/<scan>/ and records it
+	insertAsset(scanId, asset) {
+		const file = path.join(scanId, `${asset.id}${path.extname(asset.name)}`);
+		fs.mkdirSync(path.join(this.assetsDir, scanId), { recursive: true });
+		fs.writeFileSync(path.join(this.assetsDir, file), asset.data);
+
+		this.db.run(
+			`INSERT INTO assets (id, scan_id, kind, name, content_type, width, height, size, source_url, path)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+			[
+				asset.id,
+				scanId,
+				asset.kind,
+				asset.name,
+				asset.contentType,
+				asset.width ?? null,
+				asset.height ?? null,
+				asset.data.length,
+				asset.sourceUrl ?? null,
+				file,
+			],
+		);
+	}
+
+	/**
+	 * List a scan's assets without their data
+	 */
+	getAssets(scanId) {
+		const stmt = this.db.prepare(`
+			SELECT id, kind, name, content_type, width, height, size, source_url
+			FROM assets
+			WHERE scan_id = ?
+			ORDER BY kind, name
+		`);
+		stmt.bind([scanId]);
+
+		const results = [];
+		while (stmt.step()) {
+			const row = stmt.getAsObject();
+			results.push({
+				id: row.id,
+				kind: row.kind,
+				name: row.name,
+				contentType: row.content_type,
+				width: row.width,
+				height: row.height,
+				size: row.size,
+				sourceUrl: row.source_url,
+			});
+		}
+		stmt.free();
+		return results;
+	}
+
+	/**
+	 * Get one asset including its data, or null if it or its file is gone
+	 */
+	getAsset(scanId, assetId) {
+		const stmt = this.db.prepare(`
+			SELECT id, name, content_type, path
+			FROM assets
+			WHERE scan_id = ? AND id = ?
+		`);
+		stmt.bind([scanId, assetId]);
+
+		const row = stmt.step() ? stmt.getAsObject() : null;
+		stmt.free();
+		if (!row) return null;
+
+		try {
+			return {
+				id: row.id,
+				name: row.name,
+				contentType: row.content_type,
+				data: fs.readFileSync(path.join(this.assetsDir, row.path)),
+			};
+		} catch (err) {
+			return null;
+		}
 	}
 
 	/**
@@ -0,0 +1,274 @@
+// Font source resolution: maps detected families to their @font-face rules,
+// the service serving them and a snippet that loads the same faces elsewhere.
+
+// matched against font file and stylesheet URLs
+const PROVIDERS = [
+	{ name: "google", pattern: /(^|\.)fonts\.(googleapis|gstatic)\.com$/ },
+	{ name: "adobe", pattern: /(^|\.)(use|p)\.typekit\.net$/ },
+	{ name: "fontshare", pattern: /(^|\.)(api|cdn)\.fontshare\.com$/ },
+];
+
+// families the browser resolves itself rather than from a font file
+const GENERIC_FAMILIES = new Set([
+	"serif",
+	"sans-serif",
+	"monospace",
+	"cursive",
+	"fantasy",
+	"system-ui",
+	"ui-serif",
+	"ui-sans-serif",
+	"ui-monospace",
+	"ui-rounded",
+	"emoji",
+	"math",
+	"fangsong",
+	"-apple-system",
+	"blinkmacsystemfont",
+]);
+
+const unquote = (value) => value.trim().replace(/^['"]|['"]$/g, "").trim();
+
+/**
+ * Splits a font-family stack into family names.
+ */
+export function parseFontStack(stack) {
+	if (!stack) return [];
+	return stack.split(",").map(unquote).filter(Boolean);
+}
+
+export const isGenericFamily = (family) => GENERIC_FAMILIES.has(family.toLowerCase());
+
+/**
+ * Identifies the font service behind a URL, or "self-hosted".
+ */
+export function detectFontProvider(url) {
+	try {
+		const { hostname } = new URL(url);
+		return PROVIDERS.find((p) => p.pattern.test(hostname))?.name || "self-hosted";
+	} catch (e) {
+		// data: URIs and unparsable values are inlined by the site itself
+		return "self-hosted";
+	}
+}
+
+/**
+ * Splits a `src` descriptor into its url()/local() entries, resolving relative
+ * URLs against the stylesheet they came from.
+ */
+export function parseFontSrc(src, baseUrl) {
+	const entries = [];
+	const pattern = /(url|local)\(\s*(['"]?)(.*?)\2\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/g;
+	let match;
+
+	while ((match = pattern.exec(src || ""))) {
+		const [, kind, , value, format] = match;
+		if (kind === "local") {
+			entries.push({ local: value });
+			continue;
+		}
+
+		let url = value;
+		if (!value.startsWith("data:")) {
+			try {
+				url = new URL(value, baseUrl).href;
+			} catch (e) {
+				// keeps the raw value
+			}
+		}
+		const inline = url.startsWith("data:");
+		const extension = inline ? null : url.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1];
+		// inlined fonts are truncated, the full data URI can be megabytes
+		entries.push({ url: inline ? `${url.slice(0, 40)}…` : url, format: format || extension || null });
+	}
+
+	return entries;
+}
+
+/**
+ * Parses the @font-face blocks of a stylesheet's text.
+ */
+export function parseFontFaceRules(cssText, stylesheet) {
+	const faces = [];
+	const blocks = cssText.replace(/\/\*[\s\S]*?\*\//g, "").match(/@font-face\s*{[^}]*}/g) || [];
+
+	blocks.forEach((block) => {
+		const descriptor = (name) => block.match(new RegExp(`(?:^|[{;\\s])${name}\\s*:\\s*([^;}]+)`))?.[1].trim();
+		const family = descriptor("font-family");
+		if (!family) return;
+
+		faces.push({
+			family: unquote(family),
+			src: descriptor("src") || "",
+			weight: descriptor("font-weight") || "400",
+			style: descriptor("font-style") || "normal",
+			unicodeRange: descriptor("unicode-range") || null,
+			display: descriptor("font-display") || null,
+			stylesheet,
+		});
+	});
+
+	return faces;
+}
+
+const toWeight = (value) => (value === "normal" ? 400 : value === "bold" ? 700 : Number(value));
+
+const weightList = (faces) => {
+	const weights = faces.flatMap((face) => {
+		// variable fonts declare a range ("100 900")
+		const [min, max] = face.weight.split(/\s+/).map(toWeight);
+		if (!max) return [min];
+		return [100, 200, 300, 400, 500, 600, 700, 800, 900].filter((w) => w >= min && w <= max);
+	});
+	return [...new Set(weights)].filter(Number.isFinite).sort((a, b) => a - b);
+};
+
+// "U+0000-00FF, U+4??" and "U+0-FF, U+400-4FF" describe the same ranges
+const normalizeRange = (range) =>
+	(range || "U+0-10FFFF")
+		.toUpperCase()
+		.split(",")
+		.map((part) => {
+			const [start, end = start] = part.trim().replace(/^U\+/, "").split("-");
+			const from = parseInt(start.replace(/\?/g, "0"), 16);
+			const to = parseInt(end.replace(/\?/g, "F"), 16);
+			return `${from}-${to}`;
+		})
+		.join(",");
+
+const sameFace = (rule, face) =>
+	String(toWeight(face.weight)) === String(toWeight(rule.weight)) &&
+	face.style === rule.style &&
+	normalizeRange(face.unicodeRange) === normalizeRange(rule.unicodeRange);
+
+// builds the tag or rules that load the family the same way the site does
+function buildSnippet(family, provider, faces, stylesheets, usedWeights) {
+	const weights = usedWeights.length > 0 ? usedWeights : weightList(faces);
+	const hasItalic = faces.some((face) => face.style.startsWith("italic") || face.style.startsWith("oblique"));
+
+	if (provider === "google") {
+		const name = family.replace(/\s+/g, "+");
+		let axis = "";
+		if (weights.length > 0) {
+			axis = hasItalic
+				? `:ital,wght@${[0, 1].flatMap((italic) => weights.map((w) => `${italic},${w}`)).join(";")}`
+				: `:wght@${weights.join(";")}`;
+		}
+		return [
+			`<link rel="preconnect" href="https://fonts.googleapis.com">`,
+			`<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>`,
+			`<link href="https://fonts.googleapis.com/css2?family=${name}${axis}&display=swap" rel="stylesheet">`,
+		].join("\n");
+	}
+
+	if (provider === "adobe") {
+		// kits bundle every family of a project, so the kit stylesheet is the snippet
+		const kit = stylesheets.find((href) => detectFontProvider(href) === "adobe");
+		return kit ? `<link rel="stylesheet" href="${kit}">` : null;
+	}
+
+	if (provider === "fontshare") {
+		const slug = family.toLowerCase().replace(/\s+/g, "-");
+		const axis = weights.join(",") || "400";
+		return `<link href="https://api.fontshare.com/v2/css?f[]=${slug}@${axis}&display=swap" rel="stylesheet">`;
+	}
+
+	if (provider === "self-hosted" && faces.length > 0) {
+		return faces
+			.map((face) => {
+				const src = face.sources.map((s) =>
+					s.local ? `local("${s.local}")` : `url("${s.url}")${s.format ? ` format("${s.format}")` : ""}`,
+				);
+				const lines = [
+					`  font-family: "${family}";`,
+					`  src: ${src.join(",\n       ")};`,
+					`  font-weight: ${face.weight};`,
+					`  font-style: ${face.style};`,
+					`  font-display: ${face.display || "swap"};`,
+				];
+				if (face.unicodeRange) lines.push(`  unicode-range: ${face.unicodeRange};`);
+				return `@font-face {\n${lines.join("\n")}\n}`;
+			})
+			.join("\n\n");
+	}
+
+	return null;
+}
+
+/**
+ * Resolves each family to its faces, provider, load status and snippet.
+ * `raw` is what the page reported: @font-face rules, document.fonts entries,
+ * local availability and stylesheet URLs. `usage` maps family to used weights.
+ * Status is loaded, local (installed where the scan ran), failed, unused
+ * (declared but never requested) or missing.
+ */
+export function resolveFontSources(raw, families, usage = {}) {
+	return families
+		.filter((family) => !isGenericFamily(family))
+		.map((family) => {
+			const key = family.toLowerCase();
+			const rules = raw.faces.filter((face) => face.family.toLowerCase() === key);
+			const loaded = raw.loaded.filter((face) => unquote(face.family).toLowerCase() === key);
+
+			const faces = rules.map((rule) => {
+				const sources = parseFontSrc(rule.src, rule.stylesheet || raw.pageUrl);
+				// document.fonts confirms whether the browser actually fetched the face
+				const status = loaded.find((face) => sameFace(rule, face))?.status;
+				return {
+					weight: rule.weight,
+					style: rule.style,
+					unicodeRange: rule.unicodeRange,
+					display: rule.display,
+					formats: [...new Set(sources.map((s) => s.format).filter(Boolean))],
+					sources,
+					status: status || "unknown",
+					stylesheet: rule.stylesheet,
+				};
+			});
+
+			// the font file decides the provider, then the stylesheet that declared it.
+			// faces added through the FontFace API have neither and are treated as self-hosted
+			const fileUrl = faces.flatMap((face) => face.sources).find((s) => s.url && !s.url.startsWith("data:"))?.url;
+			const stylesheet = rules.find((rule) => rule.stylesheet)?.stylesheet;
+			let provider = "system";
+			if (fileUrl) provider = detectFontProvider(fileUrl);
+			else if (stylesheet) provider = detectFontProvider(stylesheet);
+			else if (faces.length > 0 || loaded.length > 0) provider = "self-hosted";
+
+			let status = "missing";
+			if (faces.some((face) => face.status === "loaded") || loaded.some((face) => face.status === "loaded")) {
+				status = "loaded";
+			} else if (raw.local.includes(family)) {
+				status = "local";
+			} else if (loaded.some((face) => face.status === "error")) {
+				status = "failed";
+			} else if (faces.length > 0 || loaded.length > 0) {
+				status = "unused";
+			}
+
+			return {
+				family,
+				provider,
+				status,
+				faces,
+				snippet: buildSnippet(family, provider, faces, raw.stylesheets, usage[family] || []),
+			};
+		});
+}
+
+/**
+ * Walks a font-family stack and returns the first family that could render:
+ * a loaded web font, a locally installed font, or the generic fallback.
+ */
+export function renderedFamily(stack, sources) {
+	const families = parseFontStack(stack);
+	return (
+		families.find((family) => {
+			if (isGenericFamily(family)) return true;
+			const source = sources.find((s) => s.family.toLowerCase() === family.toLowerCase());
+			return source && (source.status === "loaded" || source.status === "local");
+		}) || null
+	);
+}
+
+export default resolveFontSources;
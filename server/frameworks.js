@@ -0,0 +1,237 @@
+// Framework fingerprinting. The page reports raw signals (class names, custom
+// properties, stylesheet and script URLs, globals, attributes and SVG shapes) and
+// every framework is scored from the checks that match. Confidence combines the
+// weights of matching checks as independent evidence: 1 - Π(1 - weight).
+
+// window properties worth checking, by framework
+export const FRAMEWORK_GLOBALS = ["bootstrap", "FontAwesome", "lucide", "tailwind"];
+
+const TAILWIND_VARIANT = /^(?:sm|md|lg|xl|2xl|hover|focus|focus-visible|active|disabled|dark|group-hover|peer-\w+|first|last|odd|even|placeholder|data-\[[^\]]+\]|aria-\w+):/;
+const TAILWIND_UTILITY =
+	/^-?(?:p[xytrblse]?|m[xytrblse]?|w|h|size|min-w|max-w|min-h|max-h|gap(?:-[xy])?|space-[xy]|text|bg|border(?:-[trblxyse])?|rounded(?:-[trblse]{1,2})?|shadow|font|leading|tracking|grid-cols|col-span|row-span|items|justify|self|z|opacity|ring(?:-offset)?|inset(?:-[xy])?|top|left|right|bottom|translate-[xy]|scale|rotate|duration|ease|delay|basis|grow|shrink|order|line-clamp|outline|fill|stroke|from|via|to|divide-[xy]?)-[\w./[\]#%(),-]+$/;
+const TAILWIND_COLOR_SCALE =
+	/^(?:[\w-]+:)*(?:bg|text|border|ring|from|via|to|fill|stroke|divide|outline|decoration|accent|caret|shadow)-(?:slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(?:50|[1-9]00|950)(?:\/\d+)?$/;
+const BOOTSTRAP_CLASS =
+	/^(?:col-(?:sm|md|lg|xl|xxl)-(?:\d+|auto)|btn-(?:primary|secondary|success|danger|warning|info|light|dark|link|outline-\w+)|navbar-expand(?:-\w+)?|d-(?:sm-|md-|lg-|xl-)?(?:none|flex|block|inline-block|grid)|m[se]-(?:auto|\d)|p[se]-\d|fw-(?:bold|semibold|normal|light)|form-control|form-select|card-body|list-group-item|dropdown-menu|visually-hidden)$/;
+
+// custom properties shadcn/ui defines on :root
+const SHADCN_VARIABLES = [
+	"--background",
+	"--foreground",
+	"--primary-foreground",
+	"--muted-foreground",
+	"--accent-foreground",
+	"--popover",
+	"--ring",
+	"--radius",
+];
+const SHADCN_SLOTS = ["button", "card", "input", "badge", "dialog-content", "dropdown-menu", "sheet", "tabs", "select-trigger"];
+
+const count = (list, test) => list.filter((item) => test.test(item)).length;
+const some = (list, test) => list.some((item) => test.test(item));
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : word.endsWith("s") ? "es" : "s"}`;
+
+// Lucide icons are 24px, stroke 2 with round caps; Heroicons outline uses stroke 1.5
+const svgShape = (svg, strokeWidth) =>
+	svg.viewBox === "0 0 24 24" &&
+	svg.fill === "none" &&
+	svg.stroke === "currentColor" &&
+	String(svg.strokeWidth) === strokeWidth;
+
+/**
+ * Every check is [weight, evidence(signals) => string|null]. A check matches when
+ * its evidence function returns a description.
+ */
+export const FRAMEWORKS = [
+	{
+		id: "tailwind",
+		name: "Tailwind CSS",
+		kind: "css",
+		checks: [
+			[0.5, ({ classes }) => {
+				const n = count(classes, TAILWIND_VARIANT);
+				return n >= 5 ? `${plural(n, "variant class")} like md: and hover:` : null;
+			}],
+			[0.4, ({ classes }) => {
+				const n = count(classes, TAILWIND_COLOR_SCALE);
+				return n >= 3 ? `${plural(n, "palette class")} like bg-slate-900` : null;
+			}],
+			// Bootstrap's spacing utilities look the same, so this alone stays under the cutoff
+			[0.3, ({ classes }) => {
+				const n = classes.filter((c) => TAILWIND_UTILITY.test(c.replace(/^(?:[\w-]+:)+/, ""))).length;
+				return n >= 30 && n / classes.length >= 0.2 ? `${Math.round((n / classes.length) * 100)}% utility classes` : null;
+			}],
+			[0.2, ({ classes }) => (some(classes, /^(?:[\w-]+:)*-?[\w-]+-\[[^\]]+\]$/) ? "arbitrary value classes" : null)],
+			[0.6, ({ customProperties }) => (some(customProperties, /^--tw-/) ? "--tw-* custom properties" : null)],
+			[0.3, ({ customProperties }) =>
+				some(customProperties, /^--color-[a-z]+-(?:50|[1-9]00|950)$/) && customProperties.includes("--spacing") ?
+					"v4 theme variables"
+				:	null],
+			[0.35, ({ preflight }) => (preflight?.borderReset && preflight?.headingReset ? "preflight reset" : null)],
+			[0.6, ({ stylesheets, scripts }) =>
+				some([...stylesheets, ...scripts], /tailwindcss|\/tailwind(?:\.min)?\.css/) ? "Tailwind loaded from a CDN" : null],
+			[0.5, ({ globals }) => (globals.tailwind ? "window.tailwind (Play CDN)" : null)],
+		],
+	},
+	{
+		id: "bootstrap",
+		name: "Bootstrap",
+		kind: "css",
+		checks: [
+			[0.7, ({ customProperties }) => (some(customProperties, /^--bs-/) ? "--bs-* custom properties" : null)],
+			[0.5, ({ classes }) => {
+				const n = count(classes, BOOTSTRAP_CLASS);
+				return n >= 3 ? `${plural(n, "component class")} like btn-primary and col-md-6` : null;
+			}],
+			[0.6, ({ stylesheets, scripts }) =>
+				some([...stylesheets, ...scripts], /bootstrap(?:\.bundle)?(?:\.min)?\.(?:css|js)/) ? "bootstrap stylesheet or bundle" : null],
+			[0.5, ({ globals }) => (globals.bootstrap ? "window.bootstrap" : null)],
+		],
+	},
+	{
+		id: "mui",
+		name: "Material UI",
+		kind: "ui",
+		checks: [
+			[0.8, ({ classes }) => {
+				const n = count(classes, /^Mui[A-Z]\w*-/);
+				return n >= 3 ? `${plural(n, "Mui* class")} like MuiButton-root` : null;
+			}],
+			[0.5, ({ customProperties }) => (some(customProperties, /^--mui-/) ? "--mui-* custom properties" : null)],
+			[0.15, ({ attributes, classes }) =>
+				attributes.includes("data-emotion") || count(classes, /^css-[a-z0-9]{5,}$/) >= 5 ? "Emotion styles" : null],
+		],
+	},
+	{
+		id: "chakra",
+		name: "Chakra UI",
+		kind: "ui",
+		checks: [
+			[0.8, ({ classes }) => {
+				const n = count(classes, /^chakra-/);
+				return n >= 2 ? plural(n, "chakra-* class") : null;
+			}],
+			[0.7, ({ customProperties }) => (some(customProperties, /^--chakra-/) ? "--chakra-* custom properties" : null)],
+			[0.3, ({ attributes }) => (attributes.includes("data-scope") && attributes.includes("data-part") ? "Ark UI data-scope/data-part attributes" : null)],
+			[0.15, ({ attributes, classes }) =>
+				attributes.includes("data-emotion") || count(classes, /^css-[a-z0-9]{5,}$/) >= 5 ? "Emotion styles" : null],
+		],
+	},
+	{
+		id: "shadcn",
+		name: "shadcn/ui",
+		kind: "ui",
+		checks: [
+			[0.6, ({ customProperties }) => {
+				const n = SHADCN_VARIABLES.filter((name) => customProperties.includes(name)).length;
+				return n >= 5 ? `${n} of its theme variables like --primary-foreground` : null;
+			}],
+			[0.5, ({ slots }) => {
+				const found = SHADCN_SLOTS.filter((slot) => slots.includes(slot));
+				return found.length >= 2 ? `data-slot components (${found.slice(0, 3).join(", ")})` : null;
+			}],
+			[0.2, ({ attributes }) => (some(attributes, /^data-radix-/) ? "Radix primitives" : null)],
+		],
+	},
+	{
+		id: "font-awesome",
+		name: "Font Awesome",
+		kind: "icons",
+		checks: [
+			[0.8, ({ classes }) => (classes.includes("svg-inline--fa") ? "svg-inline--fa icons" : null)],
+			[0.6, ({ classes }) => {
+				const styles = ["fa", "fas", "far", "fab", "fal", "fad", "fa-solid", "fa-regular", "fa-brands", "fa-light"];
+				return styles.some((c) => classes.includes(c)) && some(classes, /^fa-[a-z0-9-]+$/) ? "fa-* icon classes" : null;
+			}],
+			[0.7, ({ iconFonts }) => (some(iconFonts, /^font ?awesome/i) ? "Font Awesome icon font" : null)],
+			[0.6, ({ stylesheets, scripts }) =>
+				some([...stylesheets, ...scripts], /font-?awesome|kit\.fontawesome\.com/i) ? "Font Awesome stylesheet or kit" : null],
+			[0.5, ({ globals }) => (globals.FontAwesome ? "window.FontAwesome" : null)],
+			[0.3, ({ spriteRefs }) => (some(spriteRefs, /fa-|fontawesome/i) ? "Font Awesome SVG sprite" : null)],
+		],
+	},
+	{
+		id: "material-symbols",
+		name: "Material Symbols",
+		kind: "icons",
+		checks: [
+			[0.7, ({ classes }) => (some(classes, /^material-(?:symbols|icons)(?:-[a-z]+)?$/) ? "material-symbols classes" : null)],
+			[0.7, ({ iconFonts }) => (some(iconFonts, /^material (?:symbols|icons)/i) ? "Material Symbols icon font" : null)],
+			[0.6, ({ stylesheets }) => (some(stylesheets, /family=Material\+(?:Symbols|Icons)/) ? "Google Fonts icon stylesheet" : null)],
+		],
+	},
+	{
+		id: "lucide",
+		name: "Lucide",
+		kind: "icons",
+		checks: [
+			[0.9, ({ svgs }) => {
+				const n = svgs.filter((svg) => svg.classes.includes("lucide")).length;
+				return n > 0 ? `${plural(n, "svg")} with the lucide class` : null;
+			}],
+			[0.7, ({ attributes }) => (attributes.includes("data-lucide") ? "data-lucide placeholders" : null)],
+			[0.5, ({ globals }) => (globals.lucide ? "window.lucide" : null)],
+			[0.3, ({ svgs }) => {
+				const n = svgs.filter((svg) => svgShape(svg, "2") && svg.strokeLinecap === "round").length;
+				return n >= 3 ? `${plural(n, "icon")} drawn with its 24px stroke-2 grid` : null;
+			}],
+			[0.3, ({ spriteRefs }) => (some(spriteRefs, /lucide/i) ? "Lucide SVG sprite" : null)],
+		],
+	},
+	{
+		id: "heroicons",
+		name: "Heroicons",
+		kind: "icons",
+		checks: [
+			[0.5, ({ svgs }) => {
+				const n = svgs.filter((svg) => svg.slot === "icon").length;
+				return n > 0 ? `${plural(n, "svg")} with data-slot="icon"` : null;
+			}],
+			[0.4, ({ svgs }) => {
+				const n = svgs.filter((svg) => svgShape(svg, "1.5")).length;
+				return n >= 3 ? `${plural(n, "icon")} drawn with its 24px stroke-1.5 grid` : null;
+			}],
+			[0.3, ({ spriteRefs }) => (some(spriteRefs, /heroicons/i) ? "Heroicons SVG sprite" : null)],
+		],
+	},
+];
+
+// frameworks under this confidence aren't reported
+const MIN_CONFIDENCE = 0.35;
+
+/**
+ * Scores every known framework against the page signals.
+ * Returns [{ id, name, kind, confidence, evidence }] sorted by confidence.
+ */
+export function detectFrameworks(signals) {
+	const input = {
+		classes: [],
+		customProperties: [],
+		stylesheets: [],
+		scripts: [],
+		attributes: [],
+		slots: [],
+		svgs: [],
+		spriteRefs: [],
+		iconFonts: [],
+		globals: {},
+		preflight: null,
+		...signals,
+	};
+
+	return FRAMEWORKS.map(({ id, name, kind, checks }) => {
+		const evidence = [];
+		let miss = 1;
+		checks.forEach(([weight, check]) => {
+			const found = check(input);
+			if (!found) return;
+			evidence.push(found);
+			miss *= 1 - weight;
+		});
+		return { id, name, kind, confidence: Math.round((1 - miss) * 100) / 100, evidence };
+	})
+		.filter((framework) => framework.confidence >= MIN_CONFIDENCE)
+		.sort((a, b) => b.confidence - a.confidence);
+}
+
+export default detectFrameworks;
@@ -0,0 +1,127 @@
+import { normalizeColor } from "./colors.js";
+
+// keywords for `to <side>` directions of linear gradients
+const SIDE_ANGLES = {
+	top: 0,
+	"top right": 45,
+	right: 90,
+	"bottom right": 135,
+	bottom: 180,
+	"bottom left": 225,
+	left: 270,
+	"top left": 315,
+};
+
+// the first argument is configuration (angle, shape, position) rather than a color stop
+const CONFIG_PATTERN =
+	/^(to\s|at\s|from\s|in\s|circle|ellipse|closest-|farthest-|-?[\d.]+(deg|turn|rad|grad)|[\d.]+(px|%|em|rem|vw|vh)(\s|$))/;
+
+/**
+ * Splits a CSS value on commas that are not inside parentheses.
+ */
+export function splitTopLevel(value) {
+	const parts = [];
+	let depth = 0;
+	let current = "";
+
+	for (const char of value) {
+		if (char === "(") depth++;
+		if (char === ")") depth--;
+		if (char === "," && depth === 0) {
+			parts.push(current.trim());
+			current = "";
+		} else {
+			current += char;
+		}
+	}
+	if (current.trim()) parts.push(current.trim());
+
+	return parts;
+}
+
+const toDegrees = (angle) => {
+	const value = parseFloat(angle);
+	if (angle.endsWith("turn")) return value * 360;
+	if (angle.endsWith("grad")) return value * 0.9;
+	if (angle.endsWith("rad")) return (value * 180) / Math.PI;
+	return value;
+};
+
+// splits "rgb(1, 2, 3) 10% 20%" into the color and its positions
+const parseStop = (stop) => {
+	const functionEnd = stop.startsWith("#") || !stop.includes("(") ? stop.indexOf(" ") : stop.indexOf(")") + 1;
+	const color = functionEnd > 0 ? stop.slice(0, functionEnd) : stop;
+	const positions = functionEnd > 0 ? stop.slice(functionEnd).trim().split(/\s+/).filter(Boolean) : [];
+	return { color, positions };
+};
+
+/**
+ * Parses one gradient layer of a computed background-image.
+ * Returns null for layers that aren't gradients (e.g. url()).
+ */
+export function parseGradient(layer) {
+	const match = layer.match(/^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/s);
+	if (!match) return null;
+
+	const [, repeating, type, body] = match;
+	const args = splitTopLevel(body);
+	const config = CONFIG_PATTERN.test(args[0]) ? args.shift() : null;
+
+	const gradient = { type, repeating: Boolean(repeating) };
+
+	if (type === "linear") {
+		if (!config) {
+			gradient.angle = 180;
+		} else if (config.startsWith("to ")) {
+			// "to right bottom" and "to bottom right" are the same corner
+			const words = config.slice(3).trim().split(/\s+/);
+			const vertical = words.filter((w) => w === "top" || w === "bottom");
+			const horizontal = words.filter((w) => w === "left" || w === "right");
+			gradient.angle = SIDE_ANGLES[[...vertical, ...horizontal].join(" ")] ?? 180;
+		} else {
+			gradient.angle = toDegrees(config.split(/\s+/)[0]);
+		}
+	} else if (type === "radial") {
+		const [shape, position] = (config || "ellipse").split(/\s*at\s*/);
+		gradient.shape = shape || "ellipse";
+		gradient.position = position || "center";
+	} else {
+		const from = config?.match(/from\s+(\S+)/);
+		const at = config?.match(/at\s+(.+)$/);
+		gradient.angle = from ? toDegrees(from[1]) : 0;
+		gradient.position = at ? at[1] : "center";
+	}
+
+	gradient.stops = args
+		.map(parseStop)
+		.map(({ color, positions }) => {
+			const parsed = normalizeColor(color);
+			// bare positions are interpolation hints, not stops
+			if (!parsed) return null;
+			const stop = { color: parsed.hex, alpha: parsed.alpha, position: positions[0] || null };
+			if (!/^(rgb|hex)$/.test(parsed.space)) {
+				stop.original = parsed.original;
+				stop.space = parsed.space;
+				stop.inGamut = parsed.inGamut;
+			}
+			return stop;
+		})
+		.filter(Boolean);
+
+	return gradient.stops.length > 0 ? gradient : null;
+}
+
+/**
+ * Parses every gradient layer in a computed background-image value.
+ */
+export function parseBackgroundImage(value) {
+	if (!value || !value.includes("gradient(")) return [];
+	return splitTopLevel(value)
+		.map((layer) => {
+			const gradient = parseGradient(layer);
+			return gradient ? { ...gradient, css: layer } : null;
+		})
+		.filter(Boolean);
+}
+
+export default parseBackgroundImage;
@@ -3,9 +3,13 @@ import cors from "cors";
 import path from "path";
 import express from "express";
 import { fileURLToPath } from "url";
+import { BrowserPool } from "./pool.js";
 import { DesignScraper } from "./scraper.js";
 import { ToneAnalyzer } from "./analyzer.js";
 import { ScanDatabase } from "./database.js";
+import { parseScanOptions } from "./options.js";
+import { TOKEN_FORMATS, exportTokens } from "./tokens.js";
+import { decodeUploadSource, parseUpload } from "./uploads.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -18,11 +22,17 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 const db = new ScanDatabase();
-const scraper = new DesignScraper();
+// concurrent scans share one browser; the rest wait in line
+const pool = new BrowserPool({
+	concurrency: Number(process.env.SCAN_CONCURRENCY) || 2,
+	maxQueue: Number(process.env.SCAN_QUEUE_LIMIT) || 20,
+});
+const scraper = new DesignScraper({ pool });
 const analyzer = new ToneAnalyzer(process.env.OPENAI_API_KEY);
 
 app.use(cors());
-app.use(express.json());
+// uploads arrive as base64 in the scan request
+app.use(express.json({ limit: "60mb" }));
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
@@ -34,23 +44,56 @@ if (process.env.NODE_ENV === "production") {
 /**
  * POST /api/scan
  * Main endpoint - scrape a website and extract its design system
+ * Optional body.crawl: { maxPages, maxDepth, include, exclude } follows same-origin links
+ * Optional body.cookies, headers, httpCredentials, locale and steps scan pages behind a login
+ * body.source: { type: "upload", filename, data } scans an HTML, MHTML, WARC or zip upload instead of a URL
  */
 app.post("/api/scan", async (req, res) => {
-	const { url } = req.body;
+	const { url, source } = req.body;
 
-	if (!url) {
+	if (!url && !source) {
 		return res.status(400).json({ error: "URL is required" });
 	}
 
-	// validate URL
-	let validUrl;
+	// unpacks an upload, or validates the URL
+	let upload = null;
+	let validUrl = null;
+	if (source) {
+		try {
+			upload = decodeUploadSource(source);
+			upload.site = await parseUpload(upload.filename, upload.buffer);
+		} catch (e) {
+			return res.status(400).json({ error: e.message });
+		}
+	} else {
+		try {
+			validUrl = new URL(url.startsWith("http") ? url : `https://${url}`);
+		} catch (e) {
+			return res.status(400).json({ error: "Invalid URL format" });
+		}
+	}
+
+	let options;
 	try {
-		validUrl = new URL(url.startsWith("http") ? url : `https://${url}`);
+		options = parseScanOptions(req.body);
 	} catch (e) {
-		return res.status(400).json({ error: "Invalid URL format" });
+		return res.status(400).json({ error: e.message });
 	}
 
-	console.log(`\n🔍 Scanning: ${validUrl.href}`);
+	// credentials in the URL become basic auth so they aren't saved with the scan
+	if (validUrl?.username || validUrl?.password) {
+		options.httpCredentials ??= {
+			username: decodeURIComponent(validUrl.username),
+			password: decodeURIComponent(validUrl.password),
+		};
+		validUrl.username = "";
+		validUrl.password = "";
+	}
+
+	console.log(`\n🔍 Scanning: ${upload ? `upload ${upload.filename} (${upload.site.format})` : validUrl.href}`);
+	if (options.crawl) {
+		console.log(`Crawling up to ${options.crawl.maxPages} pages (depth ${options.crawl.maxDepth})`);
+	}
 	const startTime = Date.now();
 
 	try {
@@ -59,7 +102,8 @@ app.post("/api/scan", async (req, res) => {
 
 		// scrape website
 		console.log("Extracting design elements...");
-		const scrapeResult = await scraper.scrape(validUrl.href);
+		const { assets, ...scrapeResult } =
+			upload ? await scraper.scrapeUpload(upload.site, upload, options) : await scraper.scrape(validUrl.href, options);
 
 		// analyze tone 
 		console.log("Analyzing brand voice...");
@@ -70,7 +114,7 @@ app.post("/api/scan", async (req, res) => {
 			tone: toneAnalysis,
 		};
 
-		const scanId = db.save(result);
+		const scanId = db.save(result, assets);
 
 		const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -79,7 +123,8 @@ app.post("/api/scan", async (req, res) => {
 			...result,
 		});
 	} catch (error) {
-		res.status(500).json({
+		// 503 when the scan queue is full
+		res.status(error.status || 500).json({
 			error: "Failed to scan website",
 			details: error.message,
 		});
@@ -121,6 +166,86 @@ app.get("/api/scans/:id", async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/scans/:id/assets
+ * List the files stored with a scan (logos and their PNG renditions)
+ */
+app.get("/api/scans/:id/assets", async (req, res) => {
+	try {
+		await db.ensureReady();
+
+		if (!db.getById(req.params.id)) {
+			return res.status(404).json({ error: "Scan not found" });
+		}
+
+		const assets = db.getAssets(req.params.id).map((asset) => ({
+			...asset,
+			url: `/api/scans/${req.params.id}/assets/${asset.id}`,
+		}));
+
+		res.json(assets);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to fetch assets" });
+	}
+});
+
+/**
+ * GET /api/scans/:id/assets/:assetId
+ * Serve one stored file; ?download forces a file download
+ */
+app.get("/api/scans/:id/assets/:assetId", async (req, res) => {
+	try {
+		await db.ensureReady();
+
+		const asset = db.getAsset(req.params.id, req.params.assetId);
+		if (!asset) {
+			return res.status(404).json({ error: "Asset not found" });
+		}
+
+		res.set("Content-Type", asset.contentType);
+		// assets never change once saved
+		res.set("Cache-Control", "public, max-age=31536000, immutable");
+		// inline SVGs could run scripts from our origin
+		res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+		if (req.query.download !== undefined) {
+			res.set("Content-Disposition", `attachment; filename="${asset.name}"`);
+		}
+		res.send(asset.data);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to fetch asset" });
+	}
+});
+
+/**
+ * GET /api/scans/:id/tokens?format=json
+ * Download a scan's design tokens (formats: json, css)
+ */
+app.get("/api/scans/:id/tokens", async (req, res) => {
+	const format = req.query.format || "json";
+	if (!Object.hasOwn(TOKEN_FORMATS, format)) {
+		return res.status(400).json({
+			error: `Unknown token format: ${format}. Use one of ${Object.keys(TOKEN_FORMATS).join(", ")}`,
+		});
+	}
+
+	try {
+		await db.ensureReady();
+
+		const scan = db.getById(req.params.id);
+		if (!scan) {
+			return res.status(404).json({ error: "Scan not found" });
+		}
+
+		const { content, contentType, extension } = exportTokens(scan.data, format);
+
+		res.set("Content-Type", contentType);
+		res.set("Content-Disposition", `attachment; filename="${scan.domain}.${extension}"`);
+		res.send(content);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to export tokens" });
+	}
+});
+
 /**
  * DELETE /api/scans/:id
  * Delete a scan
@@ -139,12 +264,13 @@ app.delete("/api/scans/:id", async (req, res) => {
 
 /**
  * GET /api/health
- * Health check endpoint
+ * Health check endpoint, with browser pool and scan queue stats
  */
 app.get("/api/health", (req, res) => {
 	res.json({
 		status: "ok",
 		hasOpenAI: !!process.env.OPENAI_API_KEY,
+		pool: pool.stats(),
 	});
 });
 
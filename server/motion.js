@@ -0,0 +1,229 @@
+// Motion tokens. Transition and animation declarations sampled from the page are
+// clustered into duration and easing steps, next to the @keyframes rules they
+// play and whether the site tones motion down for prefers-reduced-motion.
+
+// the CSS easing keywords as the curves they stand for
+export const EASING_KEYWORDS = {
+	linear: [0, 0, 1, 1],
+	ease: [0.25, 0.1, 0.25, 1],
+	"ease-in": [0.42, 0, 1, 1],
+	"ease-out": [0, 0, 0.58, 1],
+	"ease-in-out": [0.42, 0, 0.58, 1],
+};
+
+// longer durations are ambient loops (marquees, spinners), not UI motion
+const MAX_TOKEN_DURATION = 2000;
+// durations this close to a step (relative, or in ms) count as that step
+const DURATION_TOLERANCE = 0.1;
+const DURATION_MIN_GAP = 20;
+// durations at or below this are how sites switch motion off
+const NO_MOTION_MS = 10;
+
+// names for a sorted list of duration steps from short to long
+const DURATION_NAMES = {
+	1: ["normal"],
+	2: ["fast", "slow"],
+	3: ["fast", "normal", "slow"],
+	4: ["fast", "normal", "slow", "slower"],
+	5: ["faster", "fast", "normal", "slow", "slower"],
+	6: ["fastest", "faster", "fast", "normal", "slow", "slower"],
+};
+
+/**
+ * Parses a CSS time ("0.3s", "150ms") into milliseconds.
+ */
+export function parseTime(value) {
+	const match = String(value).trim().match(/^(-?[\d.]+)(m?s)$/);
+	if (!match) return null;
+	const time = parseFloat(match[1]);
+	return match[2] === "s" ? Math.round(time * 1000) : Math.round(time);
+}
+
+/**
+ * Parses an easing function into { value, curve, keyword }, where curve is the
+ * cubic-bezier control points or null for steps() and linear() with stops.
+ */
+export function parseEasing(value) {
+	const easing = value.trim();
+	if (EASING_KEYWORDS[easing]) return { value: easing, curve: EASING_KEYWORDS[easing], keyword: easing };
+
+	const bezier = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+	if (bezier) {
+		const curve = bezier[1].split(",").map((n) => Math.round(parseFloat(n) * 100) / 100);
+		if (curve.length === 4 && curve.every((n) => !Number.isNaN(n))) {
+			return { value: `cubic-bezier(${curve.join(", ")})`, curve, keyword: null };
+		}
+	}
+	return { value: easing.replace(/\s+/g, " "), curve: null, keyword: null };
+}
+
+/**
+ * Describes a curve as linear, in, out, in-out or overshoot.
+ */
+export function easingShape(curve) {
+	if (!curve) return "steps";
+	const [x1, y1, x2, y2] = curve;
+	if (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1) return "overshoot";
+	const slowStart = x1 - y1 > 0.1;
+	const slowEnd = y2 - x2 > 0.1;
+	if (slowStart && slowEnd) return "in-out";
+	if (slowStart) return "in";
+	if (slowEnd) return "out";
+	return "linear";
+}
+
+// shared bookkeeping for duration and easing groups
+const track = (groups, key, create, sample) => {
+	if (!groups.has(key)) groups.set(key, { ...create(), count: 0, usage: {}, examples: [] });
+	const group = groups.get(key);
+	group.count++;
+	group.usage[sample.kind] = (group.usage[sample.kind] || 0) + 1;
+	if (group.examples.length < 3 && !group.examples.includes(sample.element)) group.examples.push(sample.element);
+	return group;
+};
+
+// merges durations within the tolerance of each other; the most used value names the step
+function clusterDurations(groups) {
+	const clusters = [];
+	groups
+		.sort((a, b) => a.ms - b.ms)
+		.forEach((group) => {
+			const last = clusters[clusters.length - 1];
+			const gap = Math.max(DURATION_MIN_GAP, last ? last.ms * DURATION_TOLERANCE : 0);
+			if (last && group.ms - last.ms <= gap) {
+				last.members.push(group);
+			} else {
+				clusters.push({ ms: group.ms, members: [group] });
+			}
+		});
+
+	return clusters.map(({ members }) => {
+		const [top] = [...members].sort((a, b) => b.count - a.count);
+		const usage = {};
+		members.forEach((member) =>
+			Object.entries(member.usage).forEach(([kind, count]) => {
+				usage[kind] = (usage[kind] || 0) + count;
+			}),
+		);
+		return {
+			value: `${top.ms}ms`,
+			ms: top.ms,
+			count: members.reduce((sum, member) => sum + member.count, 0),
+			usage,
+			examples: top.examples,
+			...(members.length > 1 && { members: members.map((member) => `${member.ms}ms`) }),
+		};
+	});
+}
+
+// compares active motion with prefers-reduced-motion emulated
+function summarizeReducedMotion(samples, reducedSamples, mediaRules) {
+	const active = (list) =>
+		list.filter((sample) => sample.duration > NO_MOTION_MS && (sample.kind !== "animation" || sample.name !== "none"))
+			.length;
+
+	const before = active(samples);
+	const after = active(reducedSamples);
+	const reduced = Math.max(0, before - after);
+	const share = before > 0 ? reduced / before : 0;
+
+	let honored = null;
+	if (before > 0) honored = share >= 0.9 ? "full" : share >= 0.1 ? "partial" : "none";
+
+	return { honored, mediaRules, active: before, reduced };
+}
+
+/**
+ * Turns sampled motion ({ samples, reducedSamples, keyframes, mediaRules }) into
+ * duration and easing tokens, transitioned properties, animations and the
+ * prefers-reduced-motion summary.
+ */
+export function classifyMotion({ samples: rawSamples = [], reducedSamples = [], keyframes = [], mediaRules = 0 }) {
+	// computed durations arrive as CSS times
+	const withMs = (list) => list.map((sample) => ({ ...sample, duration: parseTime(sample.duration) ?? 0 }));
+	const samples = withMs(rawSamples);
+
+	const durationGroups = new Map();
+	const easingGroups = new Map();
+	const properties = new Map();
+	const animations = new Map();
+
+	samples.forEach((sample) => {
+		if (sample.kind === "transition") {
+			properties.set(sample.property, (properties.get(sample.property) || 0) + 1);
+		} else {
+			if (!animations.has(sample.name)) {
+				animations.set(sample.name, {
+					name: sample.name,
+					count: 0,
+					duration: `${sample.duration}ms`,
+					easing: parseEasing(sample.easing).value,
+					iterations: sample.iterations,
+					examples: [],
+				});
+			}
+			const animation = animations.get(sample.name);
+			animation.count++;
+			if (animation.examples.length < 3 && !animation.examples.includes(sample.element)) {
+				animation.examples.push(sample.element);
+			}
+		}
+
+		// endless animations are ambient loops rather than UI motion
+		const finite = sample.kind === "transition" || sample.iterations !== "infinite";
+		if (finite && sample.duration > NO_MOTION_MS && sample.duration <= MAX_TOKEN_DURATION) {
+			track(durationGroups, sample.duration, () => ({ ms: sample.duration }), sample);
+		}
+
+		const easing = parseEasing(sample.easing);
+		track(easingGroups, easing.value, () => ({ ...easing, shape: easingShape(easing.curve) }), sample);
+	});
+
+	const durationSteps = clusterDurations(Array.from(durationGroups.values()))
+		.sort((a, b) => b.count - a.count)
+		.slice(0, 6)
+		.sort((a, b) => a.ms - b.ms);
+	const duration = durationSteps.map((step, i) => ({
+		name: `duration.${DURATION_NAMES[durationSteps.length][i]}`,
+		...step,
+	}));
+
+	// keywords keep their names, custom curves are named after their shape
+	const usedNames = new Set();
+	const easing = Array.from(easingGroups.values())
+		.sort((a, b) => b.count - a.count)
+		.slice(0, 6)
+		.map(({ keyword, ...group }) => {
+			let name = keyword || group.shape;
+			for (let i = 2; usedNames.has(name); i++) name = `${keyword || group.shape}-${i}`;
+			usedNames.add(name);
+			return { name: `easing.${name}`, ...group, ...(keyword && { keyword }) };
+		});
+
+	const playing = new Set(animations.keys());
+
+	return {
+		duration,
+		easing,
+		properties: Array.from(properties.entries())
+			.map(([property, count]) => ({ property, count }))
+			.sort((a, b) => b.count - a.count)
+			.slice(0, 8),
+		animations: Array.from(animations.values())
+			.map((animation) => {
+				const rule = keyframes.find((k) => k.name === animation.name);
+				return rule ? { ...animation, keyframes: { steps: rule.steps, properties: rule.properties } } : animation;
+			})
+			.sort((a, b) => b.count - a.count)
+			.slice(0, 10),
+		keyframes: {
+			total: keyframes.length,
+			// defined but not running on the page as loaded (hover effects, JS-triggered)
+			unused: keyframes.filter((k) => !playing.has(k.name)).map((k) => k.name).slice(0, 10),
+		},
+		reducedMotion: summarizeReducedMotion(samples, withMs(reducedSamples), mediaRules),
+		sampled: samples.length,
+	};
+}
+
+export default classifyMotion;
@@ -0,0 +1,393 @@
+import { BLOCKABLE_TYPES, BLOCK_PROFILES } from "./blocking.js";
+
+// device sizes used by the responsive scan
+export const VIEWPORT_PRESETS = {
+	mobile: { name: "mobile", width: 390, height: 844, isMobile: true, hasTouch: true },
+	tablet: { name: "tablet", width: 820, height: 1180, isMobile: true, hasTouch: true },
+	desktop: { name: "desktop", width: 1920, height: 1080, isMobile: false, hasTouch: false },
+};
+
+/**
+ * Validates and normalizes the scan options sent to POST /api/scan.
+ * Throws an Error with a user-facing message when an option is invalid.
+ */
+export function parseScanOptions(body = {}) {
+	const options = {};
+
+	if (body.crawl) {
+		options.crawl = parseCrawlOptions(body.crawl);
+	}
+
+	if (body.darkMode) {
+		options.darkMode = true;
+	}
+
+	if (body.viewports) {
+		options.viewports = parseViewports(body.viewports);
+	}
+
+	// CIEDE2000 distance under which palette colors are merged; 0 keeps every exact hex
+	if (body.colorMergeThreshold !== undefined) {
+		options.colorMergeThreshold = clampNumber(body.colorMergeThreshold, 0, 20, "colorMergeThreshold");
+	}
+
+	// overlays are dismissed by default; false turns it off
+	if (body.overlays !== undefined) {
+		options.overlays = parseOverlayOptions(body.overlays);
+	}
+
+	// request blocking profile; "balanced" applies when it's left out
+	if (body.blocking !== undefined) {
+		options.blocking = parseBlocking(body.blocking);
+	}
+
+	// session settings for pages behind a login; none of them are stored with the scan
+	if (body.cookies !== undefined) {
+		options.cookies = parseCookies(body.cookies);
+	}
+
+	if (body.headers !== undefined) {
+		options.headers = parseHeaders(body.headers);
+	}
+
+	if (body.httpCredentials !== undefined) {
+		options.httpCredentials = parseCredentials(body.httpCredentials);
+	}
+
+	if (body.locale !== undefined) {
+		if (typeof body.locale !== "string" || !/^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(body.locale)) {
+			throw new Error("locale must be a language tag like en-US");
+		}
+		options.locale = body.locale;
+	}
+
+	if (body.steps !== undefined) {
+		options.steps = parseSteps(body.steps);
+	}
+
+	return options;
+}
+
+const SAME_SITE = ["Strict", "Lax", "None"];
+
+// a list of { name, value, domain, path, ... } or a Cookie header string
+function parseCookies(cookies) {
+	const list =
+		typeof cookies === "string" ?
+			cookies
+				.split(";")
+				.map((pair) => pair.trim())
+				.filter(Boolean)
+				.map((pair) => {
+					const index = pair.indexOf("=");
+					return index === -1 ? { name: pair } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+				})
+		:	cookies;
+
+	if (!Array.isArray(list)) {
+		throw new Error("cookies must be a list of cookies or a Cookie header string");
+	}
+	if (list.length > 50) {
+		throw new Error("cookies supports at most 50 cookies");
+	}
+
+	return list.map((cookie, i) => {
+		if (!cookie || typeof cookie.name !== "string" || !cookie.name || typeof cookie.value !== "string") {
+			throw new Error(`cookies[${i}] needs a name and a string value`);
+		}
+		if (cookie.sameSite !== undefined && !SAME_SITE.includes(cookie.sameSite)) {
+			throw new Error(`cookies[${i}].sameSite must be one of ${SAME_SITE.join(", ")}`);
+		}
+
+		const parsed = { name: cookie.name.trim(), value: cookie.value };
+		["domain", "path"].forEach((key) => {
+			if (typeof cookie[key] === "string") parsed[key] = cookie[key];
+		});
+		["secure", "httpOnly"].forEach((key) => {
+			if (cookie[key] !== undefined) parsed[key] = Boolean(cookie[key]);
+		});
+		if (cookie.sameSite) parsed.sameSite = cookie.sameSite;
+		return parsed;
+	});
+}
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+// set by the browser, or by other options
+const RESERVED_HEADERS = ["host", "content-length", "connection", "accept-language"];
+
+function parseHeaders(headers) {
+	if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+		throw new Error("headers must be an object of header names and values");
+	}
+
+	const entries = Object.entries(headers);
+	if (entries.length > 20) {
+		throw new Error("headers supports at most 20 headers");
+	}
+
+	return Object.fromEntries(
+		entries.map(([name, value]) => {
+			if (!HEADER_NAME.test(name) || RESERVED_HEADERS.includes(name.toLowerCase())) {
+				throw new Error(`headers has an invalid or reserved header: ${name}`);
+			}
+			if (typeof value !== "string" || /[\r\n]/.test(value) || value.length > 4096) {
+				throw new Error(`headers.${name} must be a single-line string`);
+			}
+			return [name, value];
+		}),
+	);
+}
+
+function parseCredentials(credentials) {
+	if (!credentials || typeof credentials.username !== "string" || typeof credentials.password !== "string") {
+		throw new Error("httpCredentials must have a username and password");
+	}
+	return { username: credentials.username, password: credentials.password };
+}
+
+const STEP_ACTIONS = ["goto", "fill", "click", "wait"];
+
+// steps run in order after the page loads, e.g. to sign in
+function parseSteps(steps) {
+	if (!Array.isArray(steps)) {
+		throw new Error("steps must be a list of { action } objects");
+	}
+	if (steps.length > 25) {
+		throw new Error("steps supports at most 25 steps");
+	}
+
+	return steps.map((step, i) => {
+		const name = `steps[${i}]`;
+		if (!step || !STEP_ACTIONS.includes(step.action)) {
+			throw new Error(`${name}.action must be one of ${STEP_ACTIONS.join(", ")}`);
+		}
+
+		const selector = () => {
+			if (typeof step.selector !== "string" || !step.selector.trim()) {
+				throw new Error(`${name} needs a selector`);
+			}
+			return step.selector.trim();
+		};
+
+		switch (step.action) {
+			case "goto": {
+				let url;
+				try {
+					url = new URL(step.url);
+				} catch (e) {
+					throw new Error(`${name}.url must be an absolute URL`);
+				}
+				if (!["http:", "https:"].includes(url.protocol)) {
+					throw new Error(`${name}.url must be an http or https URL`);
+				}
+				return { action: "goto", url: url.href };
+			}
+			case "fill":
+				if (typeof step.value !== "string") {
+					throw new Error(`${name}.value must be a string`);
+				}
+				return { action: "fill", selector: selector(), value: step.value };
+			case "click":
+				return { action: "click", selector: selector() };
+			default:
+				// waits for a selector to appear, or a fixed time
+				if (step.selector !== undefined) {
+					return {
+						action: "wait",
+						selector: selector(),
+						timeout: clampInteger(step.timeout ?? 10000, 0, 30000, `${name}.timeout`),
+					};
+				}
+				return { action: "wait", ms: clampInteger(step.ms, 0, 30000, `${name}.ms`) };
+		}
+	});
+}
+
+// a profile name, false for no blocking, or { profile, types, domains }
+function parseBlocking(blocking) {
+	if (blocking === false) return { profile: "off", types: [], domains: [] };
+	if (typeof blocking !== "string" && (!blocking || typeof blocking !== "object")) {
+		throw new Error("blocking must be a profile name, false or { profile, types, domains }");
+	}
+	const { profile = "balanced", types = [], domains = [] } = typeof blocking === "string" ? { profile: blocking } : blocking;
+
+	if (!Object.hasOwn(BLOCK_PROFILES, profile)) {
+		throw new Error(`blocking.profile must be one of ${Object.keys(BLOCK_PROFILES).join(", ")}`);
+	}
+	if (!Array.isArray(types) || types.some((type) => !BLOCKABLE_TYPES.includes(type))) {
+		throw new Error(`blocking.types can only contain ${BLOCKABLE_TYPES.join(", ")}`);
+	}
+	const isHostname = (domain) => typeof domain === "string" && /^[a-z0-9.-]+$/i.test(domain);
+	if (!Array.isArray(domains) || domains.length > 50 || !domains.every(isHostname)) {
+		throw new Error("blocking.domains must be a list of up to 50 hostnames");
+	}
+
+	return { profile, types, domains: domains.map((domain) => domain.toLowerCase()) };
+}
+
+function parseOverlayOptions(overlays) {
+	if (overlays === false) return false;
+	if (overlays === true) return { hide: [], click: [] };
+	if (!overlays || typeof overlays !== "object") {
+		throw new Error("overlays must be false or an object with hide and click selectors");
+	}
+
+	return {
+		hide: parseSelectors(overlays.hide ?? [], "overlays.hide"),
+		click: parseSelectors(overlays.click ?? [], "overlays.click"),
+	};
+}
+
+// selectors are checked in the page, where invalid ones are reported back
+function parseSelectors(selectors, name) {
+	const list = Array.isArray(selectors) ? selectors : [selectors];
+	if (list.length > 20) {
+		throw new Error(`${name} supports at most 20 selectors`);
+	}
+
+	return list.map((selector) => {
+		if (typeof selector !== "string" || !selector.trim() || selector.length > 300) {
+			throw new Error(`${name} must be a list of CSS selectors`);
+		}
+		return selector.trim();
+	});
+}
+
+function parseCrawlOptions(crawl) {
+	if (crawl !== true && typeof crawl !== "object") {
+		throw new Error("crawl must be an object");
+	}
+
+	const { maxPages = 5, maxDepth = 2, include = [], exclude = [] } = crawl === true ? {} : crawl;
+
+	return {
+		maxPages: clampInteger(maxPages, 1, 25, "crawl.maxPages"),
+		maxDepth: clampInteger(maxDepth, 0, 5, "crawl.maxDepth"),
+		include: parsePatterns(include, "crawl.include"),
+		exclude: parsePatterns(exclude, "crawl.exclude"),
+	};
+}
+
+function parseViewports(viewports) {
+	const list = viewports === true ? Object.keys(VIEWPORT_PRESETS) : viewports;
+	if (!Array.isArray(list)) {
+		throw new Error("viewports must be a list of presets or { width, height } sizes");
+	}
+
+	const resolved = list.map((viewport, i) => {
+		if (typeof viewport === "string") {
+			if (!Object.hasOwn(VIEWPORT_PRESETS, viewport)) {
+				throw new Error(`Unknown viewport preset: ${viewport}`);
+			}
+			return VIEWPORT_PRESETS[viewport];
+		}
+
+		if (!viewport || typeof viewport !== "object") {
+			throw new Error("viewports must be a list of presets or { width, height } sizes");
+		}
+
+		const width = clampInteger(viewport.width, 240, 3840, `viewports[${i}].width`);
+		const height = clampInteger(viewport.height ?? Math.round(width * 1.6), 320, 2160, `viewports[${i}].height`);
+		const isMobile = viewport.isMobile ?? width < 1024;
+
+		return {
+			name: typeof viewport.name === "string" ? viewport.name.slice(0, 40) : `${width}x${height}`,
+			width,
+			height,
+			isMobile,
+			hasTouch: isMobile,
+		};
+	});
+
+	if (resolved.length > 6) {
+		throw new Error("viewports supports at most 6 sizes");
+	}
+
+	// names key the responsive results and their screenshot files
+	const names = new Set();
+	resolved.forEach(({ name }) => {
+		const key = name.toLowerCase().replace(/[^a-z0-9-]+/g, "-");
+		if (names.has(key)) {
+			throw new Error(`viewports has more than one size named ${name}`);
+		}
+		names.add(key);
+	});
+
+	// narrowest first so changes read as the layout grows
+	return resolved.sort((a, b) => a.width - b.width);
+}
+
+function clampInteger(value, min, max, name) {
+	return Math.round(clampNumber(value, min, max, name));
+}
+
+function clampNumber(value, min, max, name) {
+	const number = Number(value);
+	if (value === null || value === "" || !Number.isFinite(number)) {
+		throw new Error(`${name} must be a number`);
+	}
+	return Math.min(Math.max(number, min), max);
+}
+
+// patterns are path globs (see pathMatcher), never regular expressions, so a
+// pattern can't stall the server while links are checked
+function parsePatterns(patterns, name) {
+	const list = Array.isArray(patterns) ? patterns : [patterns];
+	if (list.length > 10) {
+		throw new Error(`${name} supports at most 10 patterns`);
+	}
+
+	return list.map((pattern) => {
+		if (typeof pattern !== "string" || !pattern.startsWith("/") || pattern.length > 200) {
+			throw new Error(`${name} must be a list of paths like /docs or /blog/*, up to 200 characters each`);
+		}
+		return pattern;
+	});
+}
+
+/**
+ * Compiles a crawl pattern into a test for a link's path and query. `*` matches
+ * within one path segment and `**` across segments; everything else is literal.
+ * A pattern also matches the paths below it, so /docs covers /docs/intro.
+ * Runs in linear time per pattern character, whatever the input.
+ */
+export function pathMatcher(pattern) {
+	const tokens = [];
+	for (let i = 0; i < pattern.length; i++) {
+		if (pattern.startsWith("**", i)) {
+			tokens.push("**");
+			i++;
+		} else {
+			tokens.push(pattern[i] === "*" ? "*" : { char: pattern[i] });
+		}
+	}
+	const end = tokens.length;
+
+	// wildcards can match nothing, so reaching one also reaches what follows it
+	const reach = (states) => {
+		for (const state of states) {
+			if (typeof tokens[state] === "string") states.add(state + 1);
+		}
+		return states;
+	};
+
+	return (path) => {
+		let states = reach(new Set([0]));
+		for (const char of path) {
+			// the whole pattern matched up to a segment or query boundary
+			if (states.has(end) && (pattern.endsWith("/") || char === "/" || char === "?")) return true;
+
+			const next = new Set();
+			states.forEach((state) => {
+				const token = tokens[state];
+				if (token === "**" || (token === "*" && char !== "/")) next.add(state);
+				else if (token?.char === char) next.add(state + 1);
+			});
+			if (next.size === 0) return false;
+			states = reach(next);
+		}
+		return states.has(end);
+	};
+}
+
+export default parseScanOptions;
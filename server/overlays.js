@@ -0,0 +1,83 @@
+// Known consent platforms and chat widgets, dismissed before extraction so their
+// colors don't reach the palette and they don't cover the screenshot.
+
+// buttons are tried in order, so rejecting beats accepting where both exist;
+// the container is hidden if it's still visible after the click
+export const CONSENT_PLATFORMS = [
+	{
+		name: "OneTrust",
+		container: "#onetrust-consent-sdk, #onetrust-banner-sdk",
+		buttons: ["#onetrust-reject-all-handler", "#onetrust-accept-btn-handler"],
+	},
+	{
+		name: "Cookiebot",
+		container: "#CybotCookiebotDialog",
+		buttons: ["#CybotCookiebotDialogBodyButtonDecline", "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll"],
+	},
+	{
+		name: "Didomi",
+		container: "#didomi-host",
+		buttons: ["#didomi-notice-disagree-button", "#didomi-notice-agree-button"],
+	},
+	{
+		name: "Quantcast Choice",
+		container: ".qc-cmp2-container",
+		buttons: ['.qc-cmp2-summary-buttons button[mode="secondary"]', '.qc-cmp2-summary-buttons button[mode="primary"]'],
+	},
+	{
+		name: "TrustArc",
+		container: "#truste-consent-track, .truste_overlay, .truste_box_overlay",
+		buttons: ["#truste-consent-required", "#truste-consent-button"],
+	},
+	{
+		name: "Usercentrics",
+		container: "#usercentrics-root, #usercentrics-cmp-ui",
+		buttons: [],
+	},
+	{
+		name: "Osano",
+		container: ".osano-cm-window",
+		buttons: [".osano-cm-denyAll", ".osano-cm-accept-all"],
+	},
+	{
+		name: "CookieYes",
+		container: ".cky-consent-container, .cky-overlay",
+		buttons: [".cky-btn-reject", ".cky-btn-accept"],
+	},
+	{
+		name: "Complianz",
+		container: "#cmplz-cookiebanner-container, .cmplz-cookiebanner",
+		buttons: [".cmplz-deny", ".cmplz-accept"],
+	},
+	{
+		name: "Klaro",
+		container: ".klaro .cookie-notice, .klaro .cookie-modal",
+		buttons: [".klaro .cm-btn-decline", ".klaro .cm-btn-accept-all"],
+	},
+	{
+		name: "Sourcepoint",
+		container: '[id^="sp_message_container"]',
+		buttons: [],
+	},
+	{
+		name: "Termly",
+		container: "#termly-code-snippet-support",
+		buttons: [],
+	},
+];
+
+// chat launchers sit on top of the page and are hidden, never opened
+export const CHAT_WIDGETS = [
+	{ name: "Intercom", selector: "#intercom-container, .intercom-lightweight-app, .intercom-launcher-frame" },
+	{ name: "Drift", selector: "#drift-widget-container, #drift-frame-controller, #drift-frame-chat" },
+	{ name: "HubSpot", selector: "#hubspot-messages-iframe-container" },
+	{ name: "Zendesk", selector: "#launcher, iframe#webWidget, [data-product='web_widget']" },
+	{ name: "Crisp", selector: ".crisp-client" },
+	{ name: "Tawk.to", selector: 'iframe[title*="chat widget" i]' },
+	{ name: "LiveChat", selector: "#chat-widget-container" },
+	{ name: "Tidio", selector: "#tidio-chat" },
+	{ name: "Freshchat", selector: "#fc_frame" },
+];
+
+// text that marks a fixed element as a banner rather than site chrome
+export const OVERLAY_TEXT = "cookie|consent|gdpr|privacy|newsletter|subscribe|get \\d+% off";
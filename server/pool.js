@@ -0,0 +1,145 @@
+import puppeteer from "puppeteer";
+
+// Chromium runs as one shared browser; every scan gets its own browser context
+// (separate cookies, storage and cache) and scans beyond `concurrency` wait in
+// a FIFO queue. A browser that crashes or disconnects is relaunched.
+
+const LAUNCH_ARGS = [
+	"--no-sandbox",
+	"--disable-setuid-sandbox",
+	"--disable-dev-shm-usage",
+	"--disable-accelerated-2d-canvas",
+	"--no-first-run",
+	"--no-zygote",
+	"--disable-gpu",
+];
+
+export class BrowserPool {
+	constructor({ concurrency = 2, maxQueue = 20 } = {}) {
+		this.concurrency = concurrency;
+		this.maxQueue = maxQueue;
+		this.browser = null;
+		this.launching = null;
+		this.closing = false;
+		this.active = 0;
+		this.queue = [];
+		this.counters = { completed: 0, failed: 0, rejected: 0, launches: 0, crashes: 0, waitMs: 0, runMs: 0 };
+	}
+
+	// one launch at a time, however many scans ask for the browser
+	async getBrowser() {
+		if (this.browser?.connected) return this.browser;
+		if (!this.launching) {
+			this.launching = this.launch().finally(() => {
+				this.launching = null;
+			});
+		}
+		return await this.launching;
+	}
+
+	async launch() {
+		const launchOptions = { headless: "new", args: LAUNCH_ARGS };
+
+		// use system chrome
+		if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+			launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+		}
+
+		const browser = await puppeteer.launch(launchOptions);
+		this.counters.launches++;
+
+		browser.on("disconnected", () => {
+			if (this.browser !== browser) return;
+			this.browser = null;
+			if (this.closing) return;
+
+			// scans running in it fail on their own; new ones get a fresh browser
+			this.counters.crashes++;
+			console.error("Browser disconnected, relaunching");
+			this.getBrowser().catch((error) => console.error("Browser relaunch failed:", error.message));
+		});
+
+		this.browser = browser;
+		return browser;
+	}
+
+	/**
+	 * Runs task(context) in a fresh browser context once a slot is free.
+	 * Rejects with an Error whose status is 503 when the queue is full.
+	 */
+	async run(task) {
+		if (this.closing) throw Object.assign(new Error("Browser pool is shutting down"), { status: 503 });
+
+		const queuedAt = Date.now();
+		if (this.active >= this.concurrency) {
+			if (this.queue.length >= this.maxQueue) {
+				this.counters.rejected++;
+				throw Object.assign(new Error("Too many scans in progress, try again shortly"), { status: 503 });
+			}
+			await new Promise((resolve, reject) => this.queue.push({ resolve, reject }));
+		} else {
+			this.active++;
+		}
+
+		const startedAt = Date.now();
+		this.counters.waitMs += startedAt - queuedAt;
+		let context = null;
+
+		try {
+			context = await this.createContext();
+			const result = await task(context);
+			this.counters.completed++;
+			return result;
+		} catch (error) {
+			this.counters.failed++;
+			throw error;
+		} finally {
+			this.counters.runMs += Date.now() - startedAt;
+			if (context) await context.close().catch(() => {});
+			this.release();
+		}
+	}
+
+	// retries once on a fresh browser when the current one died in between
+	async createContext() {
+		try {
+			return await (await this.getBrowser()).createBrowserContext();
+		} catch (error) {
+			if (this.browser?.connected) throw error;
+			return await (await this.getBrowser()).createBrowserContext();
+		}
+	}
+
+	// hands the slot straight to the next queued scan, so active stays accurate
+	release() {
+		const next = this.queue.shift();
+		if (next) next.resolve();
+		else this.active--;
+	}
+
+	stats() {
+		const { completed, failed, waitMs, runMs, ...counters } = this.counters;
+		const finished = completed + failed;
+		return {
+			concurrency: this.concurrency,
+			active: this.active,
+			queued: this.queue.length,
+			maxQueue: this.maxQueue,
+			browserConnected: Boolean(this.browser?.connected),
+			completed,
+			failed,
+			...counters,
+			averageWaitMs: finished ? Math.round(waitMs / finished) : 0,
+			averageScanMs: finished ? Math.round(runMs / finished) : 0,
+		};
+	}
+
+	async close() {
+		this.closing = true;
+		this.queue.splice(0).forEach(({ reject }) => reject(new Error("Browser pool is shutting down")));
+		if (this.launching) await this.launching.catch(() => {});
+		if (this.browser) await this.browser.close();
+	}
+}
+
+export default BrowserPool;
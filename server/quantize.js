@@ -0,0 +1,155 @@
+// Dominant colors of a screenshot, for brands that live in imagery rather than CSS.
+// Pixels are bucketed into a coarse histogram first, then clustered with
+// weighted k-means in OKLab so clusters follow perceived color.
+
+import jpeg from "jpeg-js";
+import { srgbToOklab } from "./colors.js";
+
+const channelsToHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+
+const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+/**
+ * Decodes a base64 JPEG data URL into { width, height, data } (RGBA).
+ */
+export function decodeScreenshot(dataUrl) {
+	const base64 = dataUrl.slice(dataUrl.indexOf(",") + 1);
+	return jpeg.decode(Buffer.from(base64, "base64"), { useTArray: true, maxMemoryUsageInMB: 256 });
+}
+
+// buckets every `step`-th pixel into 5 bits per channel (32768 bins).
+// mostly transparent pixels (logo backgrounds) are skipped
+function histogram({ width, height, data }, step) {
+	const bins = new Map();
+
+	for (let y = 0; y < height; y += step) {
+		for (let x = 0; x < width; x += step) {
+			const i = (y * width + x) * 4;
+			if (data[i + 3] < 128) continue;
+			const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+			let bin = bins.get(key);
+			if (!bin) {
+				bin = { r: 0, g: 0, b: 0, count: 0 };
+				bins.set(key, bin);
+			}
+			bin.r += data[i];
+			bin.g += data[i + 1];
+			bin.b += data[i + 2];
+			bin.count++;
+		}
+	}
+
+	return Array.from(bins.values()).map((bin) => {
+		const rgb = [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count];
+		return { rgb, lab: srgbToOklab(rgb.map((c) => c / 255)), weight: bin.count };
+	});
+}
+
+// k-means++ seeding made deterministic: heaviest bin first, then the bin that
+// adds the most weighted distance to the chosen centers
+function seed(points, k) {
+	const centers = [points.reduce((best, p) => (p.weight > best.weight ? p : best)).lab];
+	const nearest = points.map((p) => distance(p.lab, centers[0]));
+
+	while (centers.length < k) {
+		let next = -1;
+		let best = 0;
+		points.forEach((p, i) => {
+			const score = p.weight * nearest[i];
+			if (score > best) {
+				best = score;
+				next = i;
+			}
+		});
+		if (next === -1) break;
+		centers.push(points[next].lab);
+		points.forEach((p, i) => {
+			nearest[i] = Math.min(nearest[i], distance(p.lab, points[next].lab));
+		});
+	}
+
+	return centers;
+}
+
+/**
+ * Weighted k-means over histogram bins. Returns clusters with their mean sRGB
+ * color and total weight.
+ */
+export function kMeans(points, k, iterations = 12) {
+	let centers = seed(points, Math.min(k, points.length));
+	let assignments = new Array(points.length).fill(0);
+
+	for (let iteration = 0; iteration < iterations; iteration++) {
+		let moved = false;
+		assignments = points.map((p, i) => {
+			let closest = 0;
+			centers.forEach((center, c) => {
+				if (distance(p.lab, center) < distance(p.lab, centers[closest])) closest = c;
+			});
+			if (closest !== assignments[i]) moved = true;
+			return closest;
+		});
+
+		centers = centers.map((center, c) => {
+			const members = points.filter((_, i) => assignments[i] === c);
+			const weight = members.reduce((sum, p) => sum + p.weight, 0);
+			if (weight === 0) return center;
+			return [0, 1, 2].map((axis) => members.reduce((sum, p) => sum + p.lab[axis] * p.weight, 0) / weight);
+		});
+
+		if (!moved && iteration > 0) break;
+	}
+
+	return centers.map((_, c) => {
+		const members = points.filter((_, i) => assignments[i] === c);
+		const weight = members.reduce((sum, p) => sum + p.weight, 0);
+		const rgb = [0, 1, 2].map((axis) =>
+			weight ? members.reduce((sum, p) => sum + p.rgb[axis] * p.weight, 0) / weight : 0,
+		);
+		return { rgb, weight };
+	});
+}
+
+/**
+ * Dominant colors of a decoded RGBA image as [{ color, share }], where share is
+ * the fraction of opaque sampled pixels in the cluster. Clusters under minShare
+ * are dropped.
+ */
+export function dominantColors(image, { count = 8, step = 2, minShare = 0.005 } = {}) {
+	const points = histogram(image, step);
+	if (points.length === 0) return [];
+
+	const total = points.reduce((sum, p) => sum + p.weight, 0);
+
+	// k-means splits large flat areas when the image has fewer colors than k
+	const merged = [];
+	kMeans(points, count)
+		.sort((a, b) => b.weight - a.weight)
+		.forEach((cluster) => {
+			const lab = srgbToOklab(cluster.rgb.map((c) => c / 255));
+			const match = merged.find((m) => distance(m.lab, lab) < 0.03 ** 2);
+			if (match) match.weight += cluster.weight;
+			else merged.push({ ...cluster, lab });
+		});
+
+	return merged
+		.map(({ rgb, weight }) => ({ color: channelsToHex(rgb), share: weight / total }))
+		.filter((cluster) => cluster.share >= minShare)
+		.sort((a, b) => b.share - a.share)
+		.map((cluster) => ({ ...cluster, share: Math.round(cluster.share * 1000) / 1000 }));
+}
+
+/**
+ * Quantizes a screenshot data URL. Returns [] when it can't be decoded.
+ */
+export function quantizeScreenshot(dataUrl, options) {
+	if (!dataUrl) return [];
+	try {
+		return dominantColors(decodeScreenshot(dataUrl), options);
+	} catch (e) {
+		console.error("Screenshot quantization failed:", e.message);
+		return [];
+	}
+}
+
+export default quantizeScreenshot;
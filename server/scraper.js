@@ -1,319 +1,1687 @@
-import puppeteer from "puppeteer";
+import { v4 as uuidv4 } from "uuid";
+import { parseBackgroundImage } from "./gradients.js";
+import { clusterColors, normalizeColor, srgbToOklab } from "./colors.js";
+import { dominantColors, quantizeScreenshot } from "./quantize.js";
+import { parseFontFaceRules, parseFontStack, renderedFamily, resolveFontSources } from "./fonts.js";
+import { FRAMEWORK_GLOBALS, detectFrameworks } from "./frameworks.js";
+import { tokenHints } from "./tokens.js";
+import { CHAT_WIDGETS, CONSENT_PLATFORMS, OVERLAY_TEXT } from "./overlays.js";
+import { BrowserPool } from "./pool.js";
+import { blockReason, blockingRules } from "./blocking.js";
+import { serveSite, siteFile } from "./uploads.js";
+import { auditContrast } from "./contrast.js";
+import { colorVisionReport } from "./vision.js";
+import { classifyMotion } from "./motion.js";
+import { pathMatcher } from "./options.js";
+
+const USER_AGENT =
+	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+// file extensions for logo types the byte sniffing in downloadAsset doesn't cover
+const IMAGE_EXTENSIONS = {
+	"image/svg+xml": "svg",
+	"image/x-icon": "ico",
+	"image/vnd.microsoft.icon": "ico",
+	"image/png": "png",
+	"image/jpeg": "jpg",
+	"image/webp": "webp",
+	"image/gif": "gif",
+	"image/avif": "avif",
+	"image/bmp": "bmp",
+};
+
+// PNG sizes (longest side) generated for SVG logos
+const LOGO_RENDITION_SIZES = [64, 128, 256, 512];
+
+// full-page captures stop here; Chrome can't encode much taller images
+const MAX_CAPTURE_HEIGHT = 16000;
+// landmarks shorter than this aren't worth their own crop
+const MIN_SECTION_HEIGHT = 48;
+const MAX_SECTIONS = 12;
+const THUMBNAIL_WIDTH = 480;
 
 export class DesignScraper {
-	constructor() {
-		this.browser = null;
+	constructor({ pool } = {}) {
+		this.pool = pool || new BrowserPool();
 	}
 
 	async init() {
-		// configure puppeteer
-		const launchOptions = {
-			headless: "new",
-			args: [
-				"--no-sandbox",
-				"--disable-setuid-sandbox",
-				"--disable-dev-shm-usage",
-				"--disable-accelerated-2d-canvas",
-				"--no-first-run",
-				"--no-zygote",
-				"--single-process",
-				"--disable-gpu"
-			]
-		};
-
-		// use system chrome
-		if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-			launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-		}
-
-		this.browser = await puppeteer.launch(launchOptions);
+		await this.pool.getBrowser();
 	}
 
 	async close() {
-		if (this.browser) {
-			await this.browser.close();
-		}
+		await this.pool.close();
+	}
+
+	// waits for a free slot in the pool, then scans in an isolated browser context
+	async scrape(url, options = {}) {
+		return await this.pool.run((context) => this.scrapeInContext(context, url, options));
 	}
 
-	async scrape(url) {
-		if (!this.browser) await this.init();
+	// scans an unpacked upload (see uploads.js) from a local server that only
+	// lives as long as the scan
+	async scrapeUpload(site, upload, options = {}) {
+		const server = await serveSite(site);
+
+		try {
+			const result = await this.pool.run((context) =>
+				this.scrapeInContext(context, `${server.origin}${site.entry}`, { ...options, site }),
+			);
+
+			// the loopback URL means nothing once the server is gone
+			const name = upload.filename.toLowerCase().replace(/[^a-z0-9.-]+/g, "-");
+			return {
+				...result,
+				url: `upload://${name}`,
+				source: {
+					type: "upload",
+					format: site.format,
+					filename: upload.filename,
+					size: upload.size,
+					files: site.files.size + site.remote.size,
+					entry: site.entry,
+					originalUrl: site.origin ? `${site.origin}${site.entry}` : null,
+				},
+			};
+		} finally {
+			await server.close();
+		}
+	}
 
-		const page = await this.browser.newPage();
+	async scrapeInContext(context, url, options) {
+		const page = await context.newPage();
 		await page.setViewport({ width: 1920, height: 1080 });
 
-		await page.setUserAgent(
-			"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-		);
+		await page.setUserAgent(USER_AGENT);
+
+		// wall-clock time per phase, reported with the scan
+		const timings = {};
+		const scanStart = Date.now();
+		const time = async (phase, task) => {
+			const start = Date.now();
+			try {
+				return await task();
+			} finally {
+				timings[phase] = Date.now() - start;
+			}
+		};
 
 		try {
-			await page.goto(url, {
-				waitUntil: "networkidle2",
-				timeout: 30000,
-			});
+			if (options.site) await this.sandboxRequests(page, options.site, new URL(url).origin);
+			const blocking = await this.blockRequests(page, options.blocking);
+			await this.applySession(page, url, options);
+			const fetchResource = this.resourceFetcher(page, url, options);
+			Object.assign(timings, await this.loadPage(page, url));
 
-			// small delay for page to load
-			await new Promise((r) => setTimeout(r, 2000));
+			// scripted steps, e.g. signing in, run before anything is extracted
+			if (options.steps?.length) await time("steps", () => this.runSteps(page, options.steps));
+
+			// consent banners, modals and chat widgets would leak into colors and the screenshot
+			const overlayOptions = options.overlays === false ? null : { hide: [], click: [], ...options.overlays };
+			const overlays = overlayOptions ? await time("overlays", () => this.dismissOverlays(page, overlayOptions)) : null;
 
 			// extracts all design data in parallel
-			const [colors, typography, logo, heroContent, screenshot] = await Promise.all([
-				this.extractColors(page),
-				this.extractTypography(page),
-				this.extractLogo(page, url),
-				this.extractHeroContent(page),
-				this.takeScreenshot(page),
-			]);
+			const [
+				colorData,
+				fontData,
+				fontSources,
+				cssVariables,
+				spacing,
+				surfaces,
+				logo,
+				brandMeta,
+				frameworks,
+				heroContent,
+				screenshot,
+			] = await time("extraction", () =>
+				Promise.all([
+					this.collectColors(page),
+					this.collectTypography(page),
+					this.collectFontSources(page, fetchResource),
+					this.extractCustomProperties(page),
+					this.extractSpacing(page),
+					this.extractSurfaces(page),
+					this.extractLogo(page, url),
+					this.extractBrandMeta(page, fetchResource),
+					this.extractFrameworks(page),
+					this.extractHeroContent(page),
+					this.takeScreenshot(page),
+				]),
+			);
+
+			// dominant screenshot colors are a second signal next to the CSS colors
+			colorData.imagery = quantizeScreenshot(screenshot);
+
+			// the whole page and each landmark section, stored as assets; the viewport
+			// screenshot stands in for the page if that fails
+			const captured =
+				(await time("capture", () => this.captureScreenshots(page))) ||
+				this.viewportCapture(screenshot, page.viewport());
+
+			// emulates reduced motion, so it can't overlap the other extractors
+			const motion = await time("motion", () =>
+				this.extractMotion(page).catch((error) => {
+					console.error("Motion extraction failed:", error.message);
+					return null;
+				}),
+			);
+			// theme-color and the manifest are colors the site declares about itself
+			colorData.meta = this.brandMetaColors(brandMeta);
+
+			// forces pseudo-states one element at a time, so it can't overlap other extractors.
+			// pages can re-render under it, which drops the states rather than the scan
+			const states = await time("states", () =>
+				this.extractInteractionStates(page).catch((error) => {
+					console.error("Interaction states failed:", error.message);
+					return null;
+				}),
+			);
+
+			// re-runs extraction with a dark color scheme before the crawl leaves the page
+			const colorOptions = { mergeThreshold: options.colorMergeThreshold };
+			const darkMode =
+				options.darkMode ? await time("darkMode", () => this.extractDarkMode(page, url, colorOptions)) : null;
+			const { responsive, assets: viewportAssets = [] } =
+				options.viewports ?
+					await time("responsive", () => this.extractResponsive(page, options.viewports, overlayOptions))
+				:	{};
+
+			// keeps copies of the logo files and feeds the logo's own colors into the palette
+			const assets = await time("assets", () =>
+				this.collectLogoAssets(context, logo, darkMode?.logo, url, fetchResource),
+			);
+			colorData.logo = logo.colors || [];
+
+			const pages = [{ url, depth: 0, title: heroContent.pageTitle, colorData, fontData }];
+
+			// follows same-origin links and collects the same data from each page
+			if (options.crawl) {
+				await time("crawl", async () => {
+					pages.push(...(await this.crawlPages(page, url, options.crawl, overlayOptions)));
+				});
+			}
 
 			await page.close();
 
-			return {
+			const classifyStart = Date.now();
+			const scanned = pages.filter((p) => !p.error);
+			const colors = this.classifyColors(
+				this.mergeColorData(scanned.map((p) => p.colorData)),
+				colorOptions,
+			);
+			const mergedFontData = this.mergeFontData(scanned.map((p) => p.fontData));
+			const typography = this.classifyTypography(mergedFontData);
+
+			// resolves families to the files, services and snippets that load them
+			this.linkFontSources(typography, fontSources, mergedFontData);
+
+			// contrast of each text element against the background behind it
+			const accessibility = auditContrast(
+				scanned.flatMap((p) =>
+					(p.colorData.textPairs || []).map((pair) => (pages.length > 1 ? { ...pair, page: p.url } : pair)),
+				),
+			);
+
+			// carries authored token names over to the computed palette
+			this.linkColorTokens(colors, cssVariables);
+			if (darkMode) this.linkColorTokens(darkMode.colors, cssVariables);
+
+			// whether role colors stay apart for color-blind visitors
+			const colorVision = colorVisionReport(colors, cssVariables);
+			timings.classification = Date.now() - classifyStart;
+
+			const result = {
 				url,
 				scrapedAt: new Date().toISOString(),
 				colors,
 				typography,
+				cssVariables,
+				spacing,
+				surfaces,
+				motion,
+				states,
 				logo,
+				brandMeta,
+				frameworks,
+				overlays,
+				accessibility,
+				colorVision,
+				// export formats that fit what the site is built with
+				tokenHints: tokenHints(frameworks),
 				heroContent,
-				screenshot,
 			};
+
+			if (captured) {
+				result.screenshots = captured.screenshots;
+			}
+
+			if (darkMode) {
+				result.darkMode = darkMode;
+			}
+
+			if (responsive) {
+				result.responsive = responsive;
+			}
+
+			// what the scan was configured with, never the secrets themselves
+			const session = this.describeSession(options);
+			if (session) {
+				result.session = session;
+			}
+
+			if (options.crawl) {
+				result.crawl = this.summarizeCrawl(pages, colors, options.crawl, colorOptions);
+			}
+
+			if (blocking) {
+				result.blocking = this.summarizeBlocking(blocking);
+			}
+
+			timings.total = Date.now() - scanStart;
+			result.timings = timings;
+
+			// binary files are stored next to the scan rather than in its JSON
+			result.assets = [...(captured?.assets || []), ...viewportAssets, ...assets];
+
+			return result;
 		} catch (error) {
 			await page.close();
 			throw error;
 		}
 	}
 
-	async extractColors(page) {
-		const colorData = await page.evaluate(() => {
-			const colors = {
-				buttons: [],
-				links: [],
-				backgrounds: [],
-				text: [],
-				borders: [],
-				svgColors: [],
-				accentElements: [],
-				all: new Map(),
-			};
-
-			// converts RGB to hex
-			const rgbToHex = (rgb) => {
-				if (!rgb || rgb === "transparent" || rgb === "rgba(0, 0, 0, 0)") return null;
-				const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-				if (!match) return null;
-				const [, r, g, b] = match;
-				return "#" + [r, g, b].map((x) => parseInt(x).toString(16).padStart(2, "0")).join("");
-			};
-
-			// checks if color is too neutral (grayscale)
-			const isNeutral = (hex) => {
-				if (!hex) return true;
-				const r = parseInt(hex.slice(1, 3), 16);
-				const g = parseInt(hex.slice(3, 5), 16);
-				const b = parseInt(hex.slice(5, 7), 16);
-				const max = Math.max(r, g, b);
-				const min = Math.min(r, g, b);
-				const saturation = max === 0 ? 0 : (max - min) / max;
-				return saturation < 0.15; // Low saturation = neutral/grayscale
-			};
+	// cookies, extra headers, basic auth and locale for the whole scan
+	async applySession(page, url, options) {
+		if (options.cookies?.length) {
+			// cookies without a domain belong to the scanned site
+			await page.setCookie(...options.cookies.map((cookie) => (cookie.domain ? cookie : { ...cookie, url })));
+		}
 
-			// checks if color is too light or too dark
-			const getLuminance = (hex) => {
-				if (!hex) return 0;
-				const r = parseInt(hex.slice(1, 3), 16) / 255;
-				const g = parseInt(hex.slice(3, 5), 16) / 255;
-				const b = parseInt(hex.slice(5, 7), 16) / 255;
-				return 0.299 * r + 0.587 * g + 0.114 * b;
-			};
+		const headers = this.sessionHeaders(options);
+		if (options.locale) {
+			// keeps navigator.language in line with the header for client-side i18n
+			await page.evaluateOnNewDocument((locale, language) => {
+				Object.defineProperty(navigator, "language", { get: () => locale });
+				Object.defineProperty(navigator, "languages", { get: () => [...new Set([locale, language])] });
+			}, options.locale, options.locale.split("-")[0]);
+		}
+		if (Object.keys(headers).length > 0) await page.setExtraHTTPHeaders(headers);
 
-			// extracts hex colors from a string (for SVG attributes)
-			const extractHexColors = (str) => {
-				if (!str) return [];
-				const hexPattern = /#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g;
-				const matches = str.match(hexPattern) || [];
-				return matches.map((c) =>
-					c.length === 4 ? "#" + c[1] + c[1] + c[2] + c[2] + c[3] + c[3] : c.toLowerCase(),
-				);
-			};
+		if (options.httpCredentials) await page.authenticate(options.httpCredentials);
+	}
 
-			// 1. BUTTONS - Most important for primary color
-			const buttons = document.querySelectorAll(
-				'button, [role="button"], a[class*="btn"], a[class*="button"], input[type="submit"], .cta, [class*="cta"]',
-			);
-			buttons.forEach((btn) => {
-				const style = window.getComputedStyle(btn);
-				const bgColor = rgbToHex(style.backgroundColor);
-				const rect = btn.getBoundingClientRect();
+	// extra request headers for the whole scan: custom headers and Accept-Language
+	sessionHeaders(options) {
+		const headers = { ...options.headers };
+		if (options.locale) {
+			const language = options.locale.split("-")[0];
+			headers["Accept-Language"] = language === options.locale ? language : `${options.locale},${language};q=0.9`;
+		}
+		return headers;
+	}
 
-				if (bgColor && rect.width > 50 && rect.height > 20) {
-					colors.buttons.push({
-						color: bgColor,
-						area: rect.width * rect.height,
-						text: btn.textContent?.trim().slice(0, 50),
-						isVisible: rect.top < window.innerHeight && rect.top > 0,
-					});
+	async runSteps(page, steps) {
+		for (const [i, step] of steps.entries()) {
+			try {
+				switch (step.action) {
+					case "goto":
+						await this.loadPage(page, step.url);
+						break;
+					case "fill":
+						await page.waitForSelector(step.selector, { visible: true, timeout: 10000 });
+						// clears the field first so prefilled values don't stick around
+						await page.$eval(step.selector, (el) => {
+							el.value = "";
+						});
+						await page.type(step.selector, step.value);
+						break;
+					case "click":
+						await page.waitForSelector(step.selector, { visible: true, timeout: 10000 });
+						await page.click(step.selector);
+						// clicks often submit a form or start a client-side navigation
+						await page.waitForNetworkIdle({ idleTime: 500, timeout: 15000 }).catch(() => {});
+						break;
+					default:
+						if (step.selector) await page.waitForSelector(step.selector, { timeout: step.timeout });
+						else await new Promise((r) => setTimeout(r, step.ms));
 				}
-			});
+			} catch (error) {
+				const target = step.selector ? ` ${step.selector}` : "";
+				throw new Error(`Step ${i + 1} (${step.action}${target}) failed: ${error.message}`);
+			}
+		}
+	}
 
-			// 2. LINKS - For secondary/accent colors
-			const links = document.querySelectorAll('a:not([class*="btn"]):not([class*="button"])');
-			links.forEach((link) => {
-				const style = window.getComputedStyle(link);
-				const color = rgbToHex(style.color);
-				if (color && !isNeutral(color)) {
-					colors.links.push(color);
+	// the session options without cookie values, header values, passwords or typed text
+	describeSession(options) {
+		const session = {};
+		if (options.cookies?.length) session.cookies = options.cookies.map((cookie) => cookie.name);
+		if (options.headers) session.headers = Object.keys(options.headers);
+		if (options.httpCredentials) session.httpCredentials = true;
+		if (options.locale) session.locale = options.locale;
+		if (options.steps?.length) {
+			session.steps = options.steps.map(({ value, url, ...step }) => {
+				if (url) {
+					// query strings can carry tokens
+					const { origin, pathname } = new URL(url);
+					step.url = origin + pathname;
 				}
+				return step;
 			});
+		}
+		return Object.keys(session).length > 0 ? session : null;
+	}
 
-			// 3. BACKGROUNDS - Large sections
-			const sections = document.querySelectorAll(
-				'header, nav, section, footer, main, [class*="hero"], [class*="banner"]',
-			);
-			sections.forEach((section) => {
-				const style = window.getComputedStyle(section);
-				const bgColor = rgbToHex(style.backgroundColor);
-				const rect = section.getBoundingClientRect();
+	// keeps upload scans offline: the local server is reachable, other archived
+	// origins are answered from the snapshot and everything else is aborted
+	async sandboxRequests(page, site, localOrigin) {
+		await page.setRequestInterception(true);
 
-				if (bgColor && rect.width > 200 && rect.height > 100) {
-					colors.backgrounds.push({
-						color: bgColor,
-						area: rect.width * rect.height,
-						isHero: rect.top < 200,
-					});
-				}
-			});
+		// a higher priority than blockRequests, so these decisions win
+		page.on("request", (request) => {
+			if (request.isInterceptResolutionHandled()) return;
 
-			// 4. TEXT COLORS
-			const textElements = document.querySelectorAll("h1, h2, h3, p, span, li");
-			textElements.forEach((el) => {
-				const style = window.getComputedStyle(el);
-				const color = rgbToHex(style.color);
-				if (color) {
-					colors.text.push(color);
-				}
-			});
+			const url = request.url();
+			if (url.startsWith(`${localOrigin}/`) || url.startsWith("data:") || url.startsWith("blob:")) {
+				request.continue(request.continueRequestOverrides(), 0);
+				return;
+			}
 
-			// 5. BORDERS - Sometimes used for accents
-			const allElements = document.querySelectorAll("*");
-			allElements.forEach((el) => {
-				const style = window.getComputedStyle(el);
-				const borderColor = rgbToHex(style.borderColor);
-				if (borderColor && !isNeutral(borderColor)) {
-					colors.borders.push(borderColor);
-				}
-			});
+			// absolute links to the snapshot's own origin point at mirrored files
+			const file = siteFile(site, localOrigin, url);
+			if (file) {
+				request.respond({ status: 200, contentType: file.contentType, body: file.body }, 1);
+				return;
+			}
 
-			// 6. SVG COLORS - Extract colors from inline SVGs (often contain brand colors)
-			const svgs = document.querySelectorAll("svg");
-			svgs.forEach((svg) => {
-				const rect = svg.getBoundingClientRect();
-				const inHeader =
-					svg.closest('header, nav, [class*="header"], [class*="nav"], [class*="logo"]') !== null;
+			request.abort("internetdisconnected", 1);
+		});
+	}
 
-				// getting all fill and stroke colors from SVG elements
-				const svgElements = svg.querySelectorAll("*");
-				svgElements.forEach((el) => {
-					const fill = el.getAttribute("fill");
-					const stroke = el.getAttribute("stroke");
-					const style = window.getComputedStyle(el);
+	// fetches files the page links to from Node (cross-origin CSS, the manifest,
+	// logos) with the scan's session; upload scans are answered from the snapshot
+	// so they stay offline
+	resourceFetcher(page, pageUrl, options) {
+		const origin = new URL(pageUrl).origin;
+		const extraHeaders = this.sessionHeaders(options);
+		const { username, password } = options.httpCredentials || {};
+		const authorization =
+			options.httpCredentials ? `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}` : null;
+
+		return async (url, { headers = {}, timeout = 5000 } = {}) => {
+			if (options.site) {
+				const file = siteFile(options.site, origin, url);
+				return file ?
+						new Response(file.body, { headers: { "Content-Type": file.contentType } })
+					:	new Response(null, { status: 404 });
+			}
 
-					// checking fill attribute
-					if (fill && fill !== "none" && fill !== "transparent") {
-						const hexColors = extractHexColors(fill);
-						hexColors.forEach((c) => {
-							if (!isNeutral(c)) {
-								colors.svgColors.push({ color: c, inHeader, area: rect.width * rect.height });
-							}
-						});
-						// also checking computed fill
-						const computedFill = rgbToHex(style.fill);
-						if (computedFill && !isNeutral(computedFill)) {
-							colors.svgColors.push({
-								color: computedFill,
-								inHeader,
-								area: rect.width * rect.height,
-							});
-						}
-					}
+			const requestHeaders = { "User-Agent": USER_AGENT, ...extraHeaders, ...headers };
+			// the browser's cookies for this URL, including any a login step set
+			const cookies = await page.cookies(url).catch(() => []);
+			if (cookies.length > 0) {
+				requestHeaders.Cookie = cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join("; ");
+			}
+			// basic auth only goes back to the scanned site, never to CDNs
+			if (authorization && new URL(url).origin === origin) requestHeaders.Authorization = authorization;
 
-					// checking stroke attribute
-					if (stroke && stroke !== "none" && stroke !== "transparent") {
-						const hexColors = extractHexColors(stroke);
-						hexColors.forEach((c) => {
-							if (!isNeutral(c)) {
-								colors.svgColors.push({ color: c, inHeader, area: rect.width * rect.height });
-							}
-						});
-					}
-				});
+			return await fetch(url, { headers: requestHeaders, signal: AbortSignal.timeout(timeout) });
+		};
+	}
 
-				// also check the SVG's own style
-				const svgStyle = window.getComputedStyle(svg);
-				const svgFill = rgbToHex(svgStyle.fill);
-				const svgColor = rgbToHex(svgStyle.color);
-				if (svgFill && !isNeutral(svgFill)) {
-					colors.svgColors.push({ color: svgFill, inHeader, area: rect.width * rect.height });
-				}
-				if (svgColor && !isNeutral(svgColor)) {
-					colors.svgColors.push({ color: svgColor, inHeader, area: rect.width * rect.height });
-				}
-			});
+	// aborts trackers and heavy resources, counting what was blocked and why
+	async blockRequests(page, blocking) {
+		const rules = blockingRules(blocking);
+		if (rules.types.length === 0 && rules.domains.length === 0) return null;
 
-			// 7. ACCENT ELEMENTS - Look for elements with vibrant colors that stand out
-			const accentSelectors = [
-				'[class*="accent"]',
-				'[class*="highlight"]',
-				'[class*="primary"]',
-				'[class*="brand"]',
-				'[class*="feature"]',
-				'[class*="badge"]',
-				'[class*="tag"]',
-				'[class*="pill"]',
-				'[class*="chip"]',
-			];
-			accentSelectors.forEach((selector) => {
-				try {
-					document.querySelectorAll(selector).forEach((el) => {
-						const style = window.getComputedStyle(el);
-						const bgColor = rgbToHex(style.backgroundColor);
-						const textColor = rgbToHex(style.color);
-						const rect = el.getBoundingClientRect();
+		const stats = { profile: rules.profile, types: rules.types, blocked: 0, reasons: {}, domains: {} };
+		await page.setRequestInterception(true);
 
-						if (bgColor && !isNeutral(bgColor)) {
-							colors.accentElements.push({ color: bgColor, area: rect.width * rect.height });
-						}
-						if (textColor && !isNeutral(textColor)) {
-							colors.accentElements.push({ color: textColor, area: rect.width * rect.height });
-						}
-					});
-				} catch (e) {}
-			});
+		// cooperative mode, so page.authenticate() can intercept too
+		page.on("request", (request) => {
+			if (request.isInterceptResolutionHandled()) return;
 
-			return colors;
+			const reason = blockReason(rules, { url: request.url(), resourceType: request.resourceType() });
+			if (!reason) {
+				request.continue(request.continueRequestOverrides(), 0);
+				return;
+			}
+
+			const { hostname } = new URL(request.url());
+			stats.blocked++;
+			stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+			stats.domains[hostname] = (stats.domains[hostname] || 0) + 1;
+			request.abort("blockedbyclient", 0);
 		});
 
-		// processes and classifies colors
-		return this.classifyColors(colorData);
+		return stats;
 	}
 
-	classifyColors(colorData) {
-		const colorScores = new Map();
-
-		// calculates color vibrancy/saturation
-		const getColorVibrancy = (hex) => {
-			if (!hex) return 0;
-			const r = parseInt(hex.slice(1, 3), 16);
-			const g = parseInt(hex.slice(3, 5), 16);
-			const b = parseInt(hex.slice(5, 7), 16);
-			const max = Math.max(r, g, b);
-			const min = Math.min(r, g, b);
-			const saturation = max === 0 ? 0 : (max - min) / max;
-			const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-			// Penalize very dark or very light colors
-			const luminancePenalty = luminance < 0.15 || luminance > 0.85 ? 0.3 : 1;
-			return saturation * luminancePenalty;
+	summarizeBlocking({ domains, ...stats }) {
+		return {
+			...stats,
+			topDomains: Object.entries(domains)
+				.sort((a, b) => b[1] - a[1])
+				.slice(0, 10)
+				.map(([domain, count]) => ({ domain, count })),
 		};
+	}
 
-		// checks if color is too neutral (grayscale/dark)
-		const isNeutralOrDark = (hex) => {
-			if (!hex) return true;
+	// navigates, then waits until the page is ready to read instead of sleeping:
+	// network quiet, web fonts loaded and layout no longer moving. Returns the
+	// time spent in each phase
+	async loadPage(page, url) {
+		const timings = {};
+		let start = Date.now();
+		await page.goto(url, {
+			waitUntil: "load",
+			timeout: 30000,
+		});
+		timings.navigation = Date.now() - start;
+
+		// late requests (data fetching, hydration) settle; long-polling can't hold it open
+		start = Date.now();
+		await page.waitForNetworkIdle({ idleTime: 500, concurrency: 2, timeout: 5000 }).catch(() => {});
+		timings.network = Date.now() - start;
+
+		// web fonts change text metrics and the screenshot
+		start = Date.now();
+		await page
+			.evaluate(() => Promise.race([document.fonts.ready.then(() => {}), new Promise((r) => setTimeout(r, 5000))]))
+			.catch(() => {});
+		timings.fonts = Date.now() - start;
+
+		start = Date.now();
+		await this.waitForStableLayout(page);
+		timings.layout = Date.now() - start;
+
+		return timings;
+	}
+
+	// samples element boxes every 100ms until three samples in a row match,
+	// so entrance animations and late layout shifts have finished
+	async waitForStableLayout(page, timeout = 5000) {
+		await page
+			.evaluate(async (timeout) => {
+				const signature = () => {
+					const boxes = Array.from(document.querySelectorAll("body *"))
+						.slice(0, 300)
+						.map((el) => {
+							const rect = el.getBoundingClientRect();
+							return `${Math.round(rect.top)},${Math.round(rect.left)},${Math.round(rect.width)},${Math.round(rect.height)}`;
+						});
+					return `${document.body.scrollHeight}|${document.querySelectorAll("*").length}|${boxes.join(";")}`;
+				};
+
+				const deadline = Date.now() + timeout;
+				let previous = signature();
+				let stableSamples = 0;
+				while (stableSamples < 3 && Date.now() < deadline) {
+					await new Promise((r) => setTimeout(r, 100));
+					const current = signature();
+					stableSamples = current === previous ? stableSamples + 1 : 0;
+					previous = current;
+				}
+			}, timeout)
+			.catch(() => {});
+	}
+
+	// clicks custom and consent-platform buttons, then hides what's still covering
+	// the page: consent containers, chat widgets, modals and fixed banners
+	async dismissOverlays(page, overlayOptions) {
+		const clicked = await page.evaluate(
+			(platforms, clickSelectors) => {
+				const removed = [];
+				const isVisible = (el) => {
+					const rect = el.getBoundingClientRect();
+					const style = window.getComputedStyle(el);
+					return rect.width > 0 && rect.height > 0 && style.visibility !== "hidden" && style.opacity !== "0";
+				};
+				const query = (selector) => {
+					try {
+						return Array.from(document.querySelectorAll(selector));
+					} catch (e) {
+						return null;
+					}
+				};
+
+				clickSelectors.forEach((selector) => {
+					const matches = query(selector);
+					if (!matches) {
+						removed.push({ kind: "custom", selector, action: "invalid" });
+						return;
+					}
+					const button = matches.find(isVisible);
+					if (button) {
+						button.click();
+						removed.push({ kind: "custom", selector, action: "clicked" });
+					}
+				});
+
+				platforms.forEach((platform) => {
+					const container = query(platform.container)?.find(isVisible);
+					if (!container) return;
+					for (const selector of platform.buttons) {
+						const button = query(selector)?.find(isVisible);
+						if (button) {
+							button.click();
+							removed.push({ kind: "consent", name: platform.name, selector, action: "clicked" });
+							return;
+						}
+					}
+				});
+
+				return removed;
+			},
+			CONSENT_PLATFORMS,
+			overlayOptions.click,
+		);
+
+		// lets banners animate out and consent scripts tear down
+		if (clicked.some((entry) => entry.action === "clicked")) {
+			await new Promise((r) => setTimeout(r, 600));
+		}
+
+		const hidden = await page.evaluate(
+			(platforms, widgets, hideSelectors, overlayText) => {
+				const removed = [];
+				const viewportArea = window.innerWidth * window.innerHeight;
+				const textPattern = new RegExp(overlayText, "i");
+
+				const isVisible = (el) => {
+					const rect = el.getBoundingClientRect();
+					const style = window.getComputedStyle(el);
+					return (
+						rect.width > 0 &&
+						rect.height > 0 &&
+						style.display !== "none" &&
+						style.visibility !== "hidden" &&
+						style.opacity !== "0"
+					);
+				};
+				const query = (selector) => {
+					try {
+						return Array.from(document.querySelectorAll(selector));
+					} catch (e) {
+						return null;
+					}
+				};
+				const describe = (el) => {
+					const id = el.id ? `#${el.id}` : "";
+					const classes = Array.from(el.classList)
+						.slice(0, 2)
+						.map((c) => `.${c}`)
+						.join("");
+					return `${el.tagName.toLowerCase()}${id}${classes}`;
+				};
+				const hide = (el) => {
+					el.style.setProperty("display", "none", "important");
+					el.setAttribute("data-desint-hidden", "");
+				};
+				// the page itself sometimes lives in a fixed wrapper, and fixed headers are design
+				const holdsContent = (el) =>
+					Boolean(el.querySelector("h1, main, nav")) ||
+					Boolean(el.closest('header, [role="banner"]')) ||
+					el.querySelectorAll("a").length > 5;
+
+				hideSelectors.forEach((selector) => {
+					const matches = query(selector);
+					if (!matches) {
+						removed.push({ kind: "custom", selector, action: "invalid" });
+						return;
+					}
+					matches.filter(isVisible).forEach(hide);
+					if (matches.length > 0) removed.push({ kind: "custom", selector, action: "hidden" });
+				});
+
+				platforms.forEach((platform) => {
+					const containers = query(platform.container)?.filter(isVisible) || [];
+					containers.forEach(hide);
+					if (containers.length > 0) {
+						removed.push({ kind: "consent", name: platform.name, selector: platform.container, action: "hidden" });
+					}
+				});
+
+				widgets.forEach((widget) => {
+					const containers = query(widget.selector)?.filter(isVisible) || [];
+					containers.forEach(hide);
+					if (containers.length > 0) {
+						removed.push({ kind: "chat", name: widget.name, selector: widget.selector, action: "hidden" });
+					}
+				});
+
+				// open modal dialogs
+				Array.from(document.querySelectorAll('dialog[open], [role="dialog"][aria-modal="true"], [role="alertdialog"]'))
+					.filter((el) => isVisible(el) && !holdsContent(el))
+					.forEach((el) => {
+						hide(el);
+						removed.push({ kind: "modal", selector: describe(el), action: "hidden" });
+					});
+
+				// fixed elements that cover most of the viewport or read like a banner
+				Array.from(document.querySelectorAll("body *"))
+					.slice(0, 5000)
+					.forEach((el) => {
+						if (el.closest("[data-desint-hidden]")) return;
+						const style = window.getComputedStyle(el);
+						if (style.position !== "fixed" || !isVisible(el) || holdsContent(el)) return;
+
+						const rect = el.getBoundingClientRect();
+						const coverage =
+							(Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0)) *
+								Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0))) /
+							viewportArea;
+						const zIndex = parseInt(style.zIndex) || 0;
+						const text = (el.innerText || "").slice(0, 2000);
+
+						let kind = null;
+						if (coverage >= 0.4 && zIndex >= 10) kind = "overlay";
+						else if (coverage < 0.6 && textPattern.test(text)) kind = "banner";
+						if (!kind) return;
+
+						hide(el);
+						removed.push({ kind, selector: describe(el), action: "hidden" });
+					});
+
+				// modals usually lock scrolling on the root
+				let scrollUnlocked = false;
+				[document.documentElement, document.body].forEach((el) => {
+					if (window.getComputedStyle(el).overflowY === "hidden") {
+						el.style.setProperty("overflow", "auto", "important");
+						scrollUnlocked = true;
+					}
+				});
+
+				return { removed, scrollUnlocked };
+			},
+			CONSENT_PLATFORMS,
+			CHAT_WIDGETS,
+			overlayOptions.hide,
+			OVERLAY_TEXT,
+		);
+
+		return { removed: [...clicked, ...hidden.removed], scrollUnlocked: hidden.scrollUnlocked };
+	}
+
+	async extractDarkMode(page, url, colorOptions = {}) {
+		const themeSupport = await this.detectThemeToggles(page);
+		const toggle = themeSupport.toggles[0] || null;
+
+		await page.emulateMediaFeatures([{ name: "prefers-color-scheme", value: "dark" }]);
+
+		// applies the most common class/attribute toggle, remembering what it replaced
+		const previous = await page.evaluate((toggle) => {
+			const root = document.documentElement;
+			const state = { className: root.className, attribute: null };
+			if (!toggle) return state;
+
+			if (toggle.type === "class") {
+				root.classList.remove("light", "light-mode", "theme-light");
+				root.classList.add(toggle.value);
+				if (toggle.onBody) document.body.classList.add(toggle.value);
+			} else {
+				state.attribute = { name: toggle.name, value: root.getAttribute(toggle.name) };
+				root.setAttribute(toggle.name, toggle.value);
+				if (toggle.onBody) document.body.setAttribute(toggle.name, toggle.value);
+			}
+			return state;
+		}, toggle);
+
+		// lets theme transitions finish
+		await new Promise((r) => setTimeout(r, 500));
+
+		try {
+			const [colors, typography, logo] = await Promise.all([
+				this.extractColors(page, colorOptions),
+				this.extractTypography(page),
+				this.extractLogo(page, url),
+			]);
+
+			return {
+				mediaQuery: themeSupport.mediaQuery,
+				colorScheme: themeSupport.colorScheme,
+				toggle,
+				toggles: themeSupport.toggles,
+				colors,
+				typography,
+				logo,
+			};
+		} finally {
+			// puts the page back into its light state
+			await page.evaluate(
+				(toggle, previous) => {
+					const root = document.documentElement;
+					root.className = previous.className;
+					if (toggle?.onBody && toggle.type === "class") {
+						document.body.classList.remove(toggle.value);
+					}
+					if (previous.attribute) {
+						const { name, value } = previous.attribute;
+						if (value === null) root.removeAttribute(name);
+						else root.setAttribute(name, value);
+						if (toggle.onBody) document.body.removeAttribute(name);
+					}
+				},
+				toggle,
+				previous,
+			);
+			// clears the emulation, so later extractors see the page's default scheme
+			await page.emulateMediaFeatures([]);
+		}
+	}
+
+	async detectThemeToggles(page) {
+		return await page.evaluate(() => {
+			const toggles = new Map();
+			let mediaQuery = false;
+
+			// class and attribute selectors commonly used for dark themes
+			const classPattern = /(^|[\s>+~,(])(html|:root|body)?\.(dark|dark-mode|theme-dark|dark-theme)(?![\w-])/;
+			const attributePattern =
+				/(^|[\s>+~,(])(html|:root|body)?\[(data-(?:theme|mode|color-scheme|color-mode|bs-theme))\s*[~|^]?=\s*["']?(dark[\w-]*)["']?\]/;
+
+			const addToggle = (key, toggle) => {
+				if (!toggles.has(key)) toggles.set(key, { ...toggle, rules: 0 });
+				toggles.get(key).rules++;
+			};
+
+			const scanRules = (rules) => {
+				Array.from(rules).forEach((rule) => {
+					if (rule.media && /prefers-color-scheme:\s*dark/.test(rule.media.mediaText)) {
+						mediaQuery = true;
+					}
+
+					if (rule.selectorText) {
+						const classMatch = rule.selectorText.match(classPattern);
+						if (classMatch) {
+							addToggle(`class:${classMatch[3]}`, {
+								type: "class",
+								value: classMatch[3],
+								onBody: classMatch[2] === "body",
+							});
+						}
+
+						const attributeMatch = rule.selectorText.match(attributePattern);
+						if (attributeMatch) {
+							addToggle(`attr:${attributeMatch[3]}=${attributeMatch[4]}`, {
+								type: "attribute",
+								name: attributeMatch[3],
+								value: attributeMatch[4],
+								onBody: attributeMatch[2] === "body",
+							});
+						}
+					}
+
+					// recurses into @media, @supports and @layer blocks
+					if (rule.cssRules) scanRules(rule.cssRules);
+				});
+			};
+
+			Array.from(document.styleSheets).forEach((sheet) => {
+				try {
+					scanRules(sheet.cssRules);
+				} catch (e) {
+					// cross-origin stylesheets can't be read
+				}
+			});
+
+			const colorScheme =
+				document.querySelector('meta[name="color-scheme"]')?.content ||
+				window.getComputedStyle(document.documentElement).colorScheme ||
+				"normal";
+
+			return {
+				mediaQuery,
+				colorScheme,
+				toggles: Array.from(toggles.values()).sort((a, b) => b.rules - a.rules),
+			};
+		});
+	}
+
+	async extractResponsive(page, viewports, overlayOptions = null) {
+		const initialViewport = page.viewport();
+		const breakpoints = await this.extractMediaBreakpoints(page);
+		const results = [];
+		const assets = [];
+
+		try {
+			for (const viewport of viewports) {
+				const { name, ...size } = viewport;
+				await page.setViewport(size);
+
+				// switching to a mobile viewport can reload the page
+				await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+				if (overlayOptions) await this.dismissOverlays(page, overlayOptions);
+
+				const [metrics, capture] = await Promise.all([
+					this.collectViewportMetrics(page),
+					this.captureRegion(page, `viewport-${name.toLowerCase().replace(/[^a-z0-9-]+/g, "-")}`, {
+						x: 0,
+						y: 0,
+						width: size.width,
+						height: size.height,
+					}),
+				]);
+				assets.push(capture.image, capture.thumbnail);
+
+				const toHexList = (values) => [
+					...new Set(values.map((value) => normalizeColor(value)?.hex).filter(Boolean)),
+				];
+				metrics.colors = {
+					backgrounds: toHexList(metrics.colors.backgrounds),
+					text: toHexList(metrics.colors.text),
+				};
+
+				results.push({
+					name,
+					width: size.width,
+					height: size.height,
+					...metrics,
+					screenshot: { asset: capture.image.id, thumbnail: capture.thumbnail.id },
+				});
+			}
+		} finally {
+			await page.setViewport(initialViewport);
+			await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+		}
+
+		return {
+			responsive: {
+				breakpoints,
+				viewports: results,
+				changes: this.compareViewports(results),
+			},
+			assets,
+		};
+	}
+
+	async extractMediaBreakpoints(page) {
+		return await page.evaluate(() => {
+			const breakpoints = new Map();
+			const rootFontSize = parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16;
+
+			const toPx = (value, unit) => (unit === "px" ? value : value * rootFontSize);
+
+			const scanRules = (rules) => {
+				Array.from(rules).forEach((rule) => {
+					if (rule.media) {
+						// matches min-width: 768px as well as range syntax like (width >= 48em)
+						const pattern = /(min|max)-width\s*:\s*([\d.]+)(px|em|rem)|width\s*(>=?|<=?)\s*([\d.]+)(px|em|rem)/g;
+						let match;
+						while ((match = pattern.exec(rule.media.mediaText))) {
+							const type = match[1] ? `${match[1]}-width` : match[4].startsWith(">") ? "min-width" : "max-width";
+							const px = Math.round(match[1] ? toPx(parseFloat(match[2]), match[3]) : toPx(parseFloat(match[5]), match[6]));
+							const key = `${type}:${px}`;
+							if (!breakpoints.has(key)) breakpoints.set(key, { value: px, type, rules: 0 });
+							breakpoints.get(key).rules += rule.cssRules?.length || 1;
+						}
+					}
+					if (rule.cssRules) scanRules(rule.cssRules);
+				});
+			};
+
+			Array.from(document.styleSheets).forEach((sheet) => {
+				try {
+					scanRules(sheet.cssRules);
+				} catch (e) {
+					// cross-origin stylesheets can't be read
+				}
+			});
+
+			return Array.from(breakpoints.values()).sort((a, b) => a.value - b.value || a.type.localeCompare(b.type));
+		});
+	}
+
+	async collectViewportMetrics(page) {
+		return await page.evaluate(() => {
+			// raw computed color, or null when fully transparent (parsed server-side)
+			const readColor = (value) => {
+				if (!value || value === "transparent" || /^rgba\(.*,\s*0\)$|\/\s*0%?\s*\)$/.test(value)) return null;
+				return value;
+			};
+
+			const mostCommon = (values) => {
+				const counts = {};
+				values.forEach((v) => (counts[v] = (counts[v] || 0) + 1));
+				return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+			};
+
+			const median = (values) => {
+				if (values.length === 0) return null;
+				const sorted = [...values].sort((a, b) => a - b);
+				return sorted[Math.floor(sorted.length / 2)];
+			};
+
+			const isRendered = (el) => {
+				const rect = el.getBoundingClientRect();
+				return rect.width > 0 && rect.height > 0;
+			};
+
+			// 1. TYPE SIZES per text role
+			const typography = {};
+			["h1", "h2", "h3", "h4", "h5", "h6", "p"].forEach((tag) => {
+				const sizes = [];
+				const lineHeights = [];
+				document.querySelectorAll(tag).forEach((el) => {
+					if (!isRendered(el)) return;
+					const style = window.getComputedStyle(el);
+					sizes.push(style.fontSize);
+					lineHeights.push(style.lineHeight);
+				});
+				if (sizes.length > 0) {
+					typography[tag === "p" ? "body" : tag] = {
+						fontSize: mostCommon(sizes),
+						lineHeight: mostCommon(lineHeights),
+					};
+				}
+			});
+
+			// 2. SPACING - section rhythm and page gutters
+			const sectionPadding = [];
+			const gutters = [];
+			document.querySelectorAll("header, section, footer, main > *").forEach((el) => {
+				if (!isRendered(el)) return;
+				const style = window.getComputedStyle(el);
+				sectionPadding.push(parseFloat(style.paddingTop), parseFloat(style.paddingBottom));
+				gutters.push(parseFloat(style.paddingLeft));
+			});
+
+			const gaps = [];
+			document.querySelectorAll("body *").forEach((el) => {
+				const style = window.getComputedStyle(el);
+				if ((style.display.includes("flex") || style.display.includes("grid")) && style.columnGap !== "normal") {
+					const gap = parseFloat(style.columnGap);
+					if (gap > 0 && isRendered(el)) gaps.push(gap);
+				}
+			});
+
+			const spacing = {
+				sectionPadding: median(sectionPadding.filter((v) => v > 0)),
+				gutter: median(gutters.filter((v) => v > 0)),
+				gap: median(gaps),
+			};
+
+			// 3. VISIBLE COLORS - what's actually on screen above the fold
+			const backgrounds = new Map();
+			const text = new Map();
+			document.querySelectorAll("body, body *").forEach((el) => {
+				const rect = el.getBoundingClientRect();
+				if (rect.width === 0 || rect.height === 0) return;
+				if (rect.top > window.innerHeight || rect.bottom < 0) return;
+
+				const style = window.getComputedStyle(el);
+				if (style.visibility === "hidden" || style.opacity === "0") return;
+
+				const bgColor = readColor(style.backgroundColor);
+				if (bgColor) {
+					const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+					backgrounds.set(bgColor, (backgrounds.get(bgColor) || 0) + rect.width * visibleHeight);
+				}
+
+				const hasText = Array.from(el.childNodes).some((n) => n.nodeType === 3 && n.textContent.trim());
+				const textColor = hasText ? readColor(style.color) : null;
+				if (textColor) {
+					text.set(textColor, (text.get(textColor) || 0) + 1);
+				}
+			});
+
+			const topColors = (map) =>
+				Array.from(map.entries())
+					.sort((a, b) => b[1] - a[1])
+					.slice(0, 6)
+					.map(([color]) => color);
+
+			// 4. NAVIGATION - inline links vs a collapsed menu
+			const nav = document.querySelector("header nav, nav, header");
+			const visibleLinks =
+				nav ? Array.from(nav.querySelectorAll("a")).filter((a) => isRendered(a)).length : 0;
+			const menuToggle = Array.from(
+				document.querySelectorAll('header button, nav button, header [role="button"], nav [role="button"]'),
+			).some((btn) => {
+				if (!isRendered(btn)) return false;
+				const label = `${btn.getAttribute("aria-label") || ""} ${btn.className} ${btn.textContent}`;
+				return btn.hasAttribute("aria-expanded") || /menu|hamburger|burger|toggle|navigation/i.test(label);
+			});
+
+			return {
+				typography,
+				spacing,
+				colors: { backgrounds: topColors(backgrounds), text: topColors(text) },
+				navigation: { visibleLinks, menuToggle },
+			};
+		});
+	}
+
+	// reports what changes between each pair of neighbouring viewports
+	compareViewports(viewports) {
+		const changes = [];
+
+		for (let i = 1; i < viewports.length; i++) {
+			const from = viewports[i - 1];
+			const to = viewports[i];
+
+			const typography = {};
+			const roles = new Set([...Object.keys(from.typography), ...Object.keys(to.typography)]);
+			roles.forEach((role) => {
+				const before = from.typography[role]?.fontSize || null;
+				const after = to.typography[role]?.fontSize || null;
+				if (before !== after) typography[role] = { from: before, to: after };
+			});
+
+			const spacing = {};
+			Object.keys(to.spacing).forEach((key) => {
+				if (from.spacing[key] !== to.spacing[key]) {
+					spacing[key] = { from: from.spacing[key], to: to.spacing[key] };
+				}
+			});
+
+			const fromColors = new Set([...from.colors.backgrounds, ...from.colors.text]);
+			const toColors = new Set([...to.colors.backgrounds, ...to.colors.text]);
+
+			changes.push({
+				from: from.name,
+				to: to.name,
+				typography,
+				spacing,
+				colors: {
+					added: [...toColors].filter((c) => !fromColors.has(c)),
+					removed: [...fromColors].filter((c) => !toColors.has(c)),
+				},
+				navigation:
+					from.navigation.menuToggle !== to.navigation.menuToggle ?
+						{ from: from.navigation, to: to.navigation }
+					:	null,
+			});
+		}
+
+		return changes;
+	}
+
+	async crawlPages(page, startUrl, crawlOptions, overlayOptions = null) {
+		const { maxPages, maxDepth, include, exclude } = crawlOptions;
+		const origin = new URL(startUrl).origin;
+
+		// compiled once, then checked against every discovered link
+		const includes = include.map(pathMatcher);
+		const excludes = exclude.map(pathMatcher);
+		const matches = (link, matchers) => matchers.some((test) => test(link.pathname + link.search));
+
+		// checks a discovered link against origin and include/exclude patterns
+		const isAllowed = (href) => {
+			const link = new URL(href);
+			if (link.origin !== origin) return false;
+			if (includes.length > 0 && !matches(link, includes)) return false;
+			if (excludes.length > 0 && matches(link, excludes)) return false;
+			return true;
+		};
+
+		const normalize = (href) => {
+			const link = new URL(href);
+			link.hash = "";
+			return link.href;
+		};
+
+		const seen = new Set([normalize(startUrl)]);
+		const queue = [];
+		const pages = [];
+
+		const enqueue = (links, depth) => {
+			if (depth > maxDepth) return;
+			links.forEach((href) => {
+				const normalized = normalize(href);
+				if (seen.has(normalized) || !isAllowed(normalized)) return;
+				seen.add(normalized);
+				queue.push({ url: normalized, depth });
+			});
+		};
+
+		// breadth-first, the start page is already loaded
+		enqueue(await this.collectLinks(page), 1);
+
+		while (queue.length > 0 && pages.length + 1 < maxPages) {
+			const { url, depth } = queue.shift();
+
+			try {
+				await this.loadPage(page, url);
+				if (overlayOptions) await this.dismissOverlays(page, overlayOptions);
+
+				const [colorData, fontData, title, links] = await Promise.all([
+					this.collectColors(page),
+					this.collectTypography(page),
+					page.title(),
+					this.collectLinks(page),
+				]);
+
+				pages.push({ url, depth, title, colorData, fontData });
+				enqueue(links, depth + 1);
+			} catch (error) {
+				// a broken page shouldn't fail the whole crawl
+				pages.push({ url, depth, error: error.message });
+			}
+		}
+
+		return pages;
+	}
+
+	async collectLinks(page) {
+		return await page.evaluate(() => {
+			// skips links to downloads and media
+			const skipExtensions = /\.(pdf|zip|gz|dmg|exe|jpe?g|png|gif|webp|svg|mp4|webm|mp3|xml|json)$/i;
+
+			const links = new Set();
+			document.querySelectorAll("a[href]").forEach((a) => {
+				const href = a.href;
+				if (!href || !/^https?:/.test(href)) return;
+				if (skipExtensions.test(new URL(href).pathname)) return;
+				links.add(href);
+			});
+
+			return Array.from(links);
+		});
+	}
+
+	// combines raw color data from several pages before classification
+	mergeColorData(colorDataList) {
+		const merged = {
+			buttons: [],
+			links: [],
+			backgrounds: [],
+			text: [],
+			borders: [],
+			svgColors: [],
+			accentElements: [],
+			gradients: [],
+			imagery: [],
+			logo: [],
+			meta: [],
+		};
+
+		colorDataList.forEach((colorData) => {
+			Object.keys(merged).forEach((key) => {
+				merged[key].push(...(colorData[key] || []));
+			});
+		});
+
+		return merged;
+	}
+
+	// combines raw font data from several pages before classification
+	mergeFontData(fontDataList) {
+		const merged = { headings: new Map(), body: new Map() };
+		const styles = new Map();
+
+		fontDataList.forEach((fontData) => {
+			(fontData.styles || []).forEach(({ count, ...style }) => {
+				const key = Object.values(style).join("|");
+				if (!styles.has(key)) styles.set(key, { ...style, count: 0 });
+				styles.get(key).count += count;
+			});
+
+			["headings", "body"].forEach((group) => {
+				fontData[group].forEach((font) => {
+					if (!merged[group].has(font.family)) {
+						merged[group].set(font.family, {
+							family: font.family,
+							count: 0,
+							sizes: [],
+							weights: [],
+							stack: font.stack,
+						});
+					}
+					const entry = merged[group].get(font.family);
+					entry.count += font.count;
+					entry.sizes.push(...font.sizes);
+					entry.weights.push(...font.weights);
+				});
+			});
+		});
+
+		return {
+			headings: Array.from(merged.headings.values()),
+			body: Array.from(merged.body.values()),
+			styles: Array.from(styles.values()),
+		};
+	}
+
+	// builds the per-page breakdown of a crawl
+	summarizeCrawl(pages, colors, crawlOptions, colorOptions = {}) {
+		const seenColors = new Set();
+		const seenFonts = new Set();
+
+		const breakdown = pages.map((p) => {
+			if (p.error) {
+				return { url: p.url, depth: p.depth, error: p.error };
+			}
+
+			const pageColors = this.classifyColors(p.colorData, colorOptions).palette.map((c) => c.color);
+			const pageFonts = this.classifyTypography(p.fontData).all;
+
+			const newColors = pageColors.filter((c) => !seenColors.has(c));
+			const newFonts = pageFonts.filter((f) => !seenFonts.has(f));
+			pageColors.forEach((c) => seenColors.add(c));
+			pageFonts.forEach((f) => seenFonts.add(f));
+
+			return {
+				url: p.url,
+				depth: p.depth,
+				title: p.title,
+				colors: pageColors,
+				fonts: pageFonts,
+				newColors,
+				newFonts,
+			};
+		});
+
+		// tags merged palette entries with the pages they appear on
+		colors.palette.forEach((entry) => {
+			const members = [entry.color, ...(entry.variants || []).map((v) => v.color)];
+			entry.pages = breakdown
+				.filter((p) => p.colors?.some((c) => members.includes(c)))
+				.map((p) => p.url);
+		});
+
+		return {
+			maxPages: crawlOptions.maxPages,
+			maxDepth: crawlOptions.maxDepth,
+			pagesScanned: breakdown.filter((p) => !p.error).length,
+			pages: breakdown,
+		};
+	}
+
+	async extractColors(page, colorOptions = {}) {
+		const [colorData, screenshot] = await Promise.all([this.collectColors(page), this.takeScreenshot(page)]);
+		colorData.imagery = quantizeScreenshot(screenshot);
+
+		// processes and classifies colors
+		return this.classifyColors(colorData, colorOptions);
+	}
+
+	async collectColors(page) {
+		return await page.evaluate(() => {
+			const colors = {
+				buttons: [],
+				links: [],
+				backgrounds: [],
+				text: [],
+				borders: [],
+				svgColors: [],
+				accentElements: [],
+				gradients: [],
+				textPairs: [],
+				all: new Map(),
+			};
+
+			// alpha of a computed color, 1 when it has none
+			const alphaOf = (value) => {
+				const legacy = value.match(/^rgba\([^,]+,[^,]+,[^,]+,\s*([\d.]+)\)$/);
+				if (legacy) return parseFloat(legacy[1]);
+				const modern = value.match(/\/\s*([\d.]+)(%?)\s*\)$/);
+				if (modern) return parseFloat(modern[1]) / (modern[2] ? 100 : 1);
+				return 1;
+			};
+
+			// backgrounds showing through a translucent color, nearest first
+			const backdropOf = (el) => {
+				const layers = [];
+				for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+					const bg = window.getComputedStyle(node).backgroundColor;
+					const alpha = bg === "transparent" ? 0 : alphaOf(bg);
+					if (alpha === 0) continue;
+					layers.push(bg);
+					if (alpha >= 1) break;
+				}
+				return layers;
+			};
+
+			// keeps the raw computed color (any color space) for parsing on the server;
+			// translucent colors carry their backdrop so they can be flattened
+			const readColor = (value, backdropFrom) => {
+				if (!value || value === "transparent" || value === "none" || value.startsWith("url(")) return null;
+				const alpha = alphaOf(value);
+				if (alpha === 0) return null;
+				if (alpha >= 1) return value;
+				return { value, backdrop: backdropOf(backdropFrom) };
+			};
+
+			// checks if color is too neutral (grayscale); other notations are checked server-side
+			const isNeutral = (color) => {
+				if (!color) return true;
+				const value = typeof color === "string" ? color : color.value;
+				const match =
+					value.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/) ||
+					value.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/);
+				if (!match) return false;
+				const [r, g, b] = match.slice(1, 4).map((x) => parseInt(x, value.startsWith("#") ? 16 : 10));
+				const max = Math.max(r, g, b);
+				const min = Math.min(r, g, b);
+				const saturation = max === 0 ? 0 : (max - min) / max;
+				return saturation < 0.15; // Low saturation = neutral/grayscale
+			};
+
+			// extracts hex colors from a string (for SVG attributes)
+			const extractHexColors = (str) => {
+				if (!str) return [];
+				const hexPattern = /#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g;
+				const matches = str.match(hexPattern) || [];
+				return matches.map((c) =>
+					c.length === 4 ? "#" + c[1] + c[1] + c[2] + c[2] + c[3] + c[3] : c.toLowerCase(),
+				);
+			};
+
+			// 1. BUTTONS - Most important for primary color
+			const buttons = document.querySelectorAll(
+				'button, [role="button"], a[class*="btn"], a[class*="button"], input[type="submit"], .cta, [class*="cta"]',
+			);
+			buttons.forEach((btn) => {
+				const style = window.getComputedStyle(btn);
+				const bgColor = readColor(style.backgroundColor, btn.parentElement);
+				const rect = btn.getBoundingClientRect();
+
+				if (bgColor && rect.width > 50 && rect.height > 20) {
+					colors.buttons.push({
+						color: bgColor,
+						area: rect.width * rect.height,
+						text: btn.textContent?.trim().slice(0, 50),
+						isVisible: rect.top < window.innerHeight && rect.top > 0,
+					});
+				}
+			});
+
+			// 2. LINKS - For secondary/accent colors
+			const links = document.querySelectorAll('a:not([class*="btn"]):not([class*="button"])');
+			links.forEach((link) => {
+				const style = window.getComputedStyle(link);
+				const color = readColor(style.color, link);
+				if (color && !isNeutral(color)) {
+					colors.links.push(color);
+				}
+			});
+
+			// 3. BACKGROUNDS - Large sections
+			const sections = document.querySelectorAll(
+				'header, nav, section, footer, main, [class*="hero"], [class*="banner"]',
+			);
+			sections.forEach((section) => {
+				const style = window.getComputedStyle(section);
+				const bgColor = readColor(style.backgroundColor, section.parentElement);
+				const rect = section.getBoundingClientRect();
+
+				if (bgColor && rect.width > 200 && rect.height > 100) {
+					colors.backgrounds.push({
+						color: bgColor,
+						area: rect.width * rect.height,
+						isHero: rect.top < 200,
+					});
+				}
+			});
+
+			// 4. TEXT COLORS
+			const textElements = document.querySelectorAll("h1, h2, h3, p, span, li");
+			textElements.forEach((el) => {
+				const style = window.getComputedStyle(el);
+				const color = readColor(style.color, el);
+				if (color) {
+					colors.text.push(color);
+				}
+			});
+
+			// 5. BORDERS - Sometimes used for accents
+			const allElements = document.querySelectorAll("*");
+			allElements.forEach((el) => {
+				const style = window.getComputedStyle(el);
+				const borderColor = readColor(style.borderTopColor, el);
+				if (borderColor && !isNeutral(borderColor)) {
+					colors.borders.push(borderColor);
+				}
+			});
+
+			// 6. SVG COLORS - Extract colors from inline SVGs (often contain brand colors)
+			const svgs = document.querySelectorAll("svg");
+			svgs.forEach((svg) => {
+				const rect = svg.getBoundingClientRect();
+				const inHeader =
+					svg.closest('header, nav, [class*="header"], [class*="nav"], [class*="logo"]') !== null;
+
+				// getting all fill and stroke colors from SVG elements
+				const svgElements = svg.querySelectorAll("*");
+				svgElements.forEach((el) => {
+					const fill = el.getAttribute("fill");
+					const stroke = el.getAttribute("stroke");
+					const style = window.getComputedStyle(el);
+
+					// checking fill attribute
+					if (fill && fill !== "none" && fill !== "transparent") {
+						const hexColors = extractHexColors(fill);
+						hexColors.forEach((c) => {
+							if (!isNeutral(c)) {
+								colors.svgColors.push({ color: c, inHeader, area: rect.width * rect.height });
+							}
+						});
+						// also checking computed fill
+						const computedFill = readColor(style.fill, el);
+						if (computedFill && !isNeutral(computedFill)) {
+							colors.svgColors.push({
+								color: computedFill,
+								inHeader,
+								area: rect.width * rect.height,
+							});
+						}
+					}
+
+					// checking stroke attribute
+					if (stroke && stroke !== "none" && stroke !== "transparent") {
+						const hexColors = extractHexColors(stroke);
+						hexColors.forEach((c) => {
+							if (!isNeutral(c)) {
+								colors.svgColors.push({ color: c, inHeader, area: rect.width * rect.height });
+							}
+						});
+					}
+				});
+
+				// also check the SVG's own style
+				const svgStyle = window.getComputedStyle(svg);
+				const svgFill = readColor(svgStyle.fill, svg);
+				const svgColor = readColor(svgStyle.color, svg);
+				if (svgFill && !isNeutral(svgFill)) {
+					colors.svgColors.push({ color: svgFill, inHeader, area: rect.width * rect.height });
+				}
+				if (svgColor && !isNeutral(svgColor)) {
+					colors.svgColors.push({ color: svgColor, inHeader, area: rect.width * rect.height });
+				}
+			});
+
+			// 7. ACCENT ELEMENTS - Look for elements with vibrant colors that stand out
+			const accentSelectors = [
+				'[class*="accent"]',
+				'[class*="highlight"]',
+				'[class*="primary"]',
+				'[class*="brand"]',
+				'[class*="feature"]',
+				'[class*="badge"]',
+				'[class*="tag"]',
+				'[class*="pill"]',
+				'[class*="chip"]',
+			];
+			accentSelectors.forEach((selector) => {
+				try {
+					document.querySelectorAll(selector).forEach((el) => {
+						const style = window.getComputedStyle(el);
+						const bgColor = readColor(style.backgroundColor, el.parentElement);
+						const textColor = readColor(style.color, el);
+						const rect = el.getBoundingClientRect();
+
+						if (bgColor && !isNeutral(bgColor)) {
+							colors.accentElements.push({ color: bgColor, area: rect.width * rect.height });
+						}
+						if (textColor && !isNeutral(textColor)) {
+							colors.accentElements.push({ color: textColor, area: rect.width * rect.height });
+						}
+					});
+				} catch (e) {}
+			});
+
+			// 8. GRADIENTS - background-image gradients, including gradient text
+			allElements.forEach((el) => {
+				const style = window.getComputedStyle(el);
+				if (!style.backgroundImage.includes("gradient(")) return;
+
+				const rect = el.getBoundingClientRect();
+				if (rect.width === 0 || rect.height === 0) return;
+
+				const clip = style.backgroundClip || style.webkitBackgroundClip;
+				const classes = Array.from(el.classList).slice(0, 3).join(".");
+				colors.gradients.push({
+					value: style.backgroundImage,
+					area: rect.width * rect.height,
+					isText: clip === "text",
+					isButton: el.matches('button, [role="button"], a[class*="btn"], a[class*="button"]'),
+					isHero: rect.top < 200,
+					element: el.tagName.toLowerCase() + (classes ? `.${classes}` : ""),
+				});
+			});
+
+			// 9. TEXT CONTRAST - every element that renders text, with the backgrounds behind it
+			const rootStyle = window.getComputedStyle(document.documentElement);
+			const canvas =
+				/dark/.test(rootStyle.colorScheme) && window.matchMedia("(prefers-color-scheme: dark)").matches ?
+					"rgb(18, 18, 18)"
+				:	"rgb(255, 255, 255)";
+
+			const textOwners = new Set();
+			const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+			while (walker.nextNode() && textOwners.size < 1500) {
+				const owner = walker.currentNode.parentElement;
+				if (walker.currentNode.textContent.trim() && owner && !owner.closest("script, style, noscript, template, svg")) {
+					textOwners.add(owner);
+				}
+			}
+
+			textOwners.forEach((el) => {
+				const style = window.getComputedStyle(el);
+				const rect = el.getBoundingClientRect();
+				if (rect.width === 0 || rect.height === 0 || style.visibility === "hidden" || style.opacity === "0") return;
+				// gradient text has no single color to check
+				if ((style.backgroundClip || style.webkitBackgroundClip) === "text") return;
+				if (alphaOf(style.color) === 0) return;
+
+				// background colors up to the first opaque one; images paint above their element's color
+				const backdrop = [];
+				let overImage = false;
+				for (let node = el; node; node = node.parentElement) {
+					const nodeStyle = window.getComputedStyle(node);
+					if (nodeStyle.backgroundImage !== "none") overImage = true;
+					const bg = nodeStyle.backgroundColor;
+					const alpha = bg === "transparent" ? 0 : alphaOf(bg);
+					if (alpha === 0) continue;
+					backdrop.push(bg);
+					if (alpha >= 1) break;
+				}
+				if (backdrop.length === 0 || alphaOf(backdrop[backdrop.length - 1]) < 1) backdrop.push(canvas);
+
+				const classes = Array.from(el.classList).slice(0, 2).join(".");
+				colors.textPairs.push({
+					color: style.color,
+					backdrop,
+					overImage,
+					fontSize: parseFloat(style.fontSize),
+					fontWeight: parseInt(style.fontWeight, 10) || 400,
+					text: Array.from(el.childNodes)
+						.filter((node) => node.nodeType === 3)
+						.map((node) => node.textContent)
+						.join(" ")
+						.trim()
+						.replace(/\s+/g, " ")
+						.slice(0, 60),
+					element: el.tagName.toLowerCase() + (classes ? `.${classes}` : ""),
+				});
+			});
+
+			return colors;
+		});
+	}
+
+	// parses raw computed colors into hex (flattening translucent ones onto their backdrop),
+	// remembering the original notation behind each hex
+	normalizeColorData(colorData) {
+		const notations = new Map();
+
+		const resolve = (sample) => {
+			if (!sample) return null;
+			const value = typeof sample === "string" ? sample : sample.value;
+			const color = normalizeColor(value, typeof sample === "string" ? null : sample.backdrop);
+			if (!color || color.alpha === 0) return null;
+
+			if (!notations.has(color.hex)) notations.set(color.hex, new Map());
+			const seen = notations.get(color.hex);
+			if (!seen.has(color.original)) seen.set(color.original, { ...color, count: 0 });
+			seen.get(color.original).count++;
+
+			return color.hex;
+		};
+
+		// checks if color is too neutral (grayscale)
+		const isNeutral = (hex) => {
+			const r = parseInt(hex.slice(1, 3), 16);
+			const g = parseInt(hex.slice(3, 5), 16);
+			const b = parseInt(hex.slice(5, 7), 16);
+			const max = Math.max(r, g, b);
+			const min = Math.min(r, g, b);
+			const saturation = max === 0 ? 0 : (max - min) / max;
+			return saturation < 0.15;
+		};
+
+		const vivid = (hex) => hex && !isNeutral(hex);
+		const withColor = (items, keep = Boolean) =>
+			(items || []).map((item) => ({ ...item, color: resolve(item.color) })).filter((item) => keep(item.color));
+
+		const data = {
+			buttons: withColor(colorData.buttons),
+			links: (colorData.links || []).map(resolve).filter(vivid),
+			backgrounds: withColor(colorData.backgrounds),
+			text: (colorData.text || []).map(resolve).filter(Boolean),
+			borders: (colorData.borders || []).map(resolve).filter(vivid),
+			svgColors: withColor(colorData.svgColors, vivid),
+			accentElements: withColor(colorData.accentElements, vivid),
+			gradients: colorData.gradients || [],
+			imagery: colorData.imagery || [],
+			logo: colorData.logo || [],
+			meta: colorData.meta || [],
+		};
+
+		// most common original notation per hex
+		const originals = new Map();
+		notations.forEach((seen, hex) => {
+			const [top] = Array.from(seen.values()).sort((a, b) => b.count - a.count);
+			originals.set(hex, top);
+		});
+
+		return { data, originals };
+	}
+
+	// mergeThreshold is the CIEDE2000 distance under which colors count as one (0 disables merging)
+	classifyColors(rawColorData, { mergeThreshold = 3 } = {}) {
+		const { data: colorData, originals } = this.normalizeColorData(rawColorData);
+		const colorScores = new Map();
+
+		// calculates color vibrancy/saturation
+		const getColorVibrancy = (hex) => {
+			if (!hex) return 0;
+			const r = parseInt(hex.slice(1, 3), 16);
+			const g = parseInt(hex.slice(3, 5), 16);
+			const b = parseInt(hex.slice(5, 7), 16);
+			const max = Math.max(r, g, b);
+			const min = Math.min(r, g, b);
+			const saturation = max === 0 ? 0 : (max - min) / max;
+			const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+			// Penalize very dark or very light colors
+			const luminancePenalty = luminance < 0.15 || luminance > 0.85 ? 0.3 : 1;
+			return saturation * luminancePenalty;
+		};
+
+		// checks if color is too neutral (grayscale/dark)
+		const isNeutralOrDark = (hex) => {
+			if (!hex) return true;
 			const r = parseInt(hex.slice(1, 3), 16);
 			const g = parseInt(hex.slice(3, 5), 16);
 			const b = parseInt(hex.slice(5, 7), 16);
@@ -325,259 +1693,1356 @@ export class DesignScraper {
 			return saturation < 0.25 || luminance < 0.15;
 		};
 
-		// adds score to a color
-		const addScore = (color, score, category) => {
-			if (!color) return;
-			const normalized = color.toLowerCase();
-			if (!colorScores.has(normalized)) {
-				colorScores.set(normalized, {
-					total: 0,
-					categories: {},
-					vibrancy: getColorVibrancy(normalized),
-				});
+		// adds score to a color
+		const addScore = (color, score, category) => {
+			if (!color) return;
+			const normalized = color.toLowerCase();
+			if (!colorScores.has(normalized)) {
+				colorScores.set(normalized, {
+					total: 0,
+					categories: {},
+					vibrancy: getColorVibrancy(normalized),
+				});
+			}
+			const entry = colorScores.get(normalized);
+			entry.total += score;
+			entry.categories[category] = (entry.categories[category] || 0) + score;
+		};
+
+		// scores button colors heavily - these are almost always primary
+		// But give EXTRA weight to vibrant/saturated button colors
+		colorData.buttons.forEach((btn) => {
+			const vibrancy = getColorVibrancy(btn.color);
+			const baseScore = btn.isVisible ? 100 : 50;
+			const areaBonus = Math.min(btn.area / 1000, 50);
+			// Vibrant colors get a significant bonus (up to 100 extra points)
+			const vibrancyBonus = vibrancy * 100;
+			addScore(btn.color, baseScore + areaBonus + vibrancyBonus, "button");
+		});
+
+		// scores link colors for secondary
+		const linkCounts = {};
+		colorData.links.forEach((color) => {
+			linkCounts[color] = (linkCounts[color] || 0) + 1;
+		});
+		Object.entries(linkCounts).forEach(([color, count]) => {
+			const vibrancy = getColorVibrancy(color);
+			addScore(color, count * 10 + vibrancy * 30, "link");
+		});
+
+		// scores backgrounds
+		colorData.backgrounds.forEach((bg) => {
+			const score = bg.isHero ? 30 : 15;
+			addScore(bg.color, score, "background");
+		});
+
+		// scores border colors (often accent colors)
+		const borderCounts = {};
+		colorData.borders.forEach((color) => {
+			borderCounts[color] = (borderCounts[color] || 0) + 1;
+		});
+		Object.entries(borderCounts).forEach(([color, count]) => {
+			const vibrancy = getColorVibrancy(color);
+			if (vibrancy > 0.3) {
+				// Only score vibrant borders
+				addScore(color, count * 15 + vibrancy * 40, "border");
+			}
+		});
+
+		// score SVG colors - very important for brand colors (logos!)
+		// colors in header SVGs get highest weight
+		if (colorData.svgColors) {
+			colorData.svgColors.forEach((svg) => {
+				const vibrancy = getColorVibrancy(svg.color);
+				// header SVGs (likely logos) get massive bonus
+				const headerBonus = svg.inHeader ? 150 : 50;
+				const vibrancyBonus = vibrancy * 80;
+				addScore(svg.color, headerBonus + vibrancyBonus, "svg");
+			});
+		}
+
+		// scores accent elements
+		if (colorData.accentElements) {
+			colorData.accentElements.forEach((accent) => {
+				const vibrancy = getColorVibrancy(accent.color);
+				addScore(accent.color, 60 + vibrancy * 60, "accent");
+			});
+		}
+
+		// groups identical gradients and scores their stops
+		const gradients = new Map();
+		(colorData.gradients || []).forEach((item) => {
+			parseBackgroundImage(item.value).forEach((gradient) => {
+				if (!gradients.has(gradient.css)) {
+					gradients.set(gradient.css, { ...gradient, area: 0, count: 0, usage: new Set(), examples: [] });
+				}
+				const entry = gradients.get(gradient.css);
+				entry.area += item.area;
+				entry.count++;
+				entry.usage.add(item.isText ? "text" : item.isButton ? "button" : "background");
+				if (item.isHero) entry.usage.add("hero");
+				if (entry.examples.length < 3 && !entry.examples.includes(item.element)) {
+					entry.examples.push(item.element);
+				}
+
+				// gradient text and buttons are deliberate brand moments
+				const emphasis = item.isText || item.isButton ? 40 : item.isHero ? 20 : 0;
+				gradient.stops
+					.filter((stop) => stop.alpha > 0.2)
+					.forEach((stop) => {
+						if (stop.original && !originals.has(stop.color)) {
+							const { original, alpha, space, inGamut } = stop;
+							originals.set(stop.color, { original, alpha, space, inGamut });
+						}
+						const vibrancy = getColorVibrancy(stop.color);
+						const areaBonus = Math.min(item.area / 5000, 40);
+						addScore(stop.color, 20 + emphasis + areaBonus + vibrancy * 60, "gradient");
+					});
+			});
+		});
+
+		// scores colors the site declares in theme-color, its manifest and pinned-tab icon
+		const metaWeights = {
+			"theme-color": 90,
+			"manifest-theme": 70,
+			"mask-icon": 60,
+			"tile-color": 40,
+			"manifest-background": 20,
+		};
+		colorData.meta.forEach(({ color, source }) => {
+			const vibrancy = getColorVibrancy(color);
+			addScore(color, (metaWeights[source] || 20) + vibrancy * 60, "meta");
+		});
+
+		// scores the logo's own colors, the most deliberate use of a brand color
+		colorData.logo.forEach(({ color, share }) => {
+			if (isNeutralOrDark(color)) return;
+			const vibrancy = getColorVibrancy(color);
+			addScore(color, 60 + Math.min(share * 100, 60) + vibrancy * 60, "logo");
+		});
+
+		// scores dominant screenshot colors, which catch brands that live in photos, video and canvas
+		colorData.imagery.forEach(({ color, share }) => {
+			const vibrancy = getColorVibrancy(color);
+			addScore(color, Math.min(share * 200, 80) + vibrancy * 60, "imagery");
+		});
+
+		// merges near-duplicates (e.g. #4f46e5 and #4f47e6) so they don't compete as separate colors.
+		// the highest-scoring member represents the cluster and the rest are kept as variants
+		// screenshot pixels and declared meta colors only back up colors the CSS uses, so
+		// CSS colors rank first and represent any cluster they're in
+		const usedInCss = (categories) => Object.keys(categories).some((c) => c !== "imagery" && c !== "meta");
+		const clusters = new Map();
+		const representatives = new Map();
+		const ranked = Array.from(colorScores.entries())
+			.sort((a, b) => usedInCss(b[1].categories) - usedInCss(a[1].categories) || b[1].total - a[1].total)
+			.map(([color]) => color);
+		clusterColors(ranked, mergeThreshold).forEach(({ color, members }) => {
+			const cluster = { total: 0, categories: {}, variants: [] };
+			members.forEach((member) => {
+				const data = colorScores.get(member);
+				cluster.total += data.total;
+				Object.entries(data.categories).forEach(([category, score]) => {
+					cluster.categories[category] = (cluster.categories[category] || 0) + score;
+				});
+				if (member !== color) cluster.variants.push({ color: member, score: data.total });
+				representatives.set(member, color);
+			});
+			clusters.set(color, cluster);
+		});
+
+		// filter and sort colors
+		const isValidBrandColor = (hex) => {
+			if (!hex) return false;
+			const r = parseInt(hex.slice(1, 3), 16);
+			const g = parseInt(hex.slice(3, 5), 16);
+			const b = parseInt(hex.slice(5, 7), 16);
+
+			// check if it's not pure white/black
+			const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+			if (luminance > 0.95 || luminance < 0.05) return false;
+
+			// check saturation
+			const max = Math.max(r, g, b);
+			const min = Math.min(r, g, b);
+			const saturation = max === 0 ? 0 : (max - min) / max;
+
+			return saturation > 0.1 || (luminance > 0.1 && luminance < 0.9);
+		};
+
+		// get sorted colors by score
+		const sortedColors = Array.from(clusters.entries())
+			.filter(([color]) => isValidBrandColor(color))
+			.sort((a, b) => b[1].total - a[1].total);
+		// only colors the CSS paints can fill a role
+		const candidates = sortedColors.filter(([, data]) => usedInCss(data.categories));
+
+		// find primary - prefer vibrant button colors over neutral ones
+		// First, try to find a vibrant button color
+		let primaryColor = candidates.find(
+			([color, data]) =>
+				data.categories.button && data.categories.button > 50 && !isNeutralOrDark(color),
+		);
+
+		// if no vibrant button color, fall back to any high-scoring vibrant color
+		if (!primaryColor) {
+			primaryColor = candidates.find(
+				([color, data]) => !isNeutralOrDark(color) && data.total > 50,
+			);
+		}
+
+		// last resort: highest scoring button color
+		if (!primaryColor) {
+			primaryColor = candidates.find(
+				([color, data]) => data.categories.button && data.categories.button > 50,
+			);
+		}
+
+		// find secondary (highest scoring non-primary vibrant color)
+		const secondaryColor =
+			candidates.find(
+				([color, data]) =>
+					color !== primaryColor?.[0] &&
+					(data.categories.link || data.categories.button || data.categories.border) &&
+					!isNeutralOrDark(color),
+			) ||
+			candidates.find(
+				([color, data]) =>
+					color !== primaryColor?.[0] && (data.categories.link || data.categories.button),
+			);
+
+		// colors no CSS rule paints, only pixels in images
+		const isImageryOnly = (color) => {
+			const categories = Object.keys(clusters.get(representatives.get(color))?.categories || {});
+			return categories.length > 0 && categories.every((category) => category === "imagery");
+		};
+
+		// find background colors
+		const bgColors = colorData.backgrounds
+			.filter((bg) => bg.area > 50000)
+			.sort((a, b) => b.area - a.area)
+			.slice(0, 3)
+			.map((bg) => representatives.get(bg.color) || bg.color);
+
+		// find text colors, merged like the palette: through its clusters, then
+		// among themselves since text colors aren't scored
+		const textCounts = {};
+		colorData.text.forEach((color) => {
+			const merged = representatives.get(color) || color;
+			textCounts[merged] = (textCounts[merged] || 0) + 1;
+		});
+		const rankedText = Object.keys(textCounts).sort((a, b) => textCounts[b] - textCounts[a]);
+		const textColors = clusterColors(rankedText, mergeThreshold)
+			.map(({ color, members }) => [color, members.reduce((sum, member) => sum + textCounts[member], 0)])
+			.sort((a, b) => b[1] - a[1])
+			.slice(0, 2)
+			.map(([color]) => color);
+
+		// find accent (third most prominent vibrant color)
+		const accentColor = candidates.find(
+			([color]) =>
+				color !== primaryColor?.[0] && color !== secondaryColor?.[0] && !isNeutralOrDark(color),
+		);
+
+		return {
+			primary: primaryColor?.[0] || candidates[0]?.[0] || null,
+			secondary: secondaryColor?.[0] || candidates[1]?.[0] || null,
+			background: bgColors[0] || "#ffffff",
+			backgrounds: [...new Set(bgColors)],
+			text: textColors[0] || "#000000",
+			textColors: [...new Set(textColors)],
+			accent: accentColor?.[0] || candidates[2]?.[0] || null,
+			palette: sortedColors.slice(0, 8).map(([color, data]) => {
+				const entry = { color, score: data.total, usage: Object.keys(data.categories) };
+				if (data.variants.length > 0) entry.variants = data.variants;
+				if (isImageryOnly(color)) entry.imageryOnly = true;
+				const original = originals.get(color);
+				// keeps the authored notation when the hex is only a fallback
+				if (original && (original.alpha < 1 || !/^(rgb|hex)$/.test(original.space))) {
+					entry.original = original.original;
+					entry.alpha = original.alpha;
+					entry.space = original.space;
+					entry.inGamut = original.inGamut;
+				}
+				return entry;
+			}),
+			imagery: colorData.imagery.map(({ color, share }) => ({
+				color,
+				share,
+				imageryOnly: isImageryOnly(color),
+			})),
+			gradients: Array.from(gradients.values())
+				.sort((a, b) => b.area - a.area)
+				.slice(0, 8)
+				.map((g) => ({ ...g, area: Math.round(g.area), usage: Array.from(g.usage) })),
+		};
+	}
+
+	async extractCustomProperties(page) {
+		const variables = await page.evaluate(() => {
+			// :root, html and body, optionally narrowed to a theme (.dark, [data-theme="x"], .theme-x)
+			const scopePattern =
+				/^(:root|html|body)?(\.(dark|light|theme-[\w-]+|[\w-]+-theme)|\[data-[\w-]*(theme|mode|scheme)[^\]]*\])*$/;
+			const isThemeScope = (selector) =>
+				selector.split(",").some((part) => {
+					const trimmed = part.trim();
+					return trimmed !== "" && scopePattern.test(trimmed);
+				});
+
+			// resolves a value through a probe element so var() and color functions are computed.
+			// the wrapper's sentinel color shows through when the value is invalid and inherits
+			const sentinel = "rgb(1, 2, 3)";
+			const wrapper = document.createElement("div");
+			wrapper.style.cssText = `display: none; color: ${sentinel}`;
+			const probe = document.createElement("div");
+			wrapper.appendChild(probe);
+			document.body.appendChild(wrapper);
+			const resolveColor = (value) => {
+				if (!CSS.supports("color", value)) return null;
+				probe.style.color = value;
+				const computed = window.getComputedStyle(probe).color;
+				return computed === sentinel ? null : computed;
+			};
+
+			const rootStyle = window.getComputedStyle(document.documentElement);
+			const found = new Map();
+
+			const scanRules = (rules, media) => {
+				Array.from(rules).forEach((rule) => {
+					if (rule.selectorText && rule.style && isThemeScope(rule.selectorText)) {
+						Array.from(rule.style).forEach((name) => {
+							if (!name.startsWith("--")) return;
+							const key = `${rule.selectorText}|${media || ""}|${name}`;
+							found.set(key, {
+								name,
+								value: rule.style.getPropertyValue(name).trim(),
+								scope: rule.selectorText,
+								media,
+							});
+						});
+					}
+					if (rule.cssRules) scanRules(rule.cssRules, rule.media ? rule.media.mediaText : media);
+				});
+			};
+
+			Array.from(document.styleSheets).forEach((sheet) => {
+				try {
+					scanRules(sheet.cssRules, null);
+				} catch (e) {
+					// cross-origin stylesheets can't be read
+				}
+			});
+
+			const variables = Array.from(found.values()).map((variable) => {
+				const isRoot = /^(:root|html)$/.test(variable.scope.trim()) && !variable.media;
+				const computed = isRoot ? rootStyle.getPropertyValue(variable.name).trim() : "";
+				const resolved = computed || variable.value;
+
+				// bare channel lists like "222 47% 11%" (shadcn) or "79 70 229"
+				const hslChannels = /^[\d.]+(deg)?\s+[\d.]+%\s+[\d.]+%$/.test(resolved);
+				const rgbChannels = /^\d{1,3}\s+\d{1,3}\s+\d{1,3}$/.test(resolved);
+				const computedColor =
+					hslChannels ? resolveColor(`hsl(${resolved})`)
+					: rgbChannels ? resolveColor(`rgb(${resolved})`)
+					: resolveColor(resolved);
+
+				return {
+					...variable,
+					resolved,
+					computedColor,
+					channels: hslChannels ? "hsl" : rgbChannels ? "rgb" : null,
+				};
+			});
+
+			wrapper.remove();
+			return variables;
+		});
+
+		return this.classifyCustomProperties(variables);
+	}
+
+	classifyCustomProperties(rawVariables) {
+		// converts the computed color of color tokens to hex, keeping alpha
+		const variables = rawVariables.map(({ computedColor, ...variable }) => {
+			const color = normalizeColor(computedColor);
+			if (!color) return { ...variable, hex: null };
+			return color.alpha < 1 ? { ...variable, hex: color.hex, alpha: color.alpha } : { ...variable, hex: color.hex };
+		});
+
+		const categorize = (variable) => {
+			const { name, resolved } = variable;
+			if (variable.hex) return "color";
+			if (/font|family|typeface/i.test(name) && !/size|weight|leading|tracking/i.test(name)) return "font";
+			if (/(^|[\s,])(sans-serif|serif|monospace|system-ui)([\s,]|$)|^["']/.test(resolved)) return "font";
+			if (/shadow|elevation/i.test(name) || /(\d+px\s+){2,}.*(rgb|#|hsl)/.test(resolved)) return "shadow";
+			if (/^-?[\d.]+(px|rem|em|%|vw|vh|ch|ex)$/.test(resolved) || /^(calc|clamp|min|max)\(/.test(resolved)) {
+				return "size";
 			}
-			const entry = colorScores.get(normalized);
-			entry.total += score;
-			entry.categories[category] = (entry.categories[category] || 0) + score;
+			return "other";
 		};
 
-		// scores button colors heavily - these are almost always primary
-		// But give EXTRA weight to vibrant/saturated button colors
-		colorData.buttons.forEach((btn) => {
-			const vibrancy = getColorVibrancy(btn.color);
-			const baseScore = btn.isVisible ? 100 : 50;
-			const areaBonus = Math.min(btn.area / 1000, 50);
-			// Vibrant colors get a significant bonus (up to 100 extra points)
-			const vibrancyBonus = vibrancy * 100;
-			addScore(btn.color, baseScore + areaBonus + vibrancyBonus, "button");
-		});
+		const tokens = variables.map((variable) => ({ ...variable, category: categorize(variable) }));
 
-		// scores link colors for secondary
-		const linkCounts = {};
-		colorData.links.forEach((color) => {
-			linkCounts[color] = (linkCounts[color] || 0) + 1;
+		const byCategory = {};
+		tokens.forEach((token) => {
+			byCategory[token.category] = (byCategory[token.category] || 0) + 1;
 		});
-		Object.entries(linkCounts).forEach(([color, count]) => {
-			const vibrancy = getColorVibrancy(color);
-			addScore(color, count * 10 + vibrancy * 30, "link");
+
+		return {
+			tokens: tokens.slice(0, 500),
+			total: tokens.length,
+			byCategory,
+			scopes: [...new Set(tokens.map((t) => (t.media ? `${t.scope} @media ${t.media}` : t.scope)))],
+		};
+	}
+
+	// names palette colors after the custom properties that produce them
+	linkColorTokens(colors, cssVariables) {
+		if (!colors || !cssVariables?.tokens.length) return;
+
+		// root-level tokens win over theme-scoped ones with the same color
+		const isRoot = (token) => /^(:root|html)$/.test(token.scope.trim()) && !token.media;
+		const colorTokens = cssVariables.tokens
+			.filter((token) => token.category === "color")
+			.sort((a, b) => Number(isRoot(b)) - Number(isRoot(a)));
+
+		const namesFor = (hex) => colorTokens.filter((token) => token.hex === hex).map((token) => token.name);
+
+		colors.palette.forEach((entry) => {
+			// a merged variant may be the color the token actually holds
+			const members = [entry.color, ...(entry.variants || []).map((v) => v.color)];
+			const names = [...new Set(members.flatMap(namesFor))];
+			if (names.length > 0) {
+				entry.name = names[0];
+				entry.tokens = names.slice(0, 5);
+			}
 		});
 
-		// scores backgrounds
-		colorData.backgrounds.forEach((bg) => {
-			const score = bg.isHero ? 30 : 15;
-			addScore(bg.color, score, "background");
+		// token names for the role colors (primary, secondary, ...)
+		colors.tokenNames = {};
+		["primary", "secondary", "accent", "background", "text"].forEach((role) => {
+			const name = colors[role] && namesFor(colors[role])[0];
+			if (name) colors.tokenNames[role] = name;
 		});
+	}
 
-		// scores border colors (often accent colors)
-		const borderCounts = {};
-		colorData.borders.forEach((color) => {
-			borderCounts[color] = (borderCounts[color] || 0) + 1;
+	async extractTypography(page) {
+		const fontData = await this.collectTypography(page);
+
+		return this.classifyTypography(fontData);
+	}
+
+	async collectTypography(page) {
+		return await page.evaluate(() => {
+			const fonts = {
+				headings: new Map(),
+				body: new Map(),
+			};
+
+			// extract heading fonts
+			const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6");
+			headings.forEach((h) => {
+				const style = window.getComputedStyle(h);
+				const fontFamily = style.fontFamily.split(",")[0].replace(/['"]/g, "").trim();
+				const fontSize = style.fontSize;
+				const fontWeight = style.fontWeight;
+
+				const key = fontFamily;
+				if (!fonts.headings.has(key)) {
+					fonts.headings.set(key, { count: 0, sizes: [], weights: [], stack: style.fontFamily });
+				}
+				const entry = fonts.headings.get(key);
+				entry.count++;
+				entry.sizes.push(fontSize);
+				entry.weights.push(fontWeight);
+			});
+
+			// extract body fonts
+			const bodyElements = document.querySelectorAll("p, span, li, a, div");
+			bodyElements.forEach((el) => {
+				const style = window.getComputedStyle(el);
+				const fontSize = parseFloat(style.fontSize);
+
+				// only consider text-sized elements (12-20px typically)
+				if (fontSize >= 12 && fontSize <= 24) {
+					const fontFamily = style.fontFamily.split(",")[0].replace(/['"]/g, "").trim();
+					const fontWeight = style.fontWeight;
+
+					const key = fontFamily;
+					if (!fonts.body.has(key)) {
+						fonts.body.set(key, { count: 0, sizes: [], weights: [], stack: style.fontFamily });
+					}
+					const entry = fonts.body.get(key);
+					entry.count++;
+					entry.sizes.push(style.fontSize);
+					entry.weights.push(fontWeight);
+				}
+			});
+
+			// counts full text styles (size, weight, line-height, tracking) per role for the type scale
+			const styles = new Map();
+			const addStyle = (role, el) => {
+				const rect = el.getBoundingClientRect();
+				if (rect.width === 0 || rect.height === 0) return;
+				// only elements with their own text, so wrappers don't count twice
+				const hasText = Array.from(el.childNodes).some(
+					(node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim(),
+				);
+				if (!hasText) return;
+
+				const style = window.getComputedStyle(el);
+				const entry = {
+					role,
+					family: style.fontFamily.split(",")[0].replace(/['"]/g, "").trim(),
+					size: style.fontSize,
+					weight: style.fontWeight,
+					lineHeight: style.lineHeight,
+					letterSpacing: style.letterSpacing,
+					textTransform: style.textTransform,
+				};
+				const key = Object.values(entry).join("|");
+				if (!styles.has(key)) styles.set(key, { ...entry, count: 0 });
+				styles.get(key).count++;
+			};
+
+			headings.forEach((h) => addStyle(h.tagName.toLowerCase(), h));
+			document.querySelectorAll("p").forEach((el) => addStyle("body", el));
+			document
+				.querySelectorAll("figcaption, caption, small, [class*='caption']")
+				.forEach((el) => addStyle("caption", el));
+			Array.from(document.querySelectorAll("li, span, a, label, td, div"))
+				.slice(0, 3000)
+				.forEach((el) => addStyle("text", el));
+
+			// Maps don't survive serialization, so return plain arrays
+			const toArray = (map) => Array.from(map.entries()).map(([family, data]) => ({ family, ...data }));
+
+			return {
+				headings: toArray(fonts.headings),
+				body: toArray(fonts.body),
+				styles: Array.from(styles.values()),
+			};
 		});
-		Object.entries(borderCounts).forEach(([color, count]) => {
-			const vibrancy = getColorVibrancy(color);
-			if (vibrancy > 0.3) {
-				// Only score vibrant borders
-				addScore(color, count * 15 + vibrancy * 40, "border");
-			}
+	}
+
+	classifyTypography(fontData) {
+		// Convert to arrays and sort by frequency
+		const headingFonts = fontData.headings
+			.map((data) => ({
+				family: data.family,
+				count: data.count,
+				avgSize: data.sizes[0],
+				weights: [...new Set(data.weights)],
+				stack: data.stack,
+			}))
+			.sort((a, b) => b.count - a.count);
+
+		const bodyFonts = fontData.body
+			.map((data) => ({
+				family: data.family,
+				count: data.count,
+				avgSize: data.sizes[Math.floor(data.sizes.length / 2)],
+				weights: [...new Set(data.weights)],
+				stack: data.stack,
+			}))
+			.sort((a, b) => b.count - a.count);
+
+		return {
+			heading: {
+				family: headingFonts[0]?.family || "System Default",
+				weights: headingFonts[0]?.weights || ["400"],
+				fallback: headingFonts[1]?.family,
+				stack: headingFonts[0]?.stack,
+			},
+			body: {
+				family: bodyFonts[0]?.family || "System Default",
+				weights: bodyFonts[0]?.weights || ["400"],
+				fallback: bodyFonts[1]?.family,
+				stack: bodyFonts[0]?.stack,
+			},
+			all: [...new Set([...headingFonts, ...bodyFonts].map((f) => f.family))],
+			scale: this.classifyTypeScale(fontData.styles || []),
+		};
+	}
+
+	// picks one text style per role (h1-h6, body, small, caption) and infers the modular ratio
+	classifyTypeScale(styles) {
+		const px = (value) => parseFloat(value);
+		const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+		const mostUsed = (list) => list.sort((a, b) => b.count - a.count)[0] || null;
+		const ofRole = (role) => styles.filter((s) => s.role === role);
+
+		const picked = {};
+		["h1", "h2", "h3", "h4", "h5", "h6"].forEach((role) => {
+			picked[role] = mostUsed(ofRole(role));
 		});
 
-		// score SVG colors - very important for brand colors (logos!)
-		// colors in header SVGs get highest weight
-		if (colorData.svgColors) {
-			colorData.svgColors.forEach((svg) => {
-				const vibrancy = getColorVibrancy(svg.color);
-				// header SVGs (likely logos) get massive bonus
-				const headerBonus = svg.inHeader ? 150 : 50;
-				const vibrancyBonus = vibrancy * 80;
-				addScore(svg.color, headerBonus + vibrancyBonus, "svg");
+		// paragraphs define body text, falling back to the most common readable size
+		const readable = (s) => px(s.size) >= 14 && px(s.size) <= 20;
+		picked.body = mostUsed(ofRole("body").filter(readable)) || mostUsed(ofRole("text").filter(readable));
+		const bodySize = picked.body ? px(picked.body.size) : 16;
+
+		const smaller = (s, limit) => px(s.size) < limit && px(s.size) >= 10;
+		picked.small = mostUsed([...ofRole("body"), ...ofRole("text")].filter((s) => smaller(s, bodySize)));
+		picked.caption =
+			mostUsed(ofRole("caption").filter((s) => px(s.size) <= bodySize)) ||
+			mostUsed(ofRole("text").filter((s) => smaller(s, picked.small ? px(picked.small.size) : bodySize)));
+
+		const textStyles = Object.entries(picked)
+			.filter(([, style]) => style)
+			.map(([name, style]) => {
+				const size = px(style.size);
+				return {
+					name,
+					family: style.family,
+					size: round(size),
+					weight: Number(style.weight) || style.weight,
+					// unitless line-height and em tracking survive a change of font size
+					lineHeight: style.lineHeight === "normal" ? "normal" : round(px(style.lineHeight) / size),
+					letterSpacing: style.letterSpacing === "normal" ? 0 : round(px(style.letterSpacing) / size, 3),
+					textTransform: style.textTransform,
+					count: style.count,
+				};
 			});
+
+		// geometric mean step between body and the distinct heading sizes above it
+		const steps = [...new Set(textStyles.filter((s) => s.size > bodySize).map((s) => s.size))].sort(
+			(a, b) => a - b,
+		);
+		let ratio = null;
+		if (steps.length > 0) {
+			const measured = (steps[steps.length - 1] / bodySize) ** (1 / steps.length);
+			const named = [
+				["Minor Second", 1.067],
+				["Major Second", 1.125],
+				["Minor Third", 1.2],
+				["Major Third", 1.25],
+				["Perfect Fourth", 1.333],
+				["Augmented Fourth", 1.414],
+				["Perfect Fifth", 1.5],
+				["Golden Ratio", 1.618],
+			];
+			const [name, value] = named.reduce((best, candidate) =>
+				Math.abs(candidate[1] - measured) < Math.abs(best[1] - measured) ? candidate : best,
+			);
+			ratio = {
+				value: round(measured, 3),
+				// only named when the site is close to a classic scale
+				name: Math.abs(value - measured) / value <= 0.03 ? name : null,
+				nearest: value,
+			};
 		}
 
-		// scores accent elements
-		if (colorData.accentElements) {
-			colorData.accentElements.forEach((accent) => {
-				const vibrancy = getColorVibrancy(accent.color);
-				addScore(accent.color, 60 + vibrancy * 60, "accent");
+		return { base: round(bodySize), ratio, styles: textStyles };
+	}
+
+	// gathers @font-face rules, document.fonts status and the stacks in use
+	async collectFontSources(page, fetchResource) {
+		const raw = await page.evaluate(() => {
+			const faces = [];
+			const blocked = [];
+
+			// walks nested @media, @supports and @import rules
+			const walk = (rules, stylesheet) => {
+				Array.from(rules).forEach((rule) => {
+					if (rule instanceof CSSFontFaceRule) {
+						const get = (name) => rule.style.getPropertyValue(name).trim();
+						faces.push({
+							family: get("font-family").replace(/^['"]|['"]$/g, ""),
+							src: get("src"),
+							weight: get("font-weight") || "400",
+							style: get("font-style") || "normal",
+							unicodeRange: get("unicode-range") || null,
+							display: get("font-display") || null,
+							stylesheet,
+						});
+					} else if (rule instanceof CSSImportRule && rule.styleSheet) {
+						readSheet(rule.styleSheet);
+					} else if (rule.cssRules) {
+						walk(rule.cssRules, stylesheet);
+					}
+				});
+			};
+			const readSheet = (sheet) => {
+				try {
+					walk(sheet.cssRules, sheet.href || location.href);
+				} catch (e) {
+					// cross-origin stylesheets (Google Fonts, Typekit) are fetched by the server
+					if (sheet.href) blocked.push(sheet.href);
+				}
+			};
+			Array.from(document.styleSheets).forEach(readSheet);
+
+			// faces the browser knows about, including ones added through the FontFace API
+			const loaded = Array.from(document.fonts).map((face) => ({
+				family: face.family,
+				weight: face.weight,
+				style: face.style,
+				unicodeRange: face.unicodeRange,
+				status: face.status,
+			}));
+
+			const stacks = new Set();
+			Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6, p, span, li, a, button, div"))
+				.slice(0, 3000)
+				.forEach((el) => stacks.add(window.getComputedStyle(el).fontFamily));
+
+			// a family renders from the machine when its text measures differently from every generic fallback
+			const canvas = document.createElement("canvas").getContext("2d");
+			const sample = "mmmmmmmmmmlli1WQ@#";
+			const measure = (font) => {
+				canvas.font = `72px ${font}`;
+				return canvas.measureText(sample).width;
+			};
+			const generics = ["monospace", "serif", "sans-serif"];
+			const baselines = generics.map(measure);
+			const webFamilies = new Set(loaded.map((face) => face.family.replace(/^['"]|['"]$/g, "").toLowerCase()));
+			const local = [];
+			new Set(
+				Array.from(stacks).flatMap((stack) => stack.split(",").map((f) => f.trim().replace(/^['"]|['"]$/g, ""))),
+			).forEach((family) => {
+				if (!family || webFamilies.has(family.toLowerCase())) return;
+				const installed = generics.some((generic, i) => measure(`"${family}", ${generic}`) !== baselines[i]);
+				if (installed) local.push(family);
 			});
-		}
 
-		// filter and sort colors
-		const isValidBrandColor = (hex) => {
-			if (!hex) return false;
-			const r = parseInt(hex.slice(1, 3), 16);
-			const g = parseInt(hex.slice(3, 5), 16);
-			const b = parseInt(hex.slice(5, 7), 16);
+			const stylesheets = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).map(
+				(link) => link.href,
+			);
 
-			// check if it's not pure white/black
-			const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-			if (luminance > 0.95 || luminance < 0.05) return false;
+			return {
+				pageUrl: location.href,
+				userAgent: navigator.userAgent,
+				faces,
+				blocked: [...new Set(blocked)],
+				loaded,
+				local,
+				stacks: Array.from(stacks),
+				stylesheets: [...new Set([...stylesheets, ...blocked])],
+			};
+		});
 
-			// check saturation
-			const max = Math.max(r, g, b);
-			const min = Math.min(r, g, b);
-			const saturation = max === 0 ? 0 : (max - min) / max;
+		// the page can't read cross-origin rules, but the server can fetch the same CSS
+		const fetched = await Promise.all(
+			raw.blocked.slice(0, 10).map(async (href) => {
+				try {
+					const response = await fetchResource(href, { headers: { "User-Agent": raw.userAgent } });
+					if (!response.ok) return [];
+					return parseFontFaceRules(await response.text(), href);
+				} catch (e) {
+					return [];
+				}
+			}),
+		);
 
-			return saturation > 0.1 || (luminance > 0.1 && luminance < 0.9);
-		};
+		const { blocked, userAgent, ...sources } = raw;
+		return { ...sources, faces: [...raw.faces, ...fetched.flat()] };
+	}
 
-		// get sorted colors by score
-		const sortedColors = Array.from(colorScores.entries())
-			.filter(([color]) => isValidBrandColor(color))
-			.sort((a, b) => b[1].total - a[1].total);
+	// adds font sources and the family that actually rendered to the typography result
+	linkFontSources(typography, fontSources, fontData) {
+		if (!fontSources) return;
 
-		// find primary - prefer vibrant button colors over neutral ones
-		// First, try to find a vibrant button color
-		let primaryColor = sortedColors.find(
-			([color, data]) =>
-				data.categories.button && data.categories.button > 50 && !isNeutralOrDark(color),
+		// weights in use per family, so snippets only load what the site uses
+		const usage = {};
+		[...fontData.headings, ...fontData.body].forEach((font) => {
+			const weights = font.weights.map(Number).filter(Number.isFinite);
+			usage[font.family] = [...new Set([...(usage[font.family] || []), ...weights])].sort((a, b) => a - b);
+		});
+
+		const families = [...new Set([...typography.all, ...fontSources.stacks.flatMap(parseFontStack)])];
+		const sources = resolveFontSources(fontSources, families, usage);
+
+		["heading", "body"].forEach((role) => {
+			const rendered = renderedFamily(typography[role].stack, sources);
+			if (rendered) typography[role].rendered = rendered;
+		});
+
+		// system fallbacks further down the stacks are only needed to find what rendered
+		typography.sources = sources.filter(
+			(source) => source.provider !== "system" || typography.all.includes(source.family),
 		);
+	}
+
+	async extractSpacing(page) {
+		const spacingData = await page.evaluate(() => {
+			const values = { padding: {}, margin: {}, gap: {} };
+			const containers = {};
+			const grids = [];
+
+			const count = (group, raw) => {
+				const px = Math.round(parseFloat(raw));
+				// ignores zero, negative and layout-sized values
+				if (!px || px <= 0 || px > 400) return;
+				values[group][px] = (values[group][px] || 0) + 1;
+			};
+
+			const viewportWidth = document.documentElement.clientWidth;
+			const elements = Array.from(document.querySelectorAll("body *")).slice(0, 5000);
+
+			elements.forEach((el) => {
+				const rect = el.getBoundingClientRect();
+				if (rect.width === 0 || rect.height === 0) return;
+
+				const style = window.getComputedStyle(el);
+
+				// 1. PADDING AND MARGIN on every side
+				["Top", "Right", "Bottom", "Left"].forEach((side) => {
+					count("padding", style[`padding${side}`]);
+					count("margin", style[`margin${side}`]);
+				});
+
+				// 2. GAPS in flex and grid layouts
+				const isLayout = style.display.includes("flex") || style.display.includes("grid");
+				if (isLayout) {
+					if (style.rowGap !== "normal") count("gap", style.rowGap);
+					if (style.columnGap !== "normal") count("gap", style.columnGap);
+				}
+
+				// 3. CONTAINERS - centered blocks narrower than the viewport
+				const marginLeft = parseFloat(style.marginLeft);
+				const marginRight = parseFloat(style.marginRight);
+				const isCentered = marginLeft > 0 && Math.abs(marginLeft - marginRight) <= 1;
+				if (isCentered && rect.width > viewportWidth * 0.5 && rect.width < viewportWidth - 2) {
+					const maxWidth = style.maxWidth !== "none" ? Math.round(parseFloat(style.maxWidth)) : null;
+					const key = maxWidth || Math.round(rect.width);
+					if (!containers[key]) {
+						containers[key] = { maxWidth: key, count: 0, padding: parseFloat(style.paddingLeft) };
+					}
+					containers[key].count++;
+				}
+
+				// 4. COLUMN GRIDS - wide CSS grids with explicit columns
+				if (style.display.includes("grid") && rect.width > viewportWidth * 0.5) {
+					const columns = style.gridTemplateColumns.split(" ").filter((c) => c.endsWith("px")).length;
+					if (columns > 1) {
+						grids.push({
+							columns,
+							gutter: style.columnGap === "normal" ? 0 : Math.round(parseFloat(style.columnGap)),
+						});
+					}
+				}
+			});
+
+			return { values, containers: Object.values(containers), grids };
+		});
+
+		return this.classifySpacing(spacingData);
+	}
+
+	classifySpacing(spacingData) {
+		// merges padding, margin and gap counts into one histogram
+		const histogram = new Map();
+		Object.values(spacingData.values).forEach((group) => {
+			Object.entries(group).forEach(([value, count]) => {
+				const px = Number(value);
+				histogram.set(px, (histogram.get(px) || 0) + count);
+			});
+		});
+
+		// the most used values seed the steps; a value joins a seed within 1px (or 3%
+		// for large values), so 15px and 16px are one step but 8, 12 and 16 stay apart
+		const clusters = [];
+		Array.from(histogram.entries())
+			.sort((a, b) => b[1] - a[1] || a[0] - b[0])
+			.forEach(([value, count]) => {
+				const seed = clusters.find((c) => Math.abs(value - c.value) <= Math.max(1, c.value * 0.03));
+				if (seed) {
+					seed.count += count;
+				} else {
+					clusters.push({ value, count });
+				}
+			});
+
+		const total = clusters.reduce((sum, c) => sum + c.count, 0);
+
+		// share of all sampled values that sit on a grid
+		const gridFit = (unit) => {
+			if (total === 0) return 0;
+			const onGrid = clusters.filter((c) => c.value % unit === 0).reduce((sum, c) => sum + c.count, 0);
+			return onGrid / total;
+		};
+
+		const fit8 = gridFit(8);
+		const fit4 = gridFit(4);
+		const baseUnit =
+			fit8 >= 0.6 ? 8
+			: fit4 >= 0.6 ? 4
+			: null;
+
+		// keeps steps that are used often enough to be intentional
+		const scale = clusters
+			.filter((c) => c.count / total >= 0.02)
+			.sort((a, b) => b.count - a.count)
+			.slice(0, 12)
+			.sort((a, b) => a.value - b.value)
+			.map((c, i) => ({
+				name: `space-${i + 1}`,
+				value: c.value,
+				count: c.count,
+				multiple: baseUnit ? Math.round((c.value / baseUnit) * 100) / 100 : null,
+			}));
+
+		const container = spacingData.containers.sort((a, b) => b.count - a.count)[0] || null;
+
+		// most common column setup among wide grids
+		const gridCounts = {};
+		spacingData.grids.forEach((g) => {
+			const key = `${g.columns}:${g.gutter}`;
+			gridCounts[key] = (gridCounts[key] || 0) + 1;
+		});
+		const topGrid = Object.entries(gridCounts).sort((a, b) => b[1] - a[1])[0];
+
+		return {
+			baseUnit,
+			gridFit: {
+				4: Math.round(fit4 * 100) / 100,
+				8: Math.round(fit8 * 100) / 100,
+			},
+			scale,
+			container:
+				container ?
+					{ maxWidth: container.maxWidth, padding: container.padding || 0 }
+				:	null,
+			grid:
+				topGrid ?
+					{
+						columns: Number(topGrid[0].split(":")[0]),
+						gutter: Number(topGrid[0].split(":")[1]),
+						count: topGrid[1],
+					}
+				:	null,
+			sampled: total,
+		};
+	}
+
+	// transitions and animations as computed on every element, sampled again with
+	// prefers-reduced-motion emulated, plus the @keyframes rules behind them
+	async extractMotion(page) {
+		const sampleMotion = () => {
+			const split = (value) => value.split(/,(?![^(]*\))/).map((part) => part.trim());
+			// the nth entry of a list that repeats to fit, as CSS does
+			const nth = (list, i) => list[i % list.length];
+			const describe = (el) => {
+				const classes = Array.from(el.classList).slice(0, 2).join(".");
+				return el.tagName.toLowerCase() + (classes ? `.${classes}` : "");
+			};
+
+			const samples = [];
+			Array.from(document.querySelectorAll("body *"))
+				.slice(0, 5000)
+				.forEach((el) => {
+					const style = window.getComputedStyle(el);
+
+					const durations = split(style.transitionDuration);
+					const easings = split(style.transitionTimingFunction);
+					split(style.transitionProperty).forEach((property, i) => {
+						if (property === "none" || !(parseFloat(nth(durations, i)) > 0)) return;
+						samples.push({
+							kind: "transition",
+							element: describe(el),
+							property,
+							duration: nth(durations, i),
+							easing: nth(easings, i),
+						});
+					});
+
+					if (style.animationName === "none") return;
+					const animationDurations = split(style.animationDuration);
+					const animationEasings = split(style.animationTimingFunction);
+					const iterations = split(style.animationIterationCount);
+					split(style.animationName).forEach((name, i) => {
+						if (name === "none" || !(parseFloat(nth(animationDurations, i)) > 0)) return;
+						samples.push({
+							kind: "animation",
+							element: describe(el),
+							name,
+							duration: nth(animationDurations, i),
+							easing: nth(animationEasings, i),
+							iterations: nth(iterations, i),
+						});
+					});
+				});
+
+			return samples;
+		};
+
+		const normal = await page.evaluate(sampleMotion);
+		const rules = await page.evaluate(() => {
+			const keyframes = [];
+			let mediaRules = 0;
+
+			const scanRules = (list) => {
+				Array.from(list).forEach((rule) => {
+					if (rule instanceof CSSKeyframesRule) {
+						const properties = new Set();
+						Array.from(rule.cssRules).forEach((frame) =>
+							Array.from(frame.style).forEach((property) => properties.add(property)),
+						);
+						keyframes.push({ name: rule.name, steps: rule.cssRules.length, properties: Array.from(properties) });
+					} else if (rule instanceof CSSMediaRule) {
+						if (rule.conditionText.includes("prefers-reduced-motion")) mediaRules++;
+						scanRules(rule.cssRules);
+					} else if (rule.cssRules) {
+						scanRules(rule.cssRules);
+					}
+				});
+			};
+
+			Array.from(document.styleSheets).forEach((sheet) => {
+				try {
+					scanRules(sheet.cssRules);
+				} catch (e) {
+					// cross-origin sheets can't be read
+				}
+			});
+
+			// one entry per name, the last definition wins as in CSS
+			return { keyframes: Array.from(new Map(keyframes.map((k) => [k.name, k])).values()), mediaRules };
+		});
+
+		let reduced = [];
+		try {
+			await page.emulateMediaFeatures([{ name: "prefers-reduced-motion", value: "reduce" }]);
+			reduced = await page.evaluate(sampleMotion);
+		} finally {
+			// back to the page's own preferences, even when sampling failed
+			await page.emulateMediaFeatures([]).catch(() => {});
+		}
+
+		return classifyMotion({ samples: normal, reducedSamples: reduced, ...rules });
+	}
+
+	async extractSurfaces(page) {
+		const surfaceData = await page.evaluate(() => {
+			const components = {
+				button: 'button, [role="button"], a[class*="btn"], a[class*="button"], input[type="submit"], input[type="button"]',
+				card: '[class*="card"], [class*="tile"], [class*="panel"], article',
+				input: 'input:not([type="submit"]):not([type="button"]):not([type="checkbox"]):not([type="radio"]):not([type="hidden"]), textarea, select',
+				modal: 'dialog, [role="dialog"], [class*="modal"], [class*="popover"], [class*="dropdown"], [class*="tooltip"]',
+			};
+
+			// short selector-like label for an element, e.g. button.btn.btn-primary
+			const describe = (el) => {
+				const classes = Array.from(el.classList).slice(0, 3).join(".");
+				return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : "") + (classes ? `.${classes}` : "");
+			};
 
-		// if no vibrant button color, fall back to any high-scoring vibrant color
-		if (!primaryColor) {
-			primaryColor = sortedColors.find(
-				([color, data]) => !isNeutralOrDark(color) && data.total > 50,
-			);
-		}
+			const samples = [];
+			const seen = new Set();
 
-		// last resort: highest scoring button color
-		if (!primaryColor) {
-			primaryColor = sortedColors.find(
-				([color, data]) => data.categories.button && data.categories.button > 50,
-			);
-		}
+			Object.entries(components).forEach(([kind, selector]) => {
+				document.querySelectorAll(selector).forEach((el) => {
+					if (seen.has(el)) return;
+					seen.add(el);
 
-		// find secondary (highest scoring non-primary vibrant color)
-		const secondaryColor =
-			sortedColors.find(
-				([color, data]) =>
-					color !== primaryColor?.[0] &&
-					(data.categories.link || data.categories.button || data.categories.border) &&
-					!isNeutralOrDark(color),
-			) ||
-			sortedColors.find(
-				([color, data]) =>
-					color !== primaryColor?.[0] && (data.categories.link || data.categories.button),
-			);
+					const rect = el.getBoundingClientRect();
+					// closed modals still carry their styles, everything else must be rendered
+					if (kind !== "modal" && (rect.width === 0 || rect.height === 0)) return;
 
-		// find background colors
-		const bgColors = colorData.backgrounds
-			.filter((bg) => bg.area > 50000)
-			.sort((a, b) => b.area - a.area)
-			.slice(0, 3)
-			.map((bg) => bg.color);
+					const style = window.getComputedStyle(el);
+					const radii = [
+						style.borderTopLeftRadius,
+						style.borderTopRightRadius,
+						style.borderBottomRightRadius,
+						style.borderBottomLeftRadius,
+					];
+
+					samples.push({
+						kind,
+						element: describe(el),
+						width: rect.width,
+						height: rect.height,
+						radius: radii.every((r) => r === radii[0]) ? radii[0] : radii.join(" "),
+						boxShadow: style.boxShadow !== "none" ? style.boxShadow : null,
+						outline:
+							style.outlineStyle !== "none" && parseFloat(style.outlineWidth) > 0 ?
+								`${style.outlineWidth} ${style.outlineStyle} ${style.outlineColor}`
+							:	null,
+						backdropFilter:
+							style.backdropFilter && style.backdropFilter !== "none" ? style.backdropFilter : null,
+					});
+				});
+			});
 
-		// find text colors
-		const textCounts = {};
-		colorData.text.forEach((color) => {
-			textCounts[color] = (textCounts[color] || 0) + 1;
+			return samples;
 		});
-		const textColors = Object.entries(textCounts)
-			.sort((a, b) => b[1] - a[1])
-			.slice(0, 2)
-			.map(([color]) => color);
 
-		// find accent (third most prominent vibrant color)
-		const accentColor = sortedColors.find(
-			([color]) =>
-				color !== primaryColor?.[0] && color !== secondaryColor?.[0] && !isNeutralOrDark(color),
-		);
+		return this.classifySurfaces(surfaceData);
+	}
+
+	classifySurfaces(samples) {
+		// groups samples by a value, tracking usage per component kind and a few examples
+		const groupBy = (getValue) => {
+			const groups = new Map();
+			samples.forEach((sample) => {
+				const value = getValue(sample);
+				if (!value) return;
+				if (!groups.has(value)) groups.set(value, { value, count: 0, usage: {}, examples: [] });
+				const group = groups.get(value);
+				group.count++;
+				group.usage[sample.kind] = (group.usage[sample.kind] || 0) + 1;
+				if (group.examples.length < 3 && !group.examples.includes(sample.element)) {
+					group.examples.push(sample.element);
+				}
+			});
+			return Array.from(groups.values());
+		};
+
+		// names a sorted list of steps from small to large
+		const sizeNames = {
+			1: ["md"],
+			2: ["sm", "lg"],
+			3: ["sm", "md", "lg"],
+			4: ["xs", "sm", "md", "lg"],
+			5: ["xs", "sm", "md", "lg", "xl"],
+			6: ["xs", "sm", "md", "lg", "xl", "2xl"],
+		};
+
+		// 1. RADIUS - pills and circles collapse into "full"
+		const radiusGroups = groupBy((sample) => {
+			if (sample.radius.includes(" ")) return null; // mixed corners aren't tokens
+			const px = parseFloat(sample.radius);
+			if (!px) return null;
+			const isFull =
+				sample.radius.endsWith("%") ? px >= 50 : px >= Math.min(sample.width, sample.height) / 2 - 1;
+			return isFull ? "full" : `${Math.round(px)}px`;
+		});
+
+		const fullRadius = radiusGroups.find((g) => g.value === "full");
+		const radiusSteps = radiusGroups
+			.filter((g) => g.value !== "full")
+			.sort((a, b) => b.count - a.count)
+			.slice(0, 6)
+			.sort((a, b) => parseFloat(a.value) - parseFloat(b.value));
+
+		const radius = radiusSteps.map((g, i) => ({
+			name: `radius.${sizeNames[radiusSteps.length][i]}`,
+			...g,
+		}));
+		if (fullRadius) {
+			radius.push({ name: "radius.full", ...fullRadius, value: "9999px" });
+		}
+
+		// 2. SHADOWS - ordered by how far they lift the element
+		const splitLayers = (value) => value.split(/,(?![^(]*\))/).map((layer) => layer.trim());
+		const shadowStrength = (value) =>
+			splitLayers(value).reduce((sum, layer) => {
+				if (layer.includes("inset")) return sum;
+				const lengths = (layer.replace(/rgba?\([^)]*\)/g, "").match(/-?[\d.]+px/g) || []).map(parseFloat);
+				const [, offsetY = 0, blur = 0, spread = 0] = lengths;
+				return sum + Math.abs(offsetY) + blur + Math.max(spread, 0);
+			}, 0);
+
+		const shadowGroups = groupBy((sample) => sample.boxShadow)
+			.map((g) => ({ ...g, strength: shadowStrength(g.value) }))
+			// inset-only shadows are borders and focus rings, not elevation
+			.filter((g) => g.strength > 0);
+
+		const shadow = shadowGroups
+			.sort((a, b) => b.count - a.count)
+			.slice(0, 4)
+			.sort((a, b) => a.strength - b.strength)
+			.map(({ strength, ...g }, i) => ({ name: `shadow.${i + 1}`, ...g }));
+
+		// 3. OUTLINES and BACKDROP FILTERS are reported as found
+		const byCount = (a, b) => b.count - a.count;
 
 		return {
-			primary: primaryColor?.[0] || sortedColors[0]?.[0] || null,
-			secondary: secondaryColor?.[0] || sortedColors[1]?.[0] || null,
-			background: bgColors[0] || "#ffffff",
-			backgrounds: [...new Set(bgColors)],
-			text: textColors[0] || "#000000",
-			textColors: [...new Set(textColors)],
-			accent: accentColor?.[0] || sortedColors[2]?.[0] || null,
-			palette: sortedColors.slice(0, 8).map(([color, data]) => ({
-				color,
-				score: data.total,
-				usage: Object.keys(data.categories),
-			})),
+			radius,
+			shadow,
+			outline: groupBy((sample) => sample.outline).sort(byCount).slice(0, 6),
+			backdropFilter: groupBy((sample) => sample.backdropFilter).sort(byCount).slice(0, 6),
+			sampled: samples.length,
 		};
 	}
 
-	async extractTypography(page) {
-		return await page.evaluate(() => {
-			const fonts = {
-				headings: new Map(),
-				body: new Map(),
+	async extractInteractionStates(page) {
+		// picks one representative element per visual variant of buttons and links
+		const targets = await page.evaluate(() => {
+			const describe = (el) => {
+				const classes = Array.from(el.classList).slice(0, 3).join(".");
+				return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : "") + (classes ? `.${classes}` : "");
 			};
 
-			// extract heading fonts
-			const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6");
-			headings.forEach((h) => {
-				const style = window.getComputedStyle(h);
-				const fontFamily = style.fontFamily.split(",")[0].replace(/['"]/g, "").trim();
-				const fontSize = style.fontSize;
-				const fontWeight = style.fontWeight;
+			const candidates = (selector, kind) =>
+				Array.from(document.querySelectorAll(selector))
+					.map((el) => {
+						const rect = el.getBoundingClientRect();
+						const style = window.getComputedStyle(el);
+						if (rect.width === 0 || rect.height === 0 || style.visibility === "hidden") return null;
+
+						// above-the-fold, larger elements first
+						const score = rect.width * rect.height * (rect.top < window.innerHeight ? 2 : 1);
+						const signature = [style.backgroundColor, style.color, style.borderColor].join("|");
+						return { el, kind, score, signature };
+					})
+					.filter(Boolean)
+					.sort((a, b) => b.score - a.score);
+
+			const pickVariants = (list, limit) => {
+				const variants = new Map();
+				list.forEach((item) => {
+					if (!variants.has(item.signature) && variants.size < limit) variants.set(item.signature, item);
+				});
+				return Array.from(variants.values());
+			};
 
-				const key = fontFamily;
-				if (!fonts.headings.has(key)) {
-					fonts.headings.set(key, { count: 0, sizes: [], weights: [] });
-				}
-				const entry = fonts.headings.get(key);
-				entry.count++;
-				entry.sizes.push(fontSize);
-				entry.weights.push(fontWeight);
+			const buttons = pickVariants(
+				candidates(
+					'button, [role="button"], a[class*="btn"], a[class*="button"], input[type="submit"], input[type="button"]',
+					"button",
+				),
+				6,
+			);
+			const links = pickVariants(
+				candidates('a[href]:not([class*="btn"]):not([class*="button"]):not([role="button"])', "link"),
+				3,
+			);
+
+			return [...buttons, ...links].map((item, index) => {
+				item.el.setAttribute("data-desint-state", String(index));
+				return {
+					index,
+					kind: item.kind,
+					element: describe(item.el),
+					text: (item.el.textContent || item.el.value || "").trim().slice(0, 40),
+					canDisable: "disabled" in item.el && !item.el.disabled,
+				};
 			});
+		});
 
-			// extract body fonts
-			const bodyElements = document.querySelectorAll("p, span, li, a, div");
-			bodyElements.forEach((el) => {
+		if (targets.length === 0) return { buttons: [], links: [] };
+
+		// null once the page has re-rendered the element away
+		const readStyles = (index) =>
+			page.evaluate((index) => {
+				const el = document.querySelector(`[data-desint-state="${index}"]`);
+				if (!el) return null;
 				const style = window.getComputedStyle(el);
-				const fontSize = parseFloat(style.fontSize);
+				return {
+					backgroundColor: style.backgroundColor,
+					color: style.color,
+					borderColor: style.borderColor,
+					boxShadow: style.boxShadow,
+					outline:
+						style.outlineStyle === "none" ? "none" : (
+							`${style.outlineWidth} ${style.outlineStyle} ${style.outlineColor}`
+						),
+					transform: style.transform,
+					opacity: style.opacity,
+					textDecorationLine: style.textDecorationLine,
+					borderRadius: style.borderRadius,
+				};
+			}, index);
+
+		// keeps only the properties that differ from the resting style
+		const diff = (rest, state) => {
+			const delta = {};
+			Object.keys(rest).forEach((key) => {
+				if (rest[key] !== state[key]) delta[key] = state[key];
+			});
+			return delta;
+		};
 
-				// only consider text-sized elements (12-20px typically)
-				if (fontSize >= 12 && fontSize <= 24) {
-					const fontFamily = style.fontFamily.split(",")[0].replace(/['"]/g, "").trim();
-					const fontWeight = style.fontWeight;
+		const client = await page.createCDPSession();
+		const results = [];
 
-					const key = fontFamily;
-					if (!fonts.body.has(key)) {
-						fonts.body.set(key, { count: 0, sizes: [], weights: [] });
+		try {
+			await client.send("DOM.enable");
+			await client.send("CSS.enable");
+			const { root } = await client.send("DOM.getDocument", { depth: 0 });
+
+			// transitions would leave computed styles mid-animation; the inline value
+			// the element had is kept aside to restore afterwards
+			await page.evaluate(() => {
+				document.querySelectorAll("[data-desint-state]").forEach((el) => {
+					el.setAttribute(
+						"data-desint-transition",
+						JSON.stringify([el.style.getPropertyValue("transition"), el.style.getPropertyPriority("transition")]),
+					);
+					el.style.setProperty("transition", "none", "important");
+				});
+			});
+
+			for (const target of targets) {
+				const { nodeId } = await client.send("DOM.querySelector", {
+					nodeId: root.nodeId,
+					selector: `[data-desint-state="${target.index}"]`,
+				});
+				if (!nodeId) continue;
+
+				const rest = await readStyles(target.index);
+				if (!rest) continue;
+				const states = {};
+				let vanished = false;
+
+				for (const [name, pseudoClasses] of [
+					["hover", ["hover"]],
+					["focus", ["focus", "focus-visible"]],
+					["active", ["hover", "active"]],
+				]) {
+					await client.send("CSS.forcePseudoState", { nodeId, forcedPseudoClasses: pseudoClasses });
+					const state = await readStyles(target.index);
+					await client.send("CSS.forcePseudoState", { nodeId, forcedPseudoClasses: [] });
+					if (!state) {
+						vanished = true;
+						break;
 					}
-					const entry = fonts.body.get(key);
-					entry.count++;
-					entry.sizes.push(style.fontSize);
-					entry.weights.push(fontWeight);
+					states[name] = diff(rest, state);
+				}
+				if (vanished) continue;
+
+				// :disabled can't be forced, so toggle the real attribute
+				if (target.canDisable) {
+					const setDisabled = (disabled) =>
+						page.evaluate(
+							(index, disabled) => {
+								const el = document.querySelector(`[data-desint-state="${index}"]`);
+								if (el) el.disabled = disabled;
+							},
+							target.index,
+							disabled,
+						);
+					await setDisabled(true);
+					const state = await readStyles(target.index);
+					await setDisabled(false);
+					if (!state) continue;
+					states.disabled = diff(rest, state);
 				}
-			});
 
-			// Convert to arrays and sort by frequency
-			const headingFonts = Array.from(fonts.headings.entries())
-				.map(([font, data]) => ({
-					family: font,
-					count: data.count,
-					avgSize: data.sizes[0],
-					weights: [...new Set(data.weights)],
-				}))
-				.sort((a, b) => b.count - a.count);
-
-			const bodyFonts = Array.from(fonts.body.entries())
-				.map(([font, data]) => ({
-					family: font,
-					count: data.count,
-					avgSize: data.sizes[Math.floor(data.sizes.length / 2)],
-					weights: [...new Set(data.weights)],
-				}))
-				.sort((a, b) => b.count - a.count);
+				results.push({
+					kind: target.kind,
+					element: target.element,
+					text: target.text,
+					rest,
+					...states,
+				});
+			}
+		} finally {
+			await page
+				.evaluate(() => {
+					document.querySelectorAll("[data-desint-state]").forEach((el) => {
+						const [value, priority] = JSON.parse(el.getAttribute("data-desint-transition") || '["", ""]');
+						if (value) el.style.setProperty("transition", value, priority);
+						else el.style.removeProperty("transition");
+						el.removeAttribute("data-desint-transition");
+						el.removeAttribute("data-desint-state");
+					});
+				})
+				.catch(() => {});
+			await client.detach().catch(() => {});
+		}
 
-			return {
-				heading: {
-					family: headingFonts[0]?.family || "System Default",
-					weights: headingFonts[0]?.weights || ["400"],
-					fallback: headingFonts[1]?.family,
-				},
-				body: {
-					family: bodyFonts[0]?.family || "System Default",
-					weights: bodyFonts[0]?.weights || ["400"],
-					fallback: bodyFonts[1]?.family,
-				},
-				all: [...new Set([...headingFonts, ...bodyFonts].map((f) => f.family))],
-			};
-		});
+		const variants = (kind) =>
+			results
+				.filter((r) => r.kind === kind)
+				.map(({ kind: _, ...r }, i) => ({ variant: `${kind}-${i + 1}`, ...r }));
+
+		return {
+			buttons: variants("button"),
+			links: variants("link"),
+		};
 	}
 
 	async extractLogo(page, baseUrl) {
@@ -707,6 +3172,497 @@ export class DesignScraper {
 		};
 	}
 
+	// reads theme-color, the web app manifest, icons and social cards
+	async extractBrandMeta(page, fetchResource) {
+		const meta = await page.evaluate(() => {
+			const absolute = (href) => {
+				try {
+					return href ? new URL(href, document.baseURI).href : null;
+				} catch (e) {
+					return null;
+				}
+			};
+			// Open Graph uses property=, but plenty of sites write name=
+			const content = (key) =>
+				document
+					.querySelector(`meta[property="${key}"], meta[name="${key}"]`)
+					?.getAttribute("content")
+					?.trim() || null;
+
+			const icons = Array.from(
+				document.querySelectorAll(
+					'link[rel~="icon"], link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"], link[rel~="mask-icon"]',
+				),
+			)
+				.map((link) => ({
+					rel: link.getAttribute("rel").toLowerCase(),
+					url: absolute(link.getAttribute("href")),
+					sizes: link.getAttribute("sizes"),
+					type: link.getAttribute("type"),
+					color: link.getAttribute("color"),
+				}))
+				.filter((icon) => icon.url);
+
+			return {
+				themeColors: Array.from(document.querySelectorAll('meta[name="theme-color"]')).map((m) => ({
+					value: m.getAttribute("content")?.trim(),
+					media: m.getAttribute("media"),
+				})),
+				tileColor: content("msapplication-TileColor"),
+				manifestUrl: absolute(document.querySelector('link[rel="manifest"]')?.getAttribute("href")),
+				icons,
+				openGraph: {
+					title: content("og:title"),
+					siteName: content("og:site_name"),
+					description: content("og:description"),
+					type: content("og:type"),
+					image: absolute(content("og:image") || content("og:image:url")),
+					imageWidth: Number(content("og:image:width")) || null,
+					imageHeight: Number(content("og:image:height")) || null,
+					imageAlt: content("og:image:alt"),
+				},
+				twitter: {
+					card: content("twitter:card"),
+					site: content("twitter:site"),
+					title: content("twitter:title"),
+					description: content("twitter:description"),
+					image: absolute(content("twitter:image") || content("twitter:image:src")),
+				},
+			};
+		});
+
+		// the manifest may live on a CDN the page can't read, so the server fetches it
+		let manifest = null;
+		if (meta.manifestUrl) {
+			try {
+				const response = await fetchResource(meta.manifestUrl);
+				if (response.ok) {
+					const json = JSON.parse(await response.text());
+					const resolve = (src) => {
+						try {
+							return new URL(src, meta.manifestUrl).href;
+						} catch (e) {
+							return null;
+						}
+					};
+					manifest = {
+						url: meta.manifestUrl,
+						name: json.name || null,
+						shortName: json.short_name || null,
+						display: json.display || null,
+						themeColor: json.theme_color || null,
+						backgroundColor: json.background_color || null,
+						icons: (Array.isArray(json.icons) ? json.icons : [])
+							.map((icon) => ({
+								url: resolve(icon.src),
+								sizes: icon.sizes || null,
+								type: icon.type || null,
+								purpose: icon.purpose || null,
+							}))
+							.filter((icon) => icon.url)
+							.slice(0, 20),
+					};
+				}
+			} catch (e) {
+				manifest = { url: meta.manifestUrl, error: "Manifest could not be loaded" };
+			}
+		}
+
+		// resolves named and functional colors through the page so "white" and hsl() work too
+		const maskIcon = meta.icons.find((icon) => icon.rel.includes("mask-icon"));
+		const declared = [
+			...meta.themeColors.map((theme) => theme.value),
+			manifest?.themeColor,
+			manifest?.backgroundColor,
+			maskIcon?.color,
+			meta.tileColor,
+		];
+		const computed = await page.evaluate((values) => {
+			const probe = document.createElement("div");
+			probe.style.display = "none";
+			document.body.appendChild(probe);
+			const results = values.map((value) => {
+				if (!value || !CSS.supports("color", value)) return null;
+				probe.style.color = value;
+				return window.getComputedStyle(probe).color;
+			});
+			probe.remove();
+			return results;
+		}, declared);
+
+		const toColor = (i) => {
+			const parsed = computed[i] && normalizeColor(computed[i]);
+			return parsed ? { color: parsed.hex, value: declared[i] } : null;
+		};
+		let index = 0;
+		const themeColors = meta.themeColors
+			.map((theme) => ({ ...toColor(index++), media: theme.media }))
+			.filter((theme) => theme.color);
+		const manifestTheme = toColor(index++);
+		const manifestBackground = toColor(index++);
+		const maskColor = toColor(index++);
+		const tileColor = toColor(index++);
+
+		if (manifest && !manifest.error) {
+			manifest.themeColor = manifestTheme;
+			manifest.backgroundColor = manifestBackground;
+		}
+
+		return {
+			themeColors,
+			tileColor,
+			manifest,
+			// only the mask icon's color attribute means anything
+			icons: meta.icons.map(({ color, ...icon }) => (icon.rel.includes("mask-icon") ? { ...icon, color: maskColor } : icon)),
+			openGraph: meta.openGraph,
+			twitter: meta.twitter,
+		};
+	}
+
+	// the declared colors that feed classification, tagged with where they came from
+	brandMetaColors(brandMeta) {
+		if (!brandMeta) return [];
+
+		// a dark-scheme theme-color describes the dark theme, not the brand
+		const themes = brandMeta.themeColors
+			.filter((theme) => !/prefers-color-scheme:\s*dark/.test(theme.media || ""))
+			.map((theme) => ({ color: theme.color, source: "theme-color" }));
+
+		const maskIcon = brandMeta.icons.find((icon) => icon.color);
+
+		return [
+			...themes,
+			brandMeta.manifest?.themeColor && { color: brandMeta.manifest.themeColor.color, source: "manifest-theme" },
+			brandMeta.manifest?.backgroundColor && {
+				color: brandMeta.manifest.backgroundColor.color,
+				source: "manifest-background",
+			},
+			maskIcon && { color: maskIcon.color.color, source: "mask-icon" },
+			brandMeta.tileColor && { color: brandMeta.tileColor.color, source: "tile-color" },
+		].filter(Boolean);
+	}
+
+	// downloads the logo and its alternatives so saved scans don't depend on the site,
+	// then renders each copy to read its colors and tone and rasterize SVGs
+	async collectLogoAssets(context, logo, darkLogo, referer, fetchResource) {
+		const sources = [
+			{ role: "primary", entry: logo },
+			...logo.alternatives.map((alternative, i) => ({ role: `alternative-${i + 1}`, entry: alternative })),
+		];
+		if (darkLogo?.url && darkLogo.url !== logo.url) {
+			sources.push({ role: "dark-mode", entry: darkLogo });
+		}
+
+		const assets = [];
+		const processed = new Map();
+		const renderPage = await context.newPage();
+
+		try {
+			for (const { role, entry } of sources) {
+				// the same file can show up as an alternative
+				if (processed.has(entry.url)) {
+					const { asset, colors, tone, renditions } = processed.get(entry.url);
+					Object.assign(entry, { asset, colors, tone, renditions });
+					continue;
+				}
+
+				const file = entry.url ? await this.downloadAsset(entry.url, referer, fetchResource) : null;
+				if (!file) continue;
+				processed.set(entry.url, entry);
+
+				const rendered = await this.renderLogo(renderPage, file);
+				entry.asset = uuidv4();
+				assets.push({
+					id: entry.asset,
+					kind: "logo",
+					name: `logo-${role}.${file.extension}`,
+					contentType: file.contentType,
+					data: file.data,
+					width: rendered?.width,
+					height: rendered?.height,
+					sourceUrl: entry.url.startsWith("data:") ? null : entry.url,
+				});
+
+				if (rendered?.pixels) {
+					entry.colors = dominantColors(rendered.pixels, { count: 6, step: 1, minShare: 0.02 });
+					entry.tone = this.logoTone(rendered.pixels);
+				}
+
+				// standard PNG sizes, since SVGs don't drop into every tool
+				if (file.format === "svg" && rendered) {
+					entry.renditions = [];
+					for (const size of LOGO_RENDITION_SIZES) {
+						const rendition = await this.rasterizeLogo(renderPage, rendered, size);
+						if (!rendition) continue;
+						const id = uuidv4();
+						assets.push({
+							id,
+							kind: "logo-rendition",
+							name: `logo-${role}-${size}.png`,
+							contentType: "image/png",
+							data: rendition.data,
+							width: rendition.width,
+							height: rendition.height,
+						});
+						entry.renditions.push({ size, asset: id, width: rendition.width, height: rendition.height });
+					}
+				}
+			}
+		} catch (error) {
+			console.error("Logo assets failed:", error.message);
+		} finally {
+			await renderPage.close();
+		}
+
+		if (darkLogo?.url && darkLogo.url === logo.url) {
+			darkLogo.asset = logo.asset;
+		}
+
+		// a light logo for dark backgrounds and a dark one for light backgrounds
+		const candidates = sources.map((s) => s.entry).filter((entry) => entry.asset && entry.tone);
+		const light = candidates.find((entry) => entry.tone === "light");
+		const dark = candidates.find((entry) => entry.tone === "dark");
+		if (light && dark) {
+			logo.variants = {
+				light: { url: light.url, asset: light.asset },
+				dark: { url: dark.url, asset: dark.asset },
+			};
+		}
+
+		return assets;
+	}
+
+	// fetches a logo (or decodes an inline one) and checks it really is an image
+	async downloadAsset(url, referer, fetchResource) {
+		try {
+			let data;
+			let contentType;
+
+			if (url.startsWith("data:")) {
+				const header = url.slice(5, url.indexOf(","));
+				const body = url.slice(url.indexOf(",") + 1);
+				contentType = header.split(";")[0];
+				data = header.includes(";base64") ? Buffer.from(body, "base64") : Buffer.from(decodeURIComponent(body));
+			} else {
+				// a referer from the site itself gets past most hotlink protection
+				const response = await fetchResource(url, { headers: { Referer: referer }, timeout: 10000 });
+				if (!response.ok) return null;
+				contentType = (response.headers.get("content-type") || "").split(";")[0].trim();
+				data = Buffer.from(await response.arrayBuffer());
+			}
+
+			if (data.length === 0 || data.length > 5 * 1024 * 1024) return null;
+
+			// servers often send the wrong type, so the bytes decide
+			const head = data.subarray(0, 512).toString("latin1");
+			const formats = [
+				["svg", "image/svg+xml", /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg/i.test(head)],
+				["png", "image/png", head.startsWith("\x89PNG")],
+				["jpg", "image/jpeg", head.startsWith("\xff\xd8\xff")],
+				["gif", "image/gif", head.startsWith("GIF8")],
+				["webp", "image/webp", head.startsWith("RIFF") && head.slice(8, 12) === "WEBP"],
+				["avif", "image/avif", head.slice(4, 12) === "ftypavif"],
+				["ico", "image/x-icon", head.startsWith("\x00\x00\x01\x00")],
+			];
+			const match = formats.find(([, , test]) => test);
+			if (!match && !contentType.startsWith("image/")) return null;
+
+			// the sniffed formats name the file; other image types get a generic extension
+			const [format, type] = match || [IMAGE_EXTENSIONS[contentType] || "img", contentType];
+			return { data, contentType: type, format, extension: format };
+		} catch (e) {
+			return null;
+		}
+	}
+
+	// loads the logo into a blank page and samples its pixels (at most 128px across)
+	async renderLogo(renderPage, file) {
+		const src = `data:${file.contentType};base64,${file.data.toString("base64")}`;
+		await renderPage.setViewport({ width: 600, height: 600 });
+		await renderPage.setContent(`<img id="logo" src="${src}" style="display: block">`, {
+			waitUntil: "load",
+			timeout: 10000,
+		});
+
+		return await renderPage.evaluate(async () => {
+			const img = document.getElementById("logo");
+			await img.decode().catch(() => {});
+			if (!img.complete || (!img.naturalWidth && !img.width)) return null;
+
+			let width = img.naturalWidth;
+			let height = img.naturalHeight;
+			// SVGs with only a viewBox have no intrinsic size, so lay them out at a fixed width
+			if (!width || !height) {
+				img.style.width = "512px";
+				width = img.width;
+				height = img.height;
+			}
+			if (!width || !height) return null;
+
+			const scale = Math.min(1, 128 / Math.max(width, height));
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.max(1, Math.round(width * scale));
+			canvas.height = Math.max(1, Math.round(height * scale));
+			const context = canvas.getContext("2d");
+			context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+			try {
+				const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+				return { width, height, pixels: { width: canvas.width, height: canvas.height, data: Array.from(data) } };
+			} catch (e) {
+				// some SVGs (foreignObject) taint the canvas
+				return { width, height, pixels: null };
+			}
+		});
+	}
+
+	// screenshots the loaded logo at a given longest side with a transparent background
+	async rasterizeLogo(renderPage, rendered, size) {
+		const scale = size / Math.max(rendered.width, rendered.height);
+		const width = Math.max(1, Math.round(rendered.width * scale));
+		const height = Math.max(1, Math.round(rendered.height * scale));
+
+		await renderPage.evaluate(
+			(w, h) => {
+				const img = document.getElementById("logo");
+				img.style.width = `${w}px`;
+				img.style.height = `${h}px`;
+			},
+			width,
+			height,
+		);
+
+		const handle = await renderPage.$("#logo");
+		if (!handle) return null;
+		const data = await handle.screenshot({ type: "png", omitBackground: true });
+		await handle.dispose();
+
+		return { data: Buffer.from(data), width, height };
+	}
+
+	// light logos are made for dark backgrounds and the other way round
+	logoTone(pixels) {
+		let lightness = 0;
+		let weight = 0;
+		for (let i = 0; i < pixels.data.length; i += 4) {
+			const alpha = pixels.data[i + 3] / 255;
+			if (alpha < 0.5) continue;
+			const [l] = srgbToOklab([pixels.data[i] / 255, pixels.data[i + 1] / 255, pixels.data[i + 2] / 255]);
+			lightness += l * alpha;
+			weight += alpha;
+		}
+		if (weight === 0) return null;
+
+		const mean = lightness / weight;
+		if (mean >= 0.8) return "light";
+		if (mean <= 0.45) return "dark";
+		return "mixed";
+	}
+
+	// reads class names, custom properties, asset URLs, globals and icon markup,
+	// then scores them against known CSS frameworks, UI kits and icon sets
+	async extractFrameworks(page) {
+		const signals = await page.evaluate((globalNames) => {
+			const classes = new Set();
+			const attributes = new Set();
+			const slots = new Set();
+			const elements = Array.from(document.querySelectorAll("*")).slice(0, 5000);
+
+			elements.forEach((el) => {
+				el.classList.forEach((c) => classes.size < 5000 && classes.add(c));
+				Array.from(el.attributes).forEach((attr) => {
+					if (attr.name.startsWith("data-") && attributes.size < 500) attributes.add(attr.name);
+				});
+				const slot = el.getAttribute("data-slot");
+				if (slot && slots.size < 100) slots.add(slot);
+			});
+
+			// custom properties declared in readable stylesheets, nested rules included
+			const customProperties = new Set();
+			const walk = (rules) => {
+				Array.from(rules).forEach((rule) => {
+					if (rule.style) {
+						Array.from(rule.style).forEach((name) => {
+							if (name.startsWith("--") && customProperties.size < 2000) customProperties.add(name);
+						});
+					}
+					if (rule.cssRules) walk(rule.cssRules);
+				});
+			};
+			Array.from(document.styleSheets).forEach((sheet) => {
+				try {
+					walk(sheet.cssRules);
+				} catch (e) {
+					// cross-origin sheets can't be read
+				}
+			});
+			Array.from(document.documentElement.style).forEach((name) => {
+				if (name.startsWith("--")) customProperties.add(name);
+			});
+
+			const svgs = Array.from(document.querySelectorAll("svg"))
+				.slice(0, 300)
+				.map((svg) => ({
+					classes: Array.from(svg.classList),
+					viewBox: svg.getAttribute("viewBox"),
+					fill: svg.getAttribute("fill"),
+					stroke: svg.getAttribute("stroke"),
+					strokeWidth: svg.getAttribute("stroke-width"),
+					strokeLinecap: svg.getAttribute("stroke-linecap"),
+					slot: svg.getAttribute("data-slot"),
+				}));
+
+			const spriteRefs = Array.from(document.querySelectorAll("use"))
+				.map((use) => use.getAttribute("href") || use.getAttribute("xlink:href"))
+				.filter(Boolean)
+				.slice(0, 100);
+
+			// icon fonts show up as the first family of icon-like elements
+			const iconFonts = new Set();
+			Array.from(document.querySelectorAll('i, span[class*="icon"], span[class*="material"], span[class*="fa-"]'))
+				.slice(0, 300)
+				.forEach((el) => {
+					const family = window.getComputedStyle(el).fontFamily.split(",")[0].replace(/["']/g, "").trim();
+					if (family) iconFonts.add(family);
+				});
+
+			// preflight removes default borders and heading sizes
+			const probe = document.createElement("div");
+			const heading = document.createElement("h1");
+			probe.style.position = "absolute";
+			probe.style.visibility = "hidden";
+			probe.appendChild(heading);
+			document.body.appendChild(probe);
+			const probeStyle = window.getComputedStyle(probe);
+			const preflight = {
+				borderReset: probeStyle.borderStyle === "solid" && probeStyle.borderWidth === "0px",
+				headingReset: window.getComputedStyle(heading).fontSize === probeStyle.fontSize,
+			};
+			probe.remove();
+
+			const globals = {};
+			globalNames.forEach((name) => {
+				globals[name] = typeof window[name] !== "undefined";
+			});
+
+			return {
+				classes: Array.from(classes),
+				customProperties: Array.from(customProperties),
+				stylesheets: Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map((link) => link.href),
+				scripts: Array.from(document.scripts).map((script) => script.src).filter(Boolean),
+				attributes: Array.from(attributes),
+				slots: Array.from(slots),
+				svgs,
+				spriteRefs,
+				iconFonts: Array.from(iconFonts),
+				globals,
+				preflight,
+			};
+		}, FRAMEWORK_GLOBALS);
+
+		return detectFrameworks(signals);
+	}
+
 	async extractHeroContent(page) {
 		return await page.evaluate(() => {
 			// finds H1 or the largest heading in the hero area
@@ -749,7 +3705,190 @@ export class DesignScraper {
 		});
 	}
 
+	// scrolls through the page so lazy images and scroll-triggered content load,
+	// then captures it whole plus one crop per header, section and footer, each
+	// with a thumbnail. Returns { screenshots, assets }, or null if capture fails
+	async captureScreenshots(page) {
+		try {
+			await this.scrollForLazyContent(page);
+
+			const viewport = page.viewport();
+			const { height, sections } = await page.evaluate(
+				(minHeight, maxSections, maxHeight) => {
+					const kindOf = (el) => {
+						const role = el.getAttribute("role");
+						if (el.tagName === "HEADER" || role === "banner") return "header";
+						if (el.tagName === "FOOTER" || role === "contentinfo") return "footer";
+						return "section";
+					};
+					const labelOf = (el) =>
+						el.getAttribute("aria-label") ||
+						el.querySelector("h1, h2, h3")?.textContent.trim().replace(/\s+/g, " ").slice(0, 60) ||
+						el.id ||
+						null;
+
+					const boxes = Array.from(
+						document.querySelectorAll("header, section, footer, [role=banner], [role=region], [role=contentinfo]"),
+					)
+						.map((el) => {
+							const rect = el.getBoundingClientRect();
+							return { el, top: rect.top + window.scrollY, width: rect.width, height: rect.height };
+						})
+						.filter(
+							(box) => box.height >= minHeight && box.width >= window.innerWidth / 2 && box.top < maxHeight,
+						);
+
+					// outermost landmarks only, so nested sections aren't cropped twice
+					const outer = boxes.filter((box) => !boxes.some((other) => other !== box && other.el.contains(box.el)));
+
+					return {
+						height: Math.ceil(document.documentElement.scrollHeight),
+						sections: outer
+							.sort((a, b) => a.top - b.top)
+							.slice(0, maxSections)
+							.map((box) => {
+								const top = Math.max(0, Math.round(box.top));
+								return {
+									kind: kindOf(box.el),
+									label: labelOf(box.el),
+									top,
+									height: Math.round(Math.min(box.height, maxHeight - top)),
+								};
+							}),
+					};
+				},
+				MIN_SECTION_HEIGHT,
+				MAX_SECTIONS,
+				MAX_CAPTURE_HEIGHT,
+			);
+
+			const assets = [];
+			const pageHeight = Math.min(height, MAX_CAPTURE_HEIGHT);
+			// the page thumbnail shows what's above the fold
+			const pageCapture = await this.captureRegion(
+				page,
+				"page",
+				{ x: 0, y: 0, width: viewport.width, height: pageHeight },
+				{ x: 0, y: 0, width: viewport.width, height: Math.min(pageHeight, viewport.height) },
+			);
+			assets.push(pageCapture.image, pageCapture.thumbnail);
+
+			const screenshots = {
+				page: {
+					asset: pageCapture.image.id,
+					thumbnail: pageCapture.thumbnail.id,
+					width: viewport.width,
+					height: pageHeight,
+					truncated: height > MAX_CAPTURE_HEIGHT,
+				},
+				sections: [],
+			};
+
+			for (const [i, section] of sections.entries()) {
+				const capture = await this.captureRegion(page, `section-${i + 1}-${section.kind}`, {
+					x: 0,
+					y: section.top,
+					width: viewport.width,
+					height: section.height,
+				});
+				assets.push(capture.image, capture.thumbnail);
+				screenshots.sections.push({ ...section, asset: capture.image.id, thumbnail: capture.thumbnail.id });
+			}
+
+			return { screenshots, assets };
+		} catch (error) {
+			console.error("Screenshot capture failed:", error.message);
+			return null;
+		}
+	}
+
+	// the extraction's viewport screenshot (a data URL) as the page capture
+	viewportCapture(screenshot, viewport) {
+		const match = /^data:([^;,]+);base64,(.+)$/s.exec(screenshot || "");
+		if (!match) return null;
+
+		const image = {
+			id: uuidv4(),
+			kind: "screenshot",
+			name: "viewport.jpg",
+			contentType: match[1],
+			data: Buffer.from(match[2], "base64"),
+			width: viewport.width,
+			height: viewport.height,
+		};
+		return {
+			screenshots: {
+				// no page size, as this isn't a full-page capture
+				page: { asset: image.id },
+				sections: [],
+			},
+			assets: [image],
+		};
+	}
+
+	// steps down a viewport at a time, then waits for what the scroll requested
+	async scrollForLazyContent(page) {
+		await page
+			.evaluate(async (maxHeight) => {
+				const step = window.innerHeight;
+				for (let y = step; y < Math.min(document.documentElement.scrollHeight, maxHeight); y += step) {
+					window.scrollTo(0, y);
+					await new Promise((r) => setTimeout(r, 150));
+				}
+				window.scrollTo(0, 0);
+			}, MAX_CAPTURE_HEIGHT)
+			.catch(() => {});
+
+		await page.waitForNetworkIdle({ idleTime: 300, timeout: 3000 }).catch(() => {});
+		await page
+			.evaluate(() =>
+				Promise.race([
+					Promise.all(
+						Array.from(document.images)
+							.filter((img) => !img.complete)
+							.map((img) => img.decode().catch(() => {})),
+					),
+					new Promise((r) => setTimeout(r, 2000)),
+				]),
+			)
+			.catch(() => {});
+	}
+
+	// a JPEG of `clip` and a thumbnail of `thumbnailClip`, as scan assets
+	async captureRegion(page, name, clip, thumbnailClip = clip) {
+		const data = await page.screenshot({ type: "jpeg", quality: 80, clip, captureBeyondViewport: true });
+		const scale = Math.min(1, THUMBNAIL_WIDTH / thumbnailClip.width);
+		const thumbnail = await page.screenshot({
+			type: "jpeg",
+			quality: 70,
+			clip: { ...thumbnailClip, scale },
+			captureBeyondViewport: true,
+		});
+
+		return {
+			image: {
+				id: uuidv4(),
+				kind: "screenshot",
+				name: `${name}.jpg`,
+				contentType: "image/jpeg",
+				data: Buffer.from(data),
+				width: clip.width,
+				height: clip.height,
+			},
+			thumbnail: {
+				id: uuidv4(),
+				kind: "screenshot-thumbnail",
+				name: `${name}-thumbnail.jpg`,
+				contentType: "image/jpeg",
+				data: Buffer.from(thumbnail),
+				width: Math.round(thumbnailClip.width * scale),
+				height: Math.round(thumbnailClip.height * scale),
+			},
+		};
+	}
+
 	async takeScreenshot(page) {
+		const { width, height } = page.viewport();
 		const screenshot = await page.screenshot({
 			encoding: "base64",
 			type: "jpeg",
@@ -757,8 +3896,8 @@ export class DesignScraper {
 			clip: {
 				x: 0,
 				y: 0,
-				width: 1920,
-				height: 1080,
+				width,
+				height,
 			},
 		});
 		return `data:image/jpeg;base64,${screenshot}`;
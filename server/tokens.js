@@ -0,0 +1,484 @@
+// Design token export. Scans are turned into one token tree in the Design Tokens
+// Community Group format (DTCG, `$type` / `$value`), and every export format is
+// rendered from that tree so names stay the same across formats.
+
+import { parseColor, srgbToOklab } from "./colors.js";
+import { isGenericFamily, parseFontStack } from "./fonts.js";
+
+const slug = (value) =>
+	String(value)
+		.toLowerCase()
+		.replace(/^--/, "")
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "");
+
+const token = (type, value, extra = {}) => ({ $type: type, $value: value, ...extra });
+
+// the stack a family was used with, or the family plus a generic fallback
+const fontStack = (role) => {
+	if (!role?.family || role.family === "System Default") return ["system-ui", "sans-serif"];
+	const stack = parseFontStack(role.stack);
+	if (stack.length > 0) return stack;
+	return [role.family, "sans-serif"];
+};
+
+/**
+ * Builds the DTCG token tree for a scan result.
+ */
+export function buildTokens(scan) {
+	const tokens = {};
+	const { colors, typography, spacing, surfaces, motion } = scan;
+
+	if (colors) {
+		tokens.color = {};
+		["primary", "secondary", "accent", "background", "text"].forEach((role) => {
+			if (colors[role]) tokens.color[role] = token("color", colors[role]);
+		});
+
+		// authored names when the site has them, otherwise their rank in the palette
+		const palette = {};
+		(colors.palette || []).forEach((entry, i) => {
+			let name = entry.name ? slug(entry.name) : String(i + 1);
+			if (palette[name]) name = `${name}-${i + 1}`;
+			palette[name] = token("color", entry.color, entry.original ? { $description: entry.original } : {});
+		});
+		if (Object.keys(palette).length > 0) tokens.color.palette = palette;
+	}
+
+	if (typography) {
+		tokens.font = {
+			heading: token("fontFamily", fontStack(typography.heading)),
+			body: token("fontFamily", fontStack(typography.body)),
+		};
+
+		// text styles point at the family tokens when they use the heading or body font
+		const familyRef = (family) => {
+			if (family === typography.heading?.family) return "{font.heading}";
+			if (family === typography.body?.family) return "{font.body}";
+			return isGenericFamily(family) ? [family] : [family, "sans-serif"];
+		};
+
+		const styles = typography.scale?.styles || [];
+		if (styles.length > 0) {
+			tokens.typography = {};
+			styles.forEach((style) => {
+				const extensions =
+					style.textTransform && style.textTransform !== "none" ?
+						{ $extensions: { "desint.textTransform": style.textTransform } }
+					:	{};
+				tokens.typography[style.name] = token(
+					"typography",
+					{
+						fontFamily: familyRef(style.family),
+						fontSize: `${style.size}px`,
+						fontWeight: style.weight,
+						lineHeight: style.lineHeight,
+						letterSpacing: `${style.letterSpacing}em`,
+					},
+					extensions,
+				);
+			});
+		}
+	}
+
+	if (spacing?.scale?.length) {
+		tokens.spacing = {};
+		spacing.scale.forEach((step) => {
+			tokens.spacing[step.name.replace(/^space-/, "")] = token("dimension", `${step.value}px`);
+		});
+	}
+
+	if (surfaces?.radius?.length) {
+		tokens.radius = {};
+		surfaces.radius.forEach((step) => {
+			tokens.radius[step.name.replace(/^radius\./, "")] = token("dimension", step.value);
+		});
+	}
+
+	if (surfaces?.shadow?.length) {
+		tokens.shadow = {};
+		surfaces.shadow.forEach((step) => {
+			tokens.shadow[step.name.replace(/^shadow\./, "")] = token("shadow", step.value);
+		});
+	}
+
+	if (motion?.duration?.length) {
+		tokens.duration = {};
+		motion.duration.forEach((step) => {
+			tokens.duration[step.name.replace(/^duration\./, "")] = token("duration", step.value);
+		});
+	}
+
+	// steps() and linear() stops have no DTCG type, so only curves become tokens
+	const curves = (motion?.easing || []).filter((step) => step.curve);
+	if (curves.length > 0) {
+		tokens.easing = {};
+		curves.forEach((step) => {
+			tokens.easing[step.name.replace(/^easing\./, "")] = token(
+				"cubicBezier",
+				step.curve,
+				step.keyword ? { $description: step.keyword } : {},
+			);
+		});
+	}
+
+	return tokens;
+}
+
+// visits every token with its path, e.g. ["color", "palette", "brand-500"]
+const walk = (tree, visit, path = []) => {
+	Object.entries(tree).forEach(([key, node]) => {
+		if (key.startsWith("$")) return;
+		if (node && typeof node === "object" && "$value" in node) visit([...path, key], node);
+		else if (node && typeof node === "object") walk(node, visit, [...path, key]);
+	});
+};
+
+// CSS custom properties use the token path, with short prefixes for common groups
+const CSS_PREFIXES = { spacing: "space", typography: "text" };
+const cssName = (path) => `--${[CSS_PREFIXES[path[0]] || path[0], ...path.slice(1)].map(slug).join("-")}`;
+
+// references render as var(--name) in CSS; other formats pass their own
+const cssValue = (value, reference = (name) => `var(${name})`) => {
+	if (typeof value === "string" && /^{.+}$/.test(value)) {
+		return reference(cssName(value.slice(1, -1).split(".")));
+	}
+	if (Array.isArray(value)) {
+		// font stacks: quote names that contain spaces
+		const quote = (family) => (isGenericFamily(family) || !/\s/.test(family) ? family : `"${family}"`);
+		return value.map(quote).join(", ");
+	}
+	return String(value);
+};
+
+// a token's CSS value; curves are arrays in DTCG but cubic-bezier() in CSS
+const tokenValue = (node, reference) =>
+	node.$type === "cubicBezier" ? `cubic-bezier(${node.$value.join(", ")})` : cssValue(node.$value, reference);
+
+const typographyProperties = (node) => ({
+	"font-family": node.$value.fontFamily,
+	"font-size": node.$value.fontSize,
+	"font-weight": node.$value.fontWeight,
+	"line-height": node.$value.lineHeight,
+	"letter-spacing": node.$value.letterSpacing,
+});
+
+// follows a "{font.heading}" reference to the token's value
+const resolve = (tokens, value) => {
+	if (typeof value !== "string" || !/^{.+}$/.test(value)) return value;
+	const node = value
+		.slice(1, -1)
+		.split(".")
+		.reduce((tree, key) => tree?.[key], tokens);
+	return node ? resolve(tokens, node.$value) : value;
+};
+
+// the middle radius step is the one components use by default
+const defaultRadius = (tokens) => {
+	const steps = Object.entries(tokens.radius || {}).filter(([name]) => name !== "full");
+	if (steps.length === 0) return null;
+	return (tokens.radius.md || steps[Math.floor((steps.length - 1) / 2)][1]).$value;
+};
+
+/**
+ * Renders tokens as CSS custom properties plus one class per text style. Durations
+ * drop to 0ms under prefers-reduced-motion when the site does the same.
+ */
+export function toCss(tokens, scan) {
+	const variables = [];
+	const classes = [];
+
+	walk(tokens, (path, node) => {
+		if (node.$type !== "typography") {
+			variables.push(`  ${cssName(path)}: ${tokenValue(node)};`);
+			return;
+		}
+
+		// text styles become one variable per property and a class that applies them
+		const name = cssName(path);
+		const rules = Object.entries(typographyProperties(node)).map(([property, value]) => {
+			const variable = `${name}-${property.replace(/^font-/, "")}`;
+			variables.push(`  ${variable}: ${cssValue(value)};`);
+			return `  ${property}: var(${variable});`;
+		});
+		const transform = node.$extensions?.["desint.textTransform"];
+		if (transform) rules.push(`  text-transform: ${transform};`);
+		classes.push(`.${name.slice(2)} {\n${rules.join("\n")}\n}`);
+	});
+
+	const blocks = [`:root {\n${variables.join("\n")}\n}`, ...classes];
+	if (tokens.duration && ["full", "partial"].includes(scan?.motion?.reducedMotion?.honored)) {
+		const reduced = Object.keys(tokens.duration).map((key) => `    ${cssName(["duration", key])}: 0ms;`);
+		blocks.push(`@media (prefers-reduced-motion: reduce) {\n  :root {\n${reduced.join("\n")}\n  }\n}`);
+	}
+	return blocks.join("\n\n") + "\n";
+}
+
+const mapValues = (tree) => Object.fromEntries(Object.entries(tree).map(([key, node]) => [key, node.$value]));
+
+/**
+ * Renders tokens as a Tailwind config that extends the default theme.
+ */
+export function toTailwind(tokens) {
+	const extend = {};
+
+	if (tokens.color) {
+		extend.colors = {};
+		Object.entries(tokens.color).forEach(([key, node]) => {
+			extend.colors[key] = key === "palette" ? mapValues(node) : node.$value;
+		});
+	}
+	if (tokens.font) {
+		extend.fontFamily = mapValues(tokens.font);
+	}
+	if (tokens.typography) {
+		// Tailwind's [size, { lineHeight, letterSpacing, fontWeight }] tuple
+		extend.fontSize = {};
+		Object.entries(tokens.typography).forEach(([key, node]) => {
+			extend.fontSize[key] = [
+				node.$value.fontSize,
+				{
+					lineHeight: String(node.$value.lineHeight),
+					letterSpacing: node.$value.letterSpacing,
+					fontWeight: String(node.$value.fontWeight),
+				},
+			];
+		});
+	}
+	if (tokens.spacing) extend.spacing = mapValues(tokens.spacing);
+	if (tokens.radius) extend.borderRadius = mapValues(tokens.radius);
+	if (tokens.shadow) extend.boxShadow = mapValues(tokens.shadow);
+	if (tokens.duration) extend.transitionDuration = mapValues(tokens.duration);
+	if (tokens.easing) {
+		extend.transitionTimingFunction = Object.fromEntries(
+			Object.entries(tokens.easing).map(([key, node]) => [key, tokenValue(node)]),
+		);
+	}
+
+	const config = { theme: { extend } };
+	return `/** @type {import("tailwindcss").Config} */\nexport default ${JSON.stringify(config, null, 2)};\n`;
+}
+
+// Bootstrap's own variable names for the roles it themes
+const BOOTSTRAP_VARIABLES = {
+	primary: (tokens) => tokens.color?.primary,
+	secondary: (tokens) => tokens.color?.secondary,
+	info: (tokens) => tokens.color?.accent,
+	"body-bg": (tokens) => tokens.color?.background,
+	"body-color": (tokens) => tokens.color?.text,
+	"font-family-sans-serif": (tokens) => tokens.font?.body,
+	"headings-font-family": (tokens) => tokens.font?.heading,
+};
+
+/**
+ * Renders tokens as Sass variables, led by Bootstrap overrides so the file can be
+ * imported before Bootstrap.
+ */
+export function toScss(tokens) {
+	const reference = (name) => `$${name.slice(2)}`;
+	const overrides = [];
+	Object.entries(BOOTSTRAP_VARIABLES).forEach(([name, pick]) => {
+		const node = pick(tokens);
+		if (node) overrides.push(`$${name}: ${cssValue(node.$value)};`);
+	});
+	const radius = defaultRadius(tokens);
+	if (radius) overrides.push(`$border-radius: ${radius};`);
+
+	const variables = [];
+	walk(tokens, (path, node) => {
+		const name = reference(cssName(path));
+		if (node.$type !== "typography") {
+			variables.push(`${name}: ${tokenValue(node, reference)};`);
+			return;
+		}
+		Object.entries(typographyProperties(node)).forEach(([property, value]) => {
+			variables.push(`${name}-${property.replace(/^font-/, "")}: ${cssValue(value, reference)};`);
+		});
+	});
+
+	return [
+		"// Bootstrap overrides: import before bootstrap/scss/bootstrap",
+		...overrides,
+		"",
+		"// Tokens",
+		...variables,
+	].join("\n") + "\n";
+}
+
+// scale names in the scan mapped to MUI typography variants
+const MUI_VARIANTS = { h1: "h1", h2: "h2", h3: "h3", h4: "h4", h5: "h5", h6: "h6", body: "body1", small: "body2", caption: "caption" };
+
+// duration steps and curve shapes mapped to MUI's transition keys
+const MUI_DURATIONS = { fast: "short", normal: "standard", slow: "complex" };
+const MUI_EASINGS = { "in-out": "easeInOut", out: "easeOut", in: "easeIn" };
+
+/**
+ * Renders tokens as a Material UI createTheme() call.
+ */
+export function toMui(tokens, scan) {
+	const options = { palette: {} };
+	const color = (role) => tokens.color?.[role]?.$value;
+
+	if (color("primary")) options.palette.primary = { main: color("primary") };
+	if (color("secondary")) options.palette.secondary = { main: color("secondary") };
+	if (color("accent")) options.palette.info = { main: color("accent") };
+	if (color("background")) options.palette.background = { default: color("background") };
+	if (color("text")) options.palette.text = { primary: color("text") };
+
+	const stack = (value) => cssValue(resolve(tokens, value));
+	options.typography = {};
+	if (tokens.font?.body) options.typography.fontFamily = stack(tokens.font.body.$value);
+	Object.entries(tokens.typography || {}).forEach(([key, node]) => {
+		if (!MUI_VARIANTS[key]) return;
+		const variant = {
+			fontFamily: stack(node.$value.fontFamily),
+			fontSize: node.$value.fontSize,
+			fontWeight: node.$value.fontWeight,
+			lineHeight: node.$value.lineHeight,
+			letterSpacing: node.$value.letterSpacing,
+		};
+		const transform = node.$extensions?.["desint.textTransform"];
+		if (transform) variant.textTransform = transform;
+		options.typography[MUI_VARIANTS[key]] = variant;
+	});
+
+	const radius = parseFloat(defaultRadius(tokens));
+	if (radius) options.shape = { borderRadius: radius };
+	// MUI spacing is a multiplier of one base unit
+	if (scan?.spacing?.baseUnit) options.spacing = scan.spacing.baseUnit;
+
+	// MUI durations are milliseconds and easings are named by shape
+	const transitions = {};
+	Object.entries(tokens.duration || {}).forEach(([key, node]) => {
+		if (MUI_DURATIONS[key]) (transitions.duration ??= {})[MUI_DURATIONS[key]] = parseFloat(node.$value);
+	});
+	(scan?.motion?.easing || [])
+		.filter((step) => step.curve && MUI_EASINGS[step.shape])
+		.forEach((step) => {
+			transitions.easing ??= {};
+			transitions.easing[MUI_EASINGS[step.shape]] ??= `cubic-bezier(${step.curve.join(", ")})`;
+		});
+	if (Object.keys(transitions).length > 0) options.transitions = transitions;
+
+	return `import { createTheme } from "@mui/material/styles";\n\nexport const theme = createTheme(${JSON.stringify(options, null, 2)});\n`;
+}
+
+const toOklch = (hex) => {
+	const parsed = parseColor(hex);
+	if (!parsed) return hex;
+	const [l, a, b] = srgbToOklab(parsed.rgb);
+	const chroma = Math.sqrt(a ** 2 + b ** 2);
+	const hue = chroma < 0.0001 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+	return `oklch(${l.toFixed(3)} ${chroma.toFixed(3)} ${hue.toFixed(1)})`;
+};
+
+// shadcn's own near-black and near-white foregrounds
+const foreground = (hex) => {
+	const parsed = parseColor(hex);
+	return parsed && srgbToOklab(parsed.rgb)[0] > 0.6 ? "oklch(0.145 0 0)" : "oklch(0.985 0 0)";
+};
+
+const shadcnBlock = (selector, colors, radius) => {
+	const lines = [];
+	if (radius) lines.push(`  --radius: ${radius};`);
+	if (colors.background) lines.push(`  --background: ${toOklch(colors.background)};`);
+	if (colors.text) lines.push(`  --foreground: ${toOklch(colors.text)};`);
+	["primary", "secondary", "accent"].forEach((role) => {
+		if (!colors[role]) return;
+		lines.push(`  --${role}: ${toOklch(colors[role])};`);
+		lines.push(`  --${role}-foreground: ${foreground(colors[role])};`);
+	});
+	if (colors.primary) lines.push(`  --ring: ${toOklch(colors.primary)};`);
+	return `${selector} {\n${lines.join("\n")}\n}`;
+};
+
+/**
+ * Renders shadcn/ui theme variables in OKLCH, with a .dark block when the scan
+ * has a dark mode.
+ */
+export function toShadcn(tokens, scan) {
+	const colors = {};
+	["primary", "secondary", "accent", "background", "text"].forEach((role) => {
+		if (tokens.color?.[role]) colors[role] = tokens.color[role].$value;
+	});
+
+	const blocks = [shadcnBlock(":root", colors, defaultRadius(tokens))];
+	if (scan?.darkMode?.colors) blocks.push(shadcnBlock(".dark", scan.darkMode.colors, null));
+	return blocks.join("\n\n") + "\n";
+}
+
+// export formats: content type, file extension and renderer
+export const TOKEN_FORMATS = {
+	json: {
+		contentType: "application/json",
+		extension: "tokens.json",
+		render: (tokens) => JSON.stringify(tokens, null, 2),
+	},
+	css: {
+		contentType: "text/css",
+		extension: "tokens.css",
+		render: toCss,
+	},
+	tailwind: {
+		contentType: "text/javascript",
+		extension: "tailwind.config.js",
+		render: toTailwind,
+	},
+	scss: {
+		contentType: "text/x-scss",
+		extension: "tokens.scss",
+		render: toScss,
+	},
+	mui: {
+		contentType: "text/javascript",
+		extension: "theme.js",
+		render: toMui,
+	},
+	shadcn: {
+		contentType: "text/css",
+		extension: "shadcn.css",
+		render: toShadcn,
+	},
+};
+
+// the export that fits each detected framework, and how it's used there
+const FRAMEWORK_FORMATS = {
+	tailwind: { format: "tailwind", usage: "theme.extend for tailwind.config.js" },
+	bootstrap: { format: "scss", usage: "Sass overrides to import before Bootstrap" },
+	mui: { format: "mui", usage: "createTheme() options" },
+	shadcn: { format: "shadcn", usage: "theme variables for globals.css" },
+	chakra: { format: "json", usage: "tokens for defineConfig({ theme: { tokens } })" },
+};
+
+/**
+ * Export formats suggested by the frameworks a scan detected, most confident first.
+ * Returns [{ format, framework, confidence, usage }].
+ */
+export function tokenHints(frameworks = []) {
+	const hints = [];
+	frameworks.forEach((framework) => {
+		const match = FRAMEWORK_FORMATS[framework.id];
+		if (!match || hints.some((hint) => hint.format === match.format)) return;
+		hints.push({ format: match.format, framework: framework.name, confidence: framework.confidence, usage: match.usage });
+	});
+	return hints;
+}
+
+/**
+ * Renders a scan's tokens in one of TOKEN_FORMATS.
+ * Throws an Error with a user-facing message for unknown formats.
+ */
+export function exportTokens(scan, format = "json") {
+	const exporter = Object.hasOwn(TOKEN_FORMATS, format) ? TOKEN_FORMATS[format] : null;
+	if (!exporter) {
+		throw new Error(`Unknown token format: ${format}. Use one of ${Object.keys(TOKEN_FORMATS).join(", ")}`);
+	}
+
+	return {
+		content: exporter.render(buildTokens(scan), scan),
+		contentType: exporter.contentType,
+		extension: exporter.extension,
+	};
+}
+
+export default exportTokens;
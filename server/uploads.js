@@ -0,0 +1,436 @@
+// Offline scans. An uploaded HTML file, MHTML or WARC snapshot, or zipped static
+// build is unpacked in memory and served from a loopback-only HTTP server for
+// the length of the scan. Snapshots keep their original URLs: resources from the
+// page's own origin are served by path, and the scraper answers requests for
+// other archived origins from `remote`.
+
+import http from "http";
+import zlib from "zlib";
+import yauzl from "yauzl";
+
+export const UPLOAD_FORMATS = ["html", "mhtml", "warc", "zip"];
+
+// upper bounds for the upload itself and what it may unpack to
+const MAX_UPLOAD_BYTES = 40 * 1024 * 1024;
+const MAX_FILES = 5000;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+	html: "text/html; charset=utf-8",
+	htm: "text/html; charset=utf-8",
+	css: "text/css; charset=utf-8",
+	js: "text/javascript; charset=utf-8",
+	mjs: "text/javascript; charset=utf-8",
+	json: "application/json",
+	map: "application/json",
+	webmanifest: "application/manifest+json",
+	svg: "image/svg+xml",
+	png: "image/png",
+	jpg: "image/jpeg",
+	jpeg: "image/jpeg",
+	gif: "image/gif",
+	webp: "image/webp",
+	avif: "image/avif",
+	ico: "image/x-icon",
+	woff: "font/woff",
+	woff2: "font/woff2",
+	ttf: "font/ttf",
+	otf: "font/otf",
+	eot: "application/vnd.ms-fontobject",
+	mp4: "video/mp4",
+	webm: "video/webm",
+	txt: "text/plain; charset=utf-8",
+	xml: "application/xml",
+	wasm: "application/wasm",
+};
+
+const contentTypeFor = (path) => CONTENT_TYPES[path.split(".").pop().toLowerCase()] || "application/octet-stream";
+
+/**
+ * Validates body.source ({ type: "upload", filename, data }) where data is the
+ * file as base64. Returns { filename, size, buffer }.
+ * Throws an Error with a user-facing message when the source is invalid.
+ */
+export function decodeUploadSource(source) {
+	if (!source || source.type !== "upload") {
+		throw new Error('source.type must be "upload"');
+	}
+	if (typeof source.filename !== "string" || !source.filename.trim() || source.filename.length > 255) {
+		throw new Error("source.filename is required");
+	}
+	if (typeof source.data !== "string" || !source.data) {
+		throw new Error("source.data must be the file as base64");
+	}
+
+	// tolerates data: URLs as produced by FileReader
+	const buffer = Buffer.from(source.data.replace(/^data:[^,]*,/, ""), "base64");
+	if (buffer.length === 0) {
+		throw new Error("source.data is empty");
+	}
+	if (buffer.length > MAX_UPLOAD_BYTES) {
+		throw new Error(`Uploads are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`);
+	}
+
+	return { filename: source.filename.trim().split(/[\\/]/).pop(), size: buffer.length, buffer };
+}
+
+/**
+ * Picks the upload format from the file name, or from its first bytes.
+ */
+export function detectFormat(filename, buffer) {
+	const name = filename.toLowerCase();
+	if (/\.html?$/.test(name)) return "html";
+	if (/\.mht(ml)?$/.test(name)) return "mhtml";
+	if (/\.warc(\.gz)?$/.test(name)) return "warc";
+	if (name.endsWith(".zip")) return "zip";
+
+	const head = buffer.subarray(0, 512).toString("latin1");
+	if (head.startsWith("PK\x03\x04")) return "zip";
+	if (head.startsWith("WARC/") || head.startsWith("\x1f\x8b")) return "warc";
+	if (/^(?:From:|MIME-Version:|Content-Type:\s*multipart\/related)/im.test(head)) return "mhtml";
+	if (/^\s*</.test(head)) return "html";
+	return null;
+}
+
+/**
+ * Unpacks an upload into a site: { format, entry, origin, files, remote }.
+ * `files` maps local paths and `remote` maps absolute URLs to { contentType, body }.
+ * Throws an Error with a user-facing message when the upload can't be read.
+ */
+export async function parseUpload(filename, buffer) {
+	const format = detectFormat(filename, buffer);
+	if (!format) {
+		throw new Error(`Unsupported upload: ${filename}. Use one of ${UPLOAD_FORMATS.join(", ")}`);
+	}
+
+	switch (format) {
+		case "html":
+			return {
+				format,
+				entry: "/index.html",
+				origin: null,
+				files: new Map([["/index.html", { contentType: CONTENT_TYPES.html, body: buffer }]]),
+				remote: new Map(),
+			};
+		case "zip":
+			return { format, ...(await readZip(buffer)) };
+		case "mhtml":
+			return { format, ...archiveSite(parseMhtml(buffer), "MHTML") };
+		default:
+			return { format, ...archiveSite(parseWarc(buffer), "WARC") };
+	}
+}
+
+function readZip(buffer) {
+	return new Promise((resolve, reject) => {
+		yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+			if (error) return reject(new Error("The zip file could not be read"));
+
+			const files = new Map();
+			let unpacked = 0;
+
+			zip.on("error", () => reject(new Error("The zip file could not be read")));
+			zip.on("entry", (entry) => {
+				if (entry.fileName.endsWith("/")) return zip.readEntry();
+
+				unpacked += entry.uncompressedSize;
+				if (files.size >= MAX_FILES || unpacked > MAX_UNPACKED_BYTES) {
+					zip.close();
+					return reject(new Error("The zip file is too large to scan"));
+				}
+
+				zip.openReadStream(entry, (streamError, stream) => {
+					if (streamError) return reject(new Error(`Could not unpack ${entry.fileName}`));
+					const chunks = [];
+					stream.on("data", (chunk) => chunks.push(chunk));
+					stream.on("error", () => reject(new Error(`Could not unpack ${entry.fileName}`)));
+					stream.on("end", () => {
+						files.set(`/${entry.fileName}`, { contentType: contentTypeFor(entry.fileName), body: Buffer.concat(chunks) });
+						zip.readEntry();
+					});
+				});
+			});
+			zip.on("end", () => {
+				try {
+					resolve(zipSite(files));
+				} catch (e) {
+					reject(e);
+				}
+			});
+			zip.readEntry();
+		});
+	});
+}
+
+// builds are often zipped with their folder (dist/index.html), so a single
+// top-level folder is served as the root
+function zipSite(files) {
+	let paths = Array.from(files.keys()).filter((path) => !path.startsWith("/__MACOSX/"));
+	const top = paths[0]?.split("/")[1];
+	if (!files.has("/index.html") && top && paths.every((path) => path.startsWith(`/${top}/`))) {
+		paths = paths.map((path) => path.slice(top.length + 1));
+		const stripped = new Map(paths.map((path) => [path, files.get(`/${top}${path}`)]));
+		files.clear();
+		stripped.forEach((file, path) => files.set(path, file));
+	}
+
+	// the root index, or the shallowest HTML page
+	const entry =
+		files.has("/index.html") ? "/index.html" : (
+			paths.filter((path) => /\.html?$/i.test(path)).sort((a, b) => a.split("/").length - b.split("/").length)[0]
+		);
+	if (!entry) {
+		throw new Error("The zip file has no HTML page");
+	}
+
+	return { entry, origin: null, files, remote: new Map() };
+}
+
+// MIME headers, including folded continuation lines, with lowercase names
+function parseHeaders(lines) {
+	const headers = {};
+	let last = null;
+	lines.forEach((line) => {
+		if (/^\s/.test(line) && last) {
+			headers[last] += ` ${line.trim()}`;
+			return;
+		}
+		const index = line.indexOf(":");
+		if (index === -1) return;
+		last = line.slice(0, index).trim().toLowerCase();
+		headers[last] = line.slice(index + 1).trim();
+	});
+	return headers;
+}
+
+const decodeQuotedPrintable = (text) =>
+	Buffer.from(
+		text.replace(/=\r?\n/g, "").replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+		"latin1",
+	);
+
+/**
+ * Splits an MHTML snapshot into [{ url, contentType, body }], the page first.
+ */
+export function parseMhtml(buffer) {
+	// latin1 keeps every byte as one character, so binary parts survive the split
+	const text = buffer.toString("latin1");
+	const headerEnd = text.search(/\r?\n\r?\n/);
+	const headers = parseHeaders(text.slice(0, headerEnd).split(/\r?\n/));
+	const boundary = /boundary="?([^";\r\n]+)"?/i.exec(headers["content-type"] || "")?.[1];
+	if (!boundary) {
+		throw new Error("The MHTML file has no multipart boundary");
+	}
+
+	const parts = [];
+	text
+		.slice(headerEnd)
+		.split(`--${boundary}`)
+		.slice(1)
+		.forEach((raw) => {
+			if (raw.startsWith("--")) return;
+			const body = raw.replace(/^\r?\n/, "");
+			const split = body.search(/\r?\n\r?\n/);
+			if (split === -1) return;
+
+			const partHeaders = parseHeaders(body.slice(0, split).split(/\r?\n/));
+			const content = body.slice(split).replace(/^\r?\n\r?\n/, "").replace(/\r?\n$/, "");
+			const encoding = (partHeaders["content-transfer-encoding"] || "").toLowerCase();
+
+			parts.push({
+				url: partHeaders["content-location"] || null,
+				contentType: partHeaders["content-type"] || "application/octet-stream",
+				body:
+					encoding === "base64" ? Buffer.from(content.replace(/\s+/g, ""), "base64")
+					: encoding === "quoted-printable" ? decodeQuotedPrintable(content)
+					: Buffer.from(content, "latin1"),
+			});
+		});
+
+	return parts;
+}
+
+/**
+ * Reads the HTTP responses in a WARC (optionally gzipped) as [{ url, contentType, body }].
+ */
+export function parseWarc(buffer) {
+	let data = buffer;
+	if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+		try {
+			data = zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_BYTES });
+		} catch (e) {
+			throw new Error("The WARC file could not be decompressed");
+		}
+	}
+
+	const records = [];
+	let offset = 0;
+	while (offset < data.length && records.length < MAX_FILES) {
+		const headerEnd = data.indexOf("\r\n\r\n", offset);
+		if (headerEnd === -1) break;
+
+		// the first line is the WARC version
+		const headers = parseHeaders(data.toString("latin1", offset, headerEnd).split("\r\n").slice(1));
+		const length = Number(headers["content-length"]) || 0;
+		const block = data.subarray(headerEnd + 4, headerEnd + 4 + length);
+		offset = headerEnd + 4 + length;
+		while (data[offset] === 0x0d || data[offset] === 0x0a) offset++;
+
+		if (headers["warc-type"] !== "response" || !/^application\/http/i.test(headers["content-type"] || "")) continue;
+		const response = parseHttpResponse(block);
+		if (response) records.push({ url: (headers["warc-target-uri"] || "").replace(/^<|>$/g, ""), ...response });
+	}
+
+	return records;
+}
+
+// a raw HTTP response as archived: status line, headers, then a body that may
+// still be chunked and compressed
+function parseHttpResponse(block) {
+	const headEnd = block.indexOf("\r\n\r\n");
+	if (headEnd === -1) return null;
+
+	const [statusLine, ...lines] = block.toString("latin1", 0, headEnd).split("\r\n");
+	const status = Number(statusLine.split(" ")[1]);
+	if (!(status >= 200 && status < 300)) return null;
+
+	const headers = parseHeaders(lines);
+	let body = block.subarray(headEnd + 4);
+
+	if (/chunked/i.test(headers["transfer-encoding"] || "")) {
+		const chunks = [];
+		let position = 0;
+		while (position < body.length) {
+			const lineEnd = body.indexOf("\r\n", position);
+			if (lineEnd === -1) break;
+			const size = parseInt(body.toString("latin1", position, lineEnd), 16);
+			if (!size) break;
+			chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+			position = lineEnd + 2 + size + 2;
+		}
+		body = Buffer.concat(chunks);
+	}
+
+	try {
+		const encoding = (headers["content-encoding"] || "").toLowerCase();
+		const limit = { maxOutputLength: MAX_UNPACKED_BYTES };
+		if (encoding === "gzip") body = zlib.gunzipSync(body, limit);
+		else if (encoding === "deflate") body = zlib.inflateSync(body, limit);
+		else if (encoding === "br") body = zlib.brotliDecompressSync(body, limit);
+	} catch (e) {
+		return null;
+	}
+
+	return { contentType: headers["content-type"] || "application/octet-stream", body };
+}
+
+// snapshot resources keyed by URL; the page's own origin is mirrored on the
+// local server so its relative links keep working
+function archiveSite(resources, label) {
+	const page = resources.find((resource) => /text\/html/i.test(resource.contentType));
+	if (!page) {
+		throw new Error(`The ${label} file has no HTML page`);
+	}
+
+	let origin = null;
+	let entry = "/index.html";
+	try {
+		const url = new URL(page.url);
+		if (["http:", "https:"].includes(url.protocol)) {
+			origin = url.origin;
+			entry = url.pathname.endsWith("/") ? `${url.pathname}index.html` : url.pathname;
+		}
+	} catch (e) {
+		// pages saved without a location are served as the root
+	}
+
+	const files = new Map([[entry, { contentType: page.contentType, body: page.body }]]);
+	const remote = new Map();
+	resources.forEach((resource) => {
+		if (resource === page || !resource.url) return;
+		let url;
+		try {
+			url = new URL(resource.url);
+		} catch (e) {
+			return;
+		}
+		url.hash = "";
+		const file = { contentType: resource.contentType, body: resource.body };
+		if (url.origin === origin && !files.has(url.pathname)) files.set(url.pathname, file);
+		else if (!remote.has(url.href)) remote.set(url.href, file);
+	});
+
+	return { entry, origin, files, remote };
+}
+
+/**
+ * Looks up the snapshot file behind an absolute URL. Paths on the local server
+ * and on the archived origin come from `files`, other URLs from `remote`.
+ */
+export function siteFile(site, localOrigin, href) {
+	let url;
+	let pathname;
+	try {
+		url = new URL(href);
+		pathname = decodeURIComponent(url.pathname);
+	} catch (e) {
+		return null;
+	}
+	url.hash = "";
+
+	if (url.origin === localOrigin || url.origin === site.origin) {
+		return site.files.get(pathname) || site.files.get(`${pathname.replace(/\/$/, "")}/index.html`) || null;
+	}
+	return site.remote.get(url.href) || null;
+}
+
+/**
+ * Serves a site's files on 127.0.0.1 at a random port. Resolves to
+ * { origin, close }; close() also drops the browser's keep-alive connections.
+ */
+export function serveSite(site) {
+	const server = http.createServer((req, res) => {
+		if (req.method !== "GET" && req.method !== "HEAD") {
+			res.writeHead(405).end();
+			return;
+		}
+
+		let pathname;
+		try {
+			pathname = decodeURIComponent(new URL(req.url, "http://127.0.0.1").pathname);
+		} catch (e) {
+			res.writeHead(400).end();
+			return;
+		}
+
+		const file = site.files.get(pathname) || site.files.get(`${pathname.replace(/\/$/, "")}/index.html`);
+		if (!file) {
+			res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+			return;
+		}
+
+		res.writeHead(200, {
+			"Content-Type": file.contentType,
+			"Content-Length": file.body.length,
+			"Cache-Control": "no-store",
+			"X-Content-Type-Options": "nosniff",
+		});
+		res.end(req.method === "HEAD" ? undefined : file.body);
+	});
+
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(0, "127.0.0.1", () => {
+			resolve({
+				origin: `http://127.0.0.1:${server.address().port}`,
+				close: () =>
+					new Promise((done) => {
+						server.closeAllConnections();
+						server.close(() => done());
+					}),
+			});
+		});
+	});
+}
+
+export default parseUpload;
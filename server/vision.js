@@ -0,0 +1,162 @@
+// Color vision deficiency simulation. Role colors and the palette are run
+// through the Machado et al. (2009) matrices at full severity (plus a luminance
+// matrix for achromatopsia), and role pairs that were distinct but collapse
+// under a simulation are reported as confusable.
+
+import { colorDistance } from "./colors.js";
+
+// 3x3 matrices in linear RGB, the space SVG's feColorMatrix works in by default
+export const CVD_SIMULATIONS = [
+	{
+		id: "protanopia",
+		name: "Protanopia",
+		description: "No red cones, about 1% of men",
+		matrix: [
+			[0.152286, 1.052583, -0.204868],
+			[0.114503, 0.786281, 0.099216],
+			[-0.003882, -0.048116, 1.051998],
+		],
+	},
+	{
+		id: "deuteranopia",
+		name: "Deuteranopia",
+		description: "No green cones, about 1% of men",
+		matrix: [
+			[0.367322, 0.860646, -0.227968],
+			[0.280085, 0.672501, 0.047413],
+			[-0.01182, 0.04294, 0.968881],
+		],
+	},
+	{
+		id: "tritanopia",
+		name: "Tritanopia",
+		description: "No blue cones, rare",
+		matrix: [
+			[1.255528, -0.076749, -0.178779],
+			[-0.078411, 0.930809, 0.147602],
+			[0.004733, 0.691367, 0.3039],
+		],
+	},
+	{
+		id: "achromatopsia",
+		name: "Achromatopsia",
+		description: "No color vision, very rare",
+		matrix: [
+			[0.2126, 0.7152, 0.0722],
+			[0.2126, 0.7152, 0.0722],
+			[0.2126, 0.7152, 0.0722],
+		],
+	},
+];
+
+// CIEDE2000 distance under which two colors are hard to tell apart at a glance
+export const CONFUSION_THRESHOLD = 10;
+
+// semantic roles read from CSS custom property names
+const SEMANTIC_ROLES = {
+	error: /error|danger|destructive|critical/,
+	success: /success|positive/,
+	warning: /warning|caution/,
+	info: /info/,
+};
+// shades and companions of a semantic color (--danger-foreground, --success-light)
+const SEMANTIC_QUALIFIERS = /foreground|fg|text|border|hover|active|subtle|muted|light|dark|bg|background|rgb/;
+
+const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const fromLinear = (c) => (c > 0.0031308 ? 1.055 * c ** (1 / 2.4) - 0.055 : 12.92 * c);
+
+/**
+ * Simulates how a hex color looks through one of the CVD_SIMULATIONS matrices.
+ */
+export function simulateColor(hex, matrix) {
+	const rgb = [1, 3, 5].map((i) => toLinear(parseInt(hex.slice(i, i + 2), 16) / 255));
+	return `#${matrix
+		.map((row) => row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2])
+		.map((c) =>
+			Math.round(fromLinear(Math.min(1, Math.max(0, c))) * 255)
+				.toString(16)
+				.padStart(2, "0"),
+		)
+		.join("")}`;
+}
+
+// error, success, warning and info colors from root-level tokens
+function semanticColors(cssVariables) {
+	const tokens = (cssVariables?.tokens || []).filter(
+		(token) => token.category === "color" && token.hex && !SEMANTIC_QUALIFIERS.test(token.name),
+	);
+	const isRoot = (token) => /^(:root|html)$/.test(token.scope.trim()) && !token.media;
+
+	const roles = {};
+	Object.entries(SEMANTIC_ROLES).forEach(([role, pattern]) => {
+		const matches = tokens.filter((token) => pattern.test(token.name));
+		const token = matches.find(isRoot) || matches[0];
+		if (token) roles[role] = { color: token.hex, token: token.name };
+	});
+	return roles;
+}
+
+/**
+ * Simulates the role colors (primary, secondary, accent, background, text and any
+ * error/success/warning/info tokens) and the palette under each deficiency, and
+ * lists the role pairs that become indistinguishable.
+ */
+export function colorVisionReport(colors, cssVariables) {
+	if (!colors) return null;
+
+	const roles = {};
+	["primary", "secondary", "accent", "background", "text"].forEach((role) => {
+		if (colors[role]) roles[role] = { color: colors[role] };
+	});
+	Object.assign(roles, semanticColors(cssVariables));
+
+	const names = Object.keys(roles);
+	// pairs that are already too close with typical vision aren't a CVD problem
+	const distinctPairs = [];
+	names.forEach((a, i) => {
+		names.slice(i + 1).forEach((b) => {
+			const distance = colorDistance(roles[a].color, roles[b].color);
+			if (distance >= CONFUSION_THRESHOLD) distinctPairs.push({ roles: [a, b], distance });
+		});
+	});
+
+	const simulations = CVD_SIMULATIONS.map(({ id, name, description, matrix }) => {
+		const simulated = Object.fromEntries(names.map((role) => [role, simulateColor(roles[role].color, matrix)]));
+
+		const confusable = distinctPairs
+			.map(({ roles: [a, b], distance }) => ({
+				roles: [a, b],
+				colors: [roles[a].color, roles[b].color],
+				simulated: [simulated[a], simulated[b]],
+				distance: Math.round(colorDistance(simulated[a], simulated[b]) * 10) / 10,
+				originalDistance: Math.round(distance * 10) / 10,
+			}))
+			.filter((pair) => pair.distance < CONFUSION_THRESHOLD)
+			.sort((x, y) => x.distance - y.distance);
+
+		return {
+			id,
+			name,
+			description,
+			matrix,
+			roles: simulated,
+			palette: (colors.palette || []).map((entry) => ({
+				color: entry.color,
+				simulated: simulateColor(entry.color, matrix),
+			})),
+			confusable,
+		};
+	});
+
+	return {
+		roles,
+		threshold: CONFUSION_THRESHOLD,
+		simulations,
+		// role pairs that collapse under at least one simulation
+		confusable: new Set(
+			simulations.flatMap((simulation) => simulation.confusable.map((pair) => pair.roles.join("|"))),
+		).size,
+	};
+}
+
+export default colorVisionReport;